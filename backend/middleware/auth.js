@@ -1,17 +1,43 @@
 const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   const token = req.header("x-auth-token");
   if (!token)
     return res.status(401).json({ message: "No token, authorization denied" });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
-    res.status(400).json({ message: "Token is not valid" });
+    // Clients refresh and retry on TOKEN_EXPIRED
+    if (e.name === "TokenExpiredError")
+      return res
+        .status(401)
+        .json({ message: "Token expired", code: "TOKEN_EXPIRED" });
+    return res.status(400).json({ message: "Token is not valid" });
   }
+
+  // A signed-out device's access token stops working right away
+  try {
+    if (decoded.sid) {
+      const active = await Session.exists({
+        _id: decoded.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!active)
+        return res.status(401).json({
+          message: "Session ended, please log in again",
+          code: "SESSION_ENDED",
+        });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  req.user = decoded;
+  next();
 };
 
 module.exports = auth;
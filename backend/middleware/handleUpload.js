@@ -0,0 +1,16 @@
+const multer = require("multer");
+const { validationError } = require("../utils/eventValidation");
+
+// Run a multer middleware and report its errors as a 400 on the upload's
+// field. Left alone they reach Express's default handler, which answers a
+// file over the size limit with an HTML 500.
+const handleUpload = (middleware, field, tooLarge) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError)) return next(err);
+    validationError(res, {
+      [field]: err.code === "LIMIT_FILE_SIZE" ? tooLarge : err.message,
+    });
+  });
+
+module.exports = handleUpload;
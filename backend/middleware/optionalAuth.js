@@ -0,0 +1,8 @@
+const auth = require("./auth");
+
+// Like auth, but lets anonymous requests through without req.user. A token
+// that is sent still has to be valid.
+const optionalAuth = (req, res, next) =>
+  req.header("x-auth-token") ? auth(req, res, next) : next();
+
+module.exports = optionalAuth;
@@ -0,0 +1,16 @@
+const User = require("../models/User");
+
+// Use after auth. Reads the role from the database rather than the token so
+// a demoted admin loses access immediately.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role suspendedAt");
+    if (!user || user.role !== "admin" || user.suspendedAt)
+      return res.status(403).json({ message: "Admin access required" });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = requireAdmin;
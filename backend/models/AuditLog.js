@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Append-only record of admin actions: who did what to which event, user or
+// category, and why
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["event", "user", "category"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    // Anything else worth keeping, e.g. the event title at the time
+    details: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Single-use token mailed to a user (email verification, password reset).
+// Only the hash is stored; the token is used up by setting usedAt.
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify-email", "reset-password"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AuthTokenSchema.index({ user: 1, purpose: 1 });
+
+module.exports = mongoose.model("AuthToken", AuthTokenSchema);
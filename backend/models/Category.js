@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Admin-managed list of event categories. Events store the slug, which never
+// changes, so renaming a category doesn't touch its events.
+const CategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+      match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Display position in pickers and filters, lowest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// "Food & Drink" -> "food-drink"
+CategorySchema.statics.slugify = function (name) {
+  return name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+};
+
+module.exports = mongoose.model("Category", CategorySchema);
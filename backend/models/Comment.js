@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// A message in an event's discussion. Replies point at a top-level comment
+// (threads are one level deep). Deleting keeps the document so a thread
+// with replies still has its opening comment.
+const CommentSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    body: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    // Live (not deleted) replies, kept on top-level comments
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set by the organizing team; pinned comments are listed first
+    pinnedAt: Date,
+    editedAt: Date,
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+CommentSchema.index({ event: 1, parent: 1, _id: -1 });
+CommentSchema.index({ parent: 1, _id: 1 });
+
+module.exports = mongoose.model("Comment", CommentSchema);
@@ -10,36 +10,464 @@ const EventSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Start. Stored as an instant; `timeZone` says how to show it.
     date: {
       type: Date,
       required: true,
     },
+    // End instant. For all-day events, midnight after the last day.
+    // Older events may not have one.
+    endDate: Date,
+    // IANA zone the organizer scheduled in, e.g. "Europe/Paris"
+    timeZone: {
+      type: String,
+      default: "UTC",
+    },
+    allDay: {
+      type: Boolean,
+      default: false,
+    },
     location: {
       type: String,
       required: true,
     },
+    // Structured address, from the organizer or filled in by the geocoder
+    address: {
+      street: String,
+      city: String,
+      region: String,
+      postalCode: String,
+      country: String,
+    },
+    // GeoJSON point for distance searches; unset when the location couldn't
+    // be geocoded
+    geo: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      // [longitude, latitude]. No default, so events without a point stay
+      // out of the geo index.
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
     capacity: {
       type: Number,
       required: true,
       min: 1,
     },
     image: {
-      type: String, // URL from Imgbb
+      type: String, // Public URL from the storage driver
       required: true,
     },
+    // Where the image is stored, so deleting the event can remove it.
+    // Occurrences of a series share one upload.
+    imageKey: String,
+    imageStorage: String,
     organizer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // Slug of a Category; optional
+    category: String,
+    // Free-form, normalized by utils/tags.js
+    tags: [String],
+    // public: listed and open to everyone. unlisted: reachable by link only.
+    // invite: reachable by link, but only invited users can RSVP.
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "invite"],
+      default: "public",
+    },
+    // Guest list for invite-only events. Both fields are only sent to the
+    // organizing team.
+    invitedUsers: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+    // Shareable code; anyone who RSVPs with it joins invitedUsers
+    inviteCode: {
+      type: String,
+      select: false,
+    },
+    // Team members who help run the event (see utils/permissions.js)
+    coOrganizers: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["editor", "checkin"],
+          required: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     attendees: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    // Lifecycle: drafts are only visible to the organizing team; cancelled
+    // events stay up (with the reason) but take no RSVPs; completed is set by
+    // the scheduler once an event is over. See STATUS_TRANSITIONS.
+    status: {
+      type: String,
+      enum: ["draft", "published", "cancelled", "completed"],
+      default: "published",
+    },
+    // A draft with publishAt is published by the scheduler at that time
+    publishAt: Date,
+    cancelledAt: Date,
+    cancellationReason: String,
+    completedAt: Date,
+    // Bumped whenever the time or place changes, so calendar apps that
+    // imported the event pick up the new version
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // Reminder offsets ("24h", "1h", ...) already mailed for the current date;
+    // cleared when the event is rescheduled
+    remindersSent: [String],
+    // Set when the event is one occurrence of a recurring series
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventSeries",
+    },
+    // Optional ticket tiers (General, VIP, ...). When present, capacity is
+    // the sum of the tier capacities.
+    ticketTypes: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        capacity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        salesStart: Date,
+        salesEnd: Date,
+      },
+    ],
+    // One ticket per attendee, recording the tier they hold and door check-in
+    tickets: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        ticketType: mongoose.Schema.Types.ObjectId,
+        issuedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        checkedInAt: Date,
+        checkedInBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    // Set by admins. Hidden and removed events drop out of every public view;
+    // removing is a soft delete that can be restored.
+    moderation: {
+      status: {
+        type: String,
+        enum: ["visible", "hidden", "removed"],
+        default: "visible",
+      },
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      at: Date,
+    },
+    // Ordered queue of users waiting for a seat once the event (or the
+    // requested tier) is full
+    waitlist: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        ticketType: mongoose.Schema.Types.ObjectId,
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Listing sorts (see utils/eventQuery.js) always tie-break on _id
+EventSchema.index({ date: 1, _id: 1 });
+EventSchema.index({ createdAt: -1, _id: -1 });
+EventSchema.index({ series: 1, date: 1 });
+EventSchema.index({ "coOrganizers.user": 1 });
+EventSchema.index({ category: 1, date: 1 });
+EventSchema.index({ tags: 1 });
+EventSchema.index({ geo: "2dsphere" });
+EventSchema.index({ status: 1, publishAt: 1 });
+
+// Status changes an organizer may make. Completing is left to the scheduler.
+EventSchema.statics.STATUS_TRANSITIONS = {
+  draft: ["published"],
+  published: ["cancelled", "completed"],
+  cancelled: [],
+  completed: [],
+};
+
+// Query condition for events the public may see
+EventSchema.statics.visibleFilter = function () {
+  return {
+    "moderation.status": { $nin: ["hidden", "removed"] },
+    status: { $ne: "draft" },
+  };
+};
+
+// Query condition for events still taking RSVPs and waitlist sign-ups.
+// Events saved before statuses existed have none and count as published.
+EventSchema.statics.rsvpOpenFilter = function () {
+  return { status: { $nin: ["draft", "cancelled", "completed"] } };
+};
+
+// Query condition for events shown in public listings
+EventSchema.statics.listedFilter = function () {
+  return { visibility: { $nin: ["unlisted", "invite"] } };
+};
+
+// Query condition for events that haven't ended. Events that have started
+// but not ended (e.g. a multi-day festival) still count as upcoming; older
+// events without an end use their start.
+EventSchema.statics.notOverFilter = function (now = new Date()) {
+  return {
+    $or: [{ endDate: { $gt: now } }, { endDate: null, date: { $gte: now } }],
+  };
+};
+
+EventSchema.methods.isVisible = function () {
+  return (
+    !["hidden", "removed"].includes(this.moderation?.status) &&
+    this.status !== "draft"
+  );
+};
+
+// Document version of rsvpOpenFilter
+EventSchema.methods.isRsvpOpen = function () {
+  return !["draft", "cancelled", "completed"].includes(this.status);
+};
+
+// Document version of visibleFilter + listedFilter
+EventSchema.methods.isListed = function () {
+  return this.isVisible() && !["unlisted", "invite"].includes(this.visibility);
+};
+
+// Aggregation condition for "a seat is free", used inside $expr so the check
+// and the update happen in one atomic operation. With a tier it also checks
+// that tier's own capacity.
+EventSchema.statics.seatAvailableExpr = function (ticketTypeId) {
+  const overall = { $lt: [{ $size: "$attendees" }, "$capacity"] };
+  if (!ticketTypeId) return overall;
+
+  const tierId = new mongoose.Types.ObjectId(String(ticketTypeId));
+  return {
+    $and: [
+      overall,
+      {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: { $ifNull: ["$tickets", []] },
+                cond: { $eq: ["$$this.ticketType", tierId] },
+              },
+            },
+          },
+          {
+            $arrayElemAt: [
+              "$ticketTypes.capacity",
+              { $indexOfArray: ["$ticketTypes._id", tierId] },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+};
+
+// Same check as seatAvailableExpr, against a loaded document
+EventSchema.methods.hasSeatFor = function (ticketTypeId) {
+  if (this.attendees.length >= this.capacity) return false;
+  if (!ticketTypeId) return true;
+
+  const tier = this.ticketTypes.id(ticketTypeId);
+  if (!tier) return false;
+  const held = this.tickets.filter(
+    (t) => t.ticketType && t.ticketType.equals(tier._id)
+  ).length;
+  return held < tier.capacity;
+};
+
+// Aggregation condition for "the current attendees still fit", used when an
+// edit changes capacity or tiers. The new capacity must cover everyone who
+// already holds a seat, each kept tier must cover the tickets sold in it, and
+// a tier that still has tickets can't be removed.
+EventSchema.statics.capacityFitsExpr = function (capacity, ticketTypes) {
+  const conditions = [];
+  if (capacity !== undefined)
+    conditions.push({ $lte: [{ $size: "$attendees" }, capacity] });
+
+  if (ticketTypes !== undefined) {
+    const tickets = { $ifNull: ["$tickets", []] };
+    const kept = ticketTypes
+      .filter((tier) => tier._id)
+      .map((tier) => ({
+        ...tier,
+        _id: new mongoose.Types.ObjectId(String(tier._id)),
+      }));
+
+    for (const tier of kept)
+      conditions.push({
+        $lte: [
+          {
+            $size: {
+              $filter: {
+                input: tickets,
+                cond: { $eq: ["$$this.ticketType", tier._id] },
+              },
+            },
+          },
+          tier.capacity,
+        ],
+      });
+
+    conditions.push({
+      $eq: [
+        {
+          $size: {
+            $filter: {
+              input: tickets,
+              cond: {
+                $and: [
+                  { $ne: [{ $ifNull: ["$$this.ticketType", null] }, null] },
+                  {
+                    $not: {
+                      $in: ["$$this.ticketType", kept.map((t) => t._id)],
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+        0,
+      ],
+    });
+  }
+
+  return { $and: conditions };
+};
+
+// Explains why capacityFitsExpr failed, as per-field validation errors
+EventSchema.methods.capacityConflicts = function (capacity, ticketTypes) {
+  const errors = {};
+  if (capacity !== undefined && this.attendees.length > capacity)
+    errors.capacity = `Capacity can't be below the ${this.attendees.length} people already attending`;
+
+  if (ticketTypes !== undefined) {
+    const held = (tierId) =>
+      this.tickets.filter((t) => t.ticketType && t.ticketType.equals(tierId))
+        .length;
+    for (const tier of this.ticketTypes) {
+      const next = ticketTypes.find(
+        (t) => t._id && String(t._id) === tier._id.toString()
+      );
+      const sold = held(tier._id);
+      if (!next && sold > 0)
+        errors.ticketTypes = `Can't remove '${tier.name}' - ${sold} ticket(s) already issued`;
+      else if (next && sold > next.capacity)
+        errors.ticketTypes = `Capacity for '${next.name}' can't be below the ${sold} ticket(s) already issued`;
+    }
+  }
+  return errors;
+};
+
+// Move waitlisted users into free seats, one at a time. Each promotion is a
+// single conditional update (seat still free, entry still queued), so it
+// stays safe against concurrent joins the same way the RSVP join does.
+// Entries are served in order within their tier.
+EventSchema.statics.promoteWaitlist = async function (eventId) {
+  const promoted = [];
+
+  for (;;) {
+    const current = await this.findById(eventId).select(
+      "attendees waitlist capacity ticketTypes tickets status"
+    );
+    if (!current || current.waitlist.length === 0) break;
+    if (!current.isRsvpOpen()) break;
+
+    const stale = current.waitlist.find((w) =>
+      current.attendees.some((id) => id.equals(w.user))
+    );
+    if (stale) {
+      // Already has a seat (e.g. joined before being queued); drop the entry
+      await this.updateOne(
+        { _id: eventId },
+        { $pull: { waitlist: { _id: stale._id } } }
+      );
+      continue;
+    }
+
+    const next = current.waitlist.find((w) => current.hasSeatFor(w.ticketType));
+    if (!next) break;
+
+    const event = await this.findOneAndUpdate(
+      {
+        _id: eventId,
+        ...this.rsvpOpenFilter(),
+        $expr: this.seatAvailableExpr(next.ticketType),
+        "waitlist._id": next._id,
+      },
+      {
+        $push: {
+          attendees: next.user,
+          tickets: { user: next.user, ticketType: next.ticketType },
+        },
+        $pull: { waitlist: { _id: next._id } },
+      },
+      { new: true }
+    );
+
+    // Someone else changed the event in between; re-read and try again
+    if (!event) continue;
+    promoted.push(next.user);
+  }
+
+  return promoted;
+};
+
 module.exports = mongoose.model("Event", EventSchema);
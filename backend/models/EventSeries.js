@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A recurring series groups the occurrences created from one recurrence rule.
+// Each occurrence is a normal Event with its own attendees and capacity.
+const EventSeriesSchema = new mongoose.Schema(
+  {
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        required: true,
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      count: Number,
+      until: Date,
+      exdates: [String], // YYYY-MM-DD
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EventSeries", EventSeriesSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Daily activity counters for one event, bumped in place as things happen.
+// Days are UTC midnights.
+const EventStatSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Event",
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+  },
+  // Event page views
+  views: { type: Number, default: 0 },
+  // RSVPs, counting people who went onto the waitlist
+  joins: { type: Number, default: 0 },
+  // Cancelled RSVPs and waitlist places
+  leaves: { type: Number, default: 0 },
+});
+
+EventStatSchema.index({ event: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model("EventStat", EventStatSchema);
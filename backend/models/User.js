@@ -16,6 +16,52 @@ const UserSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Public profile. displayName falls back to the username when empty.
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Stored through the same drivers as event images (services/storage)
+    avatar: String,
+    avatarKey: String,
+    avatarStorage: String,
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    // Suspended accounts can't log in; set and cleared by admins
+    suspendedAt: Date,
+    suspensionReason: String,
+    // Accounts from before verification existed are backfilled to true by
+    // scripts/verifyExistingUsers.js
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Email opt-outs (see services/notifications)
+    notifications: {
+      reminders: {
+        type: Boolean,
+        default: true,
+      },
+      eventUpdates: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Secret in the personal calendar feed URL; rotating it revokes old links
+    calendarToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,352 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Event = require("../models/Event");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const Category = require("../models/Category");
+const auth = require("../middleware/auth");
+const requireAdmin = require("../middleware/requireAdmin");
+const { publishUpdate } = require("../services/realtime");
+
+const PAGE_SIZE = 25;
+const MODERATION_STATUSES = ["visible", "hidden", "removed"];
+
+router.use(auth, requireAdmin);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parsePage = (value) => Math.max(parseInt(value, 10) || 1, 1);
+
+// ?q= as trimmed text; a repeated parameter arrives as an array
+const parseSearch = (value) => (value ? String(value).trim() : "");
+
+// Every admin action needs a reason for the audit log
+const requireReason = (req, res) => {
+  const reason =
+    typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+  if (!reason) {
+    res.status(400).json({ message: "A reason is required" });
+    return null;
+  }
+  return reason.slice(0, 500);
+};
+
+const record = (req, action, targetType, target, reason, details) =>
+  AuditLog.create({
+    actor: req.user.id,
+    action,
+    targetType,
+    target,
+    reason,
+    details,
+  });
+
+// List events, including hidden and removed ones
+router.get("/events", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!MODERATION_STATUSES.includes(req.query.status))
+        return res.status(400).json({
+          message: `Status must be one of ${MODERATION_STATUSES.join(", ")}`,
+        });
+      // Events created before moderation existed have no status
+      filter["moderation.status"] =
+        req.query.status === "visible"
+          ? { $nin: ["hidden", "removed"] }
+          : req.query.status;
+    }
+    const q = parseSearch(req.query.q);
+    if (q) filter.title = new RegExp(escapeRegex(q), "i");
+
+    const page = parsePage(req.query.page);
+    const [events, total] = await Promise.all([
+      Event.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .select("title date location organizer attendees moderation createdAt")
+        .populate("organizer", "username email"),
+      Event.countDocuments(filter),
+    ]);
+
+    res.json({ events, page, pages: Math.ceil(total / PAGE_SIZE), total });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// hide / remove / restore an event
+const MODERATION_ACTIONS = {
+  hide: "hidden",
+  remove: "removed",
+  restore: "visible",
+};
+
+router.post("/events/:id/:action", async (req, res) => {
+  try {
+    const status = MODERATION_ACTIONS[req.params.action];
+    if (!status) return res.status(404).json({ message: "Unknown action" });
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "Event not found" });
+
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const event = await Event.findByIdAndUpdate(
+      req.params.id,
+      {
+        moderation: { status, reason, by: req.user.id, at: new Date() },
+      },
+      { new: true }
+    );
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    publishUpdate(event);
+
+    const action = `event.${req.params.action}`;
+    await record(req, action, "event", event._id, reason, {
+      title: event.title,
+    });
+
+    res.json(event);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List users
+router.get("/users", async (req, res) => {
+  try {
+    const filter = {};
+    const q = parseSearch(req.query.q);
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (req.query.suspended === "true") filter.suspendedAt = { $ne: null };
+
+    const page = parsePage(req.query.page);
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .select(
+          "username email role emailVerified suspendedAt suspensionReason createdAt"
+        ),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({ users, page, pages: Math.ceil(total / PAGE_SIZE), total });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Suspend a user and sign them out everywhere
+router.post("/users/:id/suspend", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "User not found" });
+    if (req.params.id === req.user.id)
+      return res.status(400).json({ message: "You can't suspend yourself" });
+
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { suspendedAt: new Date(), suspensionReason: reason },
+      { new: true }
+    ).select("username email role suspendedAt suspensionReason");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    await record(req, "user.suspend", "user", user._id, reason, {
+      username: user.username,
+    });
+
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post("/users/:id/unsuspend", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "User not found" });
+
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { suspendedAt: 1, suspensionReason: 1 } },
+      { new: true }
+    ).select("username email role suspendedAt suspensionReason");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await record(req, "user.unsuspend", "user", user._id, reason, {
+      username: user.username,
+    });
+
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Category fields an admin may set. The slug is derived from the name on
+// create and never changes afterwards.
+const categoryValues = (body) => {
+  const values = {};
+  if (body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "Name is required" };
+    if (name.length > 50)
+      return { error: "Name must be at most 50 characters" };
+    values.name = name;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string")
+      return { error: "Description must be text" };
+    const description = (body.description || "").trim();
+    if (description.length > 200)
+      return { error: "Description must be at most 200 characters" };
+    values.description = description;
+  }
+  if (body.order !== undefined) {
+    const order = Number(body.order);
+    if (!Number.isInteger(order))
+      return { error: "Order must be a whole number" };
+    values.order = order;
+  }
+  return { values };
+};
+
+// Create a category from { name, description?, order?, reason }
+router.post("/categories", async (req, res) => {
+  try {
+    const { values, error } = categoryValues(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (!values.name)
+      return res.status(400).json({ message: "Name is required" });
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const slug = Category.slugify(values.name);
+    if (!slug)
+      return res
+        .status(400)
+        .json({ message: "Name needs at least one letter or digit" });
+    if (await Category.exists({ slug }))
+      return res
+        .status(409)
+        .json({ message: "A category with that name already exists" });
+
+    const category = await Category.create({ ...values, slug });
+    await record(req, "category.create", "category", category._id, reason, {
+      slug,
+      name: category.name,
+    });
+    res.status(201).json(category);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename, describe or reorder a category. The audit entry keeps the fields
+// as they were before.
+router.patch("/categories/:slug", async (req, res) => {
+  try {
+    const { values, error } = categoryValues(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const previous = await Category.findOneAndUpdate(
+      { slug: req.params.slug },
+      values,
+      { runValidators: true }
+    );
+    if (!previous)
+      return res.status(404).json({ message: "Category not found" });
+
+    const category = await Category.findById(previous._id);
+    await record(req, "category.update", "category", category._id, reason, {
+      slug: category.slug,
+      name: category.name,
+      previous: {
+        name: previous.name,
+        description: previous.description,
+        order: previous.order,
+      },
+    });
+    res.json(category);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a category; its events become uncategorized
+router.delete("/categories/:slug", async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const category = await Category.findOneAndDelete({
+      slug: req.params.slug,
+    });
+    if (!category)
+      return res.status(404).json({ message: "Category not found" });
+
+    const { modifiedCount } = await Event.updateMany(
+      { category: category.slug },
+      { $set: { category: null } }
+    );
+    await record(req, "category.delete", "category", category._id, reason, {
+      slug: category.slug,
+      name: category.name,
+      eventsUpdated: modifiedCount,
+    });
+    res.json({ message: "Category deleted", eventsUpdated: modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Audit log, newest first. ?targetType=&target= narrows it to one item.
+router.get("/audit", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.target) {
+      if (!mongoose.isValidObjectId(req.query.target))
+        return res.status(400).json({ message: "Invalid target" });
+      filter.target = req.query.target;
+    }
+
+    const page = parsePage(req.query.page);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE)
+        .populate("actor", "username"),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ entries, page, pages: Math.ceil(total / PAGE_SIZE), total });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,40 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const User = require("../models/User");
+const Session = require("../models/Session");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const auth = require("../middleware/auth");
+const {
+  startSession,
+  rotateSession,
+  endSession,
+  tokenResponse,
+  userJson,
+} = require("../utils/authTokens");
+const { issueToken, consumeToken } = require("../utils/oneTimeTokens");
+const { sendMail, appUrl } = require("../services/mail");
+const { validationError } = require("../utils/eventValidation");
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, "verify-email");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Confirm your email address to start creating events:",
+      appUrl(`/verify-email?token=${token}`),
+      "",
+      "The link expires in 24 hours.",
+    ].join("\n"),
+  });
+};
 
 // Register
 router.post("/register", async (req, res) => {
@@ -24,20 +56,14 @@ router.post("/register", async (req, res) => {
 
     const savedUser = await newUser.save();
 
-    const token = jwt.sign({ id: savedUser._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    // A mail failure shouldn't fail the signup; the user can ask for a resend
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (err) {
+      console.error("Verification email failed:", err.message);
+    }
 
-    res
-      .status(201)
-      .json({
-        token,
-        user: {
-          id: savedUser._id,
-          username: savedUser.username,
-          email: savedUser.email,
-        },
-      });
+    res.status(201).json(await startSession(savedUser, req));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -54,15 +80,303 @@ router.post("/login", async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch)
       return res.status(400).json({ message: "Invalid credentials" });
+    if (user.suspendedAt)
+      return res.status(403).json({ message: "This account is suspended" });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    res.json(await startSession(user, req));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm an email address from the mailed link
+router.post("/verify-email", async (req, res) => {
+  try {
+    const record = await consumeToken(req.body.token, "verify-email");
+    if (!record)
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+
+    const user = await User.findByIdAndUpdate(
+      record.user,
+      { emailVerified: true },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: "Email verified", user: userJson(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a fresh verification link
+router.post("/resend-verification", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.emailVerified)
+      return res.status(400).json({ message: "Email is already verified" });
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a password reset. The answer is the same whether or not the email
+// has an account, so it can't be used to find out who is registered.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = typeof email === "string" && (await User.findOne({ email }));
+
+    if (user) {
+      const token = await issueToken(user._id, "reset-password");
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: [
+          `Hi ${user.username},`,
+          "",
+          "Use this link to choose a new password:",
+          appUrl(`/reset-password?token=${token}`),
+          "",
+          "The link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.",
+        ].join("\n"),
+      });
+    }
 
     res.json({
-      token,
-      user: { id: user._id, username: user.username, email: user.email },
+      message: "If that email has an account, a reset link is on its way",
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish a password reset. Every session is signed out, since whoever had
+// the old password may still be logged in somewhere.
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+
+    const record = await consumeToken(token, "reset-password");
+    if (!record)
+      return res
+        .status(400)
+        .json({ message: "Reset link is invalid or has expired" });
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    // Following the link proves the user owns the address
+    const user = await User.findByIdAndUpdate(record.user, {
+      password: hashedPassword,
+      emailVerified: true,
     });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ message: "Password updated, please log in" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Swap a refresh token for a new access/refresh pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.error) return res.status(401).json({ message: result.error });
+
+    const user = await User.findById(result.session.user);
+    if (!user) return res.status(401).json({ message: "User not found" });
+    if (user.suspendedAt)
+      return res.status(403).json({ message: "This account is suspended" });
+
+    res.json(tokenResponse(user, result.session, result.secret));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Logout - revokes the session on the server. Takes the refresh token so it
+// works even after the access token has expired.
+router.post("/logout", async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current user
+router.get("/me", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json({ user: userJson(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change username, email or password. Email and password changes need the
+// current password; a new email has to be verified again.
+router.patch("/account", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+    const username = text(req.body.username);
+    const email = text(req.body.email);
+    const { password, currentPassword } = req.body;
+
+    const errors = {};
+    const changes = {};
+    if (username && username !== user.username) {
+      if (!USERNAME_PATTERN.test(username))
+        errors.username =
+          "Username must be 3-30 letters, numbers, dots, dashes or underscores";
+      else if (await User.exists({ username, _id: { $ne: user._id } }))
+        errors.username = "That username is taken";
+      else changes.username = username;
+    }
+    if (email && email !== user.email) {
+      if (!EMAIL_PATTERN.test(email)) errors.email = "Invalid email address";
+      else if (await User.exists({ email, _id: { $ne: user._id } }))
+        errors.email = "That email already has an account";
+      else changes.email = email;
+    }
+    if (password !== undefined && password !== "") {
+      if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+        errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+      else changes.password = password;
+    }
+    if (changes.email || changes.password) {
+      const isMatch =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) errors.currentPassword = "Current password is incorrect";
+    }
+    if (Object.keys(errors).length > 0) return validationError(res, errors);
+    if (Object.keys(changes).length === 0)
+      return res.status(400).json({ message: "Nothing to update" });
+
+    const previousEmail = user.email;
+    if (changes.username) user.username = changes.username;
+    if (changes.email) {
+      user.email = changes.email;
+      user.emailVerified = false;
+    }
+    if (changes.password) {
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(changes.password, salt);
+    }
+    try {
+      await user.save();
+    } catch (err) {
+      // Someone claimed the name or address since the checks above
+      if (err.code === 11000)
+        return validationError(res, {
+          [Object.keys(err.keyPattern)[0]]: "Already in use",
+        });
+      throw err;
+    }
+
+    // A stolen password shouldn't keep other devices signed in
+    if (changes.password)
+      await Session.updateMany(
+        { user: user._id, _id: { $ne: req.user.sid }, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+
+    if (changes.email) {
+      try {
+        await sendVerificationEmail(user);
+        // Let the old address know, in case this wasn't its owner
+        await sendMail({
+          to: previousEmail,
+          subject: "Your email address was changed",
+          text: [
+            `Hi ${user.username},`,
+            "",
+            `The email address on your account was changed to ${user.email}.`,
+            "If you didn't do this, reset your password right away.",
+          ].join("\n"),
+        });
+      } catch (err) {
+        console.error("Email change notice failed:", err.message);
+      }
+    }
+
+    res.json({ message: "Account updated", user: userJson(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Signed-in devices
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(
+      sessions.map((s) => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.toString() === req.user.sid,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out every other device
+router.delete("/sessions", auth, async (req, res) => {
+  try {
+    const { modifiedCount } = await Session.updateMany(
+      { user: req.user.id, _id: { $ne: req.user.sid }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    res.json({ message: "Other sessions signed out", revoked: modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out one device
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "Session not found" });
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    res.json({ message: "Session signed out" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
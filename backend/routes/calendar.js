@@ -0,0 +1,82 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const Event = require("../models/Event");
+const User = require("../models/User");
+const auth = require("../middleware/auth");
+const { buildCalendar, sendCalendar } = require("../utils/ics");
+const { publicBaseUrl } = require("../utils/publicUrl");
+
+const feedUrl = (req, token) =>
+  `${publicBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+
+// Current feed URL, or null when the user hasn't created one
+router.get("/", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("calendarToken");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      feedUrl: user.calendarToken ? feedUrl(req, user.calendarToken) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create the feed URL, or replace it so the old one stops working
+router.post("/token", auth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("hex");
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { calendarToken: token },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ feedUrl: feedUrl(req, token) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke the feed URL
+router.delete("/token", auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $unset: { calendarToken: 1 },
+    });
+    res.json({ message: "Calendar feed revoked" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscribable feed of every event the user organizes or attends. Calendar
+// apps can't send headers, so the token in the URL is the credential.
+router.get("/feed/:file", async (req, res) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, "");
+    const user = token && (await User.findOne({ calendarToken: token }));
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const events = await Event.find({
+      $or: [
+        { organizer: user._id },
+        { "coOrganizers.user": user._id },
+        { attendees: user._id },
+      ],
+      ...Event.visibleFilter(),
+    }).sort({ date: 1 });
+
+    sendCalendar(
+      res,
+      buildCalendar(events, { name: `${user.username}'s events` })
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
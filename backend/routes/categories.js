@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const Category = require("../models/Category");
+const Event = require("../models/Event");
+
+// Every category in display order, each with the number of upcoming listed
+// events in it. Managed under /api/admin/categories.
+router.get("/", async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }),
+      Event.aggregate([
+        {
+          $match: {
+            $and: [
+              Event.visibleFilter(),
+              Event.listedFilter(),
+              { date: { $gte: new Date() }, category: { $type: "string" } },
+            ],
+          },
+        },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countBySlug = new Map(counts.map((c) => [c._id, c.count]));
+    res.json(
+      categories.map((category) => ({
+        ...category.toObject(),
+        eventCount: countBySlug.get(category.slug) || 0,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router({ mergeParams: true });
+const Event = require("../models/Event");
+const Comment = require("../models/Comment");
+const auth = require("../middleware/auth");
+const { eventRole, can } = require("../utils/permissions");
+
+// Mounted at /api/events/:id/comments
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_LENGTH = 2000;
+
+// Deleted comments keep their place in a thread but lose author and text
+const commentJson = (comment) => {
+  const json = comment.toObject();
+  if (comment.deletedAt) {
+    json.body = null;
+    json.author = null;
+  }
+  return json;
+};
+
+const parseBody = (value) => {
+  const body = typeof value === "string" ? value.trim() : "";
+  if (!body) return { error: "Comment can't be empty" };
+  if (body.length > MAX_LENGTH)
+    return { error: `Comment must be at most ${MAX_LENGTH} characters` };
+  return { body };
+};
+
+// The event behind req.params.id, or null after sending a 404
+const loadEvent = async (req, res, fields = "") => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id).select(
+        `organizer coOrganizers moderation status visibility attendees ${fields}`
+      )
+    : null;
+  if (!event || !event.isVisible()) {
+    res.status(404).json({ message: "Event not found" });
+    return null;
+  }
+  return event;
+};
+
+// The comment from the URL, or null after sending a 404
+const loadComment = async (req, res, event) => {
+  const comment = mongoose.isValidObjectId(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, event: event._id })
+    : null;
+  if (!comment || comment.deletedAt) {
+    res.status(404).json({ message: "Comment not found" });
+    return null;
+  }
+  return comment;
+};
+
+// List top-level comments, newest first, each with its replies. Pinned
+// comments come back separately with the first page.
+router.get("/", async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1)
+        return res.status(400).json({ message: "Invalid 'limit'" });
+      limit = Math.min(limit, MAX_LIMIT);
+    }
+    if (req.query.cursor && !mongoose.isValidObjectId(req.query.cursor))
+      return res.status(400).json({ message: "Invalid cursor" });
+
+    // A deleted comment only stays while it still has replies
+    const topLevel = {
+      event: event._id,
+      parent: null,
+      $or: [{ deletedAt: null }, { replyCount: { $gt: 0 } }],
+    };
+
+    const docs = await Comment.find({
+      ...topLevel,
+      pinnedAt: null,
+      ...(req.query.cursor && { _id: { $lt: req.query.cursor } }),
+    })
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate("author", "username");
+    const hasMore = docs.length > limit;
+    const comments = hasMore ? docs.slice(0, limit) : docs;
+
+    const pinned = req.query.cursor
+      ? []
+      : await Comment.find({ ...topLevel, pinnedAt: { $ne: null } })
+          .sort({ pinnedAt: -1 })
+          .populate("author", "username");
+
+    const threads = [...pinned, ...comments];
+    const replies = await Comment.find({
+      parent: { $in: threads.map((c) => c._id) },
+      deletedAt: null,
+    })
+      .sort({ _id: 1 })
+      .populate("author", "username");
+
+    const withReplies = (comment) => ({
+      ...commentJson(comment),
+      replies: replies
+        .filter((r) => r.parent.equals(comment._id))
+        .map(commentJson),
+    });
+
+    res.json({
+      pinned: pinned.map(withReplies),
+      comments: comments.map(withReplies),
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? comments[comments.length - 1]._id : null,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Post a comment, or a reply with { parent }
+router.post("/", auth, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res, "+invitedUsers");
+    if (!event) return;
+
+    // On invite-only events only the guest list and the team can take part
+    const userId = req.user.id;
+    if (
+      event.visibility === "invite" &&
+      !eventRole(event, userId) &&
+      !event.invitedUsers.some((id) => id.toString() === userId) &&
+      !event.attendees.some((id) => id.toString() === userId)
+    )
+      return res.status(403).json({ message: "This event is invite-only" });
+
+    const { body, error } = parseBody(req.body.body);
+    if (error) return res.status(400).json({ message: error });
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = mongoose.isValidObjectId(req.body.parent)
+        ? await Comment.findOne({ _id: req.body.parent, event: event._id })
+        : null;
+      if (!parent || parent.deletedAt)
+        return res.status(404).json({ message: "Comment not found" });
+      // Replying to a reply continues the same thread
+      if (parent.parent) parent = await Comment.findById(parent.parent);
+    }
+
+    const comment = await Comment.create({
+      event: event._id,
+      author: userId,
+      parent: parent ? parent._id : null,
+      body,
+    });
+    if (parent)
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+
+    await comment.populate("author", "username");
+    res.status(201).json({ ...commentJson(comment), replies: [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit your own comment
+router.patch("/:commentId", auth, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const { body, error } = parseBody(req.body.body);
+    if (error) return res.status(400).json({ message: error });
+
+    comment.body = body;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate("author", "username");
+    res.json(commentJson(comment));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a comment: the author, or the organizing team as moderators
+router.delete("/:commentId", auth, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    if (
+      comment.author.toString() !== req.user.id &&
+      !can(event, req.user.id, "edit")
+    ) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const deleted = await Comment.findOneAndUpdate(
+      { _id: comment._id, deletedAt: null },
+      { deletedAt: new Date(), deletedBy: req.user.id, pinnedAt: null }
+    );
+    if (deleted && comment.parent)
+      await Comment.updateOne(
+        { _id: comment.parent },
+        { $inc: { replyCount: -1 } }
+      );
+
+    res.json({ message: "Comment deleted" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pin or unpin a top-level comment (organizing team)
+const setPinned = (pinned) => async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+    const comment = await loadComment(req, res, event);
+    if (!comment) return;
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+    if (comment.parent)
+      return res
+        .status(400)
+        .json({ message: "Only top-level comments can be pinned" });
+
+    comment.pinnedAt = pinned ? new Date() : null;
+    await comment.save();
+    await comment.populate("author", "username");
+    res.json(commentJson(comment));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+router.post("/:commentId/pin", auth, setPinned(true));
+router.delete("/:commentId/pin", auth, setPinned(false));
+
+module.exports = router;
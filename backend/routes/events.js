@@ -1,105 +1,852 @@
 const express = require("express");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Event = require("../models/Event");
+const User = require("../models/User");
+const EventSeries = require("../models/EventSeries");
+const Category = require("../models/Category");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const handleUpload = require("../middleware/handleUpload");
 const multer = require("multer");
-const axios = require("axios");
-const FormData = require("form-data");
+const {
+  saveImage,
+  removeImage,
+  isSupportedImage,
+} = require("../services/storage");
+const { publicBaseUrl } = require("../utils/publicUrl");
+const { buildEventQuery, encodeCursor } = require("../utils/eventQuery");
+const {
+  generateOccurrences,
+  wallShift,
+  shiftOccurrence,
+} = require("../utils/recurrence");
+const {
+  salesWindowError,
+  tiersForOccurrence,
+} = require("../utils/ticketTypes");
+const { validateEvent, validationError } = require("../utils/eventValidation");
+const { buildCalendar, sendCalendar } = require("../utils/ics");
+const {
+  CO_ORGANIZER_ROLES,
+  eventRole,
+  can,
+  teamFilter,
+} = require("../utils/permissions");
+const {
+  buildRoster,
+  filterRoster,
+  rosterCounts,
+  rosterCsv,
+  rosterXlsx,
+  EXPORT_TYPES,
+} = require("../utils/roster");
+const { sendMail, appUrl } = require("../services/mail");
+const { locateEvent } = require("../services/geocoding");
+const {
+  track,
+  parseDays,
+  eventStats,
+  organizerStats,
+  removeStats,
+  MAX_DAYS,
+} = require("../services/analytics");
+const {
+  notifyEventChanged,
+  notifyEventCancelled,
+} = require("../services/notifications");
+const {
+  subscribe,
+  publishSeats,
+  publishUpdate,
+  publishDeleted,
+} = require("../services/realtime");
+const {
+  verifyTicket,
+  ticketCode,
+  normalizeCode,
+  ticketPayload,
+} = require("../utils/tickets");
+
+// Co-organizers and the guest list are shared by every occurrence of a
+// series, so changes to them apply to all of them
+const seriesFilter = (event) =>
+  event.series ? { series: event.series } : { _id: event._id };
+
+const generateInviteCode = () => crypto.randomBytes(9).toString("base64url");
+
+// Look a user up by the username or email typed into an invite form
+const findUserByHandle = (handle) =>
+  User.findOne({ $or: [{ username: handle }, { email: handle }] }).select(
+    "username email"
+  );
+
+// validateEvent only checks a category's shape; it also has to exist
+const isUnknownCategory = async (values) =>
+  Boolean(values.category) &&
+  !(await Category.exists({ slug: values.category }));
+
+const DEFAULT_TAG_LIMIT = 20;
+const MAX_TAG_LIMIT = 100;
 
 // Multer setup for memory storage
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
 
-// Get all events
+// The event image, with upload errors reported on the field
+const uploadImage = handleUpload(
+  upload.single("image"),
+  "image",
+  "Image must be at most 5 MB"
+);
+
+// Get events - search, filters, sorting and cursor pagination
 router.get("/", async (req, res) => {
   try {
-    const events = await Event.find()
-      .sort({ date: 1 })
+    const { filter, sort, sortSpec, limit, error } = buildEventQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    // Fetch one extra document to know whether another page exists
+    const docs = await Event.find(filter)
+      .sort(sortSpec)
+      .limit(limit + 1)
       .populate("organizer", "username");
-    res.json(events);
+
+    const hasMore = docs.length > limit;
+    const events = hasMore ? docs.slice(0, limit) : docs;
+
+    res.json({
+      events,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(events[events.length - 1], sort)
+          : null,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live updates (Server-Sent Events). Without ?event= the stream carries
+// every listed event; with it, just that one.
+router.get("/stream", subscribe);
+
+// Most used tags across upcoming listed events, optionally within one
+// ?category=. Returns { tags: [{ tag, count }] }, most used first.
+router.get("/tags", async (req, res) => {
+  try {
+    let limit = DEFAULT_TAG_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1)
+        return res.status(400).json({ message: "Invalid 'limit'" });
+      limit = Math.min(limit, MAX_TAG_LIMIT);
+    }
+
+    const match = {
+      $and: [
+        Event.visibleFilter(),
+        Event.listedFilter(),
+        { date: { $gte: new Date() } },
+        { "tags.0": { $exists: true } },
+        ...(req.query.category
+          ? [{ category: String(req.query.category) }]
+          : []),
+      ],
+    };
+
+    const tags = await Event.aggregate([
+      { $match: match },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: "$_id", count: 1 } },
+    ]);
+
+    res.json({ tags });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create Event
-router.post("/", auth, upload.single("image"), async (req, res) => {
+// Analytics across every event the user can edit (owner or editor):
+// activity totals, a daily series over the last ?days= and one row per event
+router.get("/stats", auth, async (req, res) => {
   try {
-    const { title, description, date, location, capacity } = req.body;
+    const days = parseDays(req.query.days);
+    if (!days)
+      return res
+        .status(400)
+        .json({ message: `'days' must be between 1 and ${MAX_DAYS}` });
+
+    const events = await Event.find(teamFilter(req.user.id, "edit"))
+      .select(
+        "title date endDate timeZone allDay capacity attendees waitlist tickets"
+      )
+      .sort({ date: -1 });
+    res.json(await organizerStats(events, days));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!req.file)
-      return res.status(400).json({ message: "Image is required" });
+// Tabs of GET /mine: which events each one covers, and the listing
+// defaults it uses. Team events show even when unlisted or hidden by a
+// moderator, so their organizers can still find them.
+const MY_TABS = {
+  hosting: (userId) => ({
+    base: [teamFilter(userId)],
+    when: "upcoming",
+    sort: "date",
+  }),
+  attending: (userId) => ({
+    base: [Event.visibleFilter(), { attendees: userId }],
+    when: "upcoming",
+    sort: "date",
+  }),
+  waitlisted: (userId) => ({
+    base: [Event.visibleFilter(), { "waitlist.user": userId }],
+    when: "upcoming",
+    sort: "date",
+  }),
+  past: (userId) => ({
+    base: [{ $or: [teamFilter(userId), { attendees: userId }] }],
+    when: "past",
+    sort: "-date",
+  }),
+};
 
-    // Imgbb Upload
-    const formData = new FormData();
-    formData.append("image", req.file.buffer.toString("base64"));
+// The current user's events for one ?tab= (hosting, attending, waitlisted
+// or past), paged like GET /, with the size of every tab in `counts`
+router.get("/mine", auth, async (req, res) => {
+  try {
+    const tab = req.query.tab || "hosting";
+    if (!MY_TABS[tab])
+      return res.status(400).json({
+        message: `'tab' must be one of ${Object.keys(MY_TABS).join(", ")}`,
+      });
 
-    const imgbbResponse = await axios.post(
-      `https://api.imgbb.com/1/upload?key=${process.env.IMGBB_API_KEY}`,
-      formData,
+    const { base, ...defaults } = MY_TABS[tab](req.user.id);
+    const { filter, sort, sortSpec, limit, error } = buildEventQuery(
       {
-        headers: formData.getHeaders(),
-      }
+        ...req.query,
+        when: defaults.when,
+        sort: req.query.sort || defaults.sort,
+      },
+      base
     );
+    if (error) return res.status(400).json({ message: error });
+
+    const docs = await Event.find(filter)
+      .sort(sortSpec)
+      .limit(limit + 1)
+      .populate("organizer", "username");
+    const hasMore = docs.length > limit;
+    const events = hasMore ? docs.slice(0, limit) : docs;
+
+    const counts = {};
+    for (const [name, scope] of Object.entries(MY_TABS)) {
+      const { base: tabBase, when } = scope(req.user.id);
+      counts[name] = await Event.countDocuments(
+        buildEventQuery({ when }, tabBase).filter
+      );
+    }
+
+    res.json({
+      events,
+      counts,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(events[events.length - 1], sort)
+          : null,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Whether the requester may open the event. Drafts are only shown to their
+// organizing team.
+const canView = (event, userId) =>
+  event.isVisible() ||
+  (event.status === "draft" &&
+    !["hidden", "removed"].includes(event.moderation?.status) &&
+    Boolean(eventRole(event, userId)));
 
-    const imageUrl = imgbbResponse.data.data.url;
+// Get a single event
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "Event not found" });
+
+    const event = await Event.findById(req.params.id)
+      .populate("organizer", "username")
+      .populate("coOrganizers.user", "username")
+      .populate("attendees", "username")
+      .populate("waitlist.user", "username");
+    if (!event || !canView(event, req.user?.id))
+      return res.status(404).json({ message: "Event not found" });
 
-    const newEvent = new Event({
-      title,
-      description,
-      date,
-      location,
-      capacity,
-      image: imageUrl,
+    res.json(event);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create Event (optionally a recurring series)
+router.post("/", auth, uploadImage, async (req, res) => {
+  try {
+    const organizer = await User.findById(req.user.id).select("emailVerified");
+    if (!organizer || !organizer.emailVerified)
+      return res
+        .status(403)
+        .json({ message: "Please verify your email before creating events" });
+
+    const { values, errors = {} } = validateEvent(req.body);
+    if (values && (await isUnknownCategory(values)))
+      errors.category = "Unknown category";
+    if (!req.file) errors.image = "Image is required";
+    else if (!isSupportedImage(req.file))
+      errors.image = "Image must be a JPEG, PNG, GIF or WebP file";
+    if (Object.keys(errors).length > 0) return validationError(res, errors);
+
+    Object.assign(values, await locateEvent(values));
+    delete values.coordinates;
+    const { recurrence, ...eventValues } = values;
+    const image = await saveImage(req.file, { baseUrl: publicBaseUrl(req) });
+
+    const fields = {
+      ...eventValues,
+      image: image.url,
+      imageKey: image.key,
+      imageStorage: image.storage,
+      organizer: req.user.id,
+      ...(values.visibility === "invite" && {
+        inviteCode: generateInviteCode(),
+      }),
+    };
+
+    if (!recurrence) {
+      const newEvent = new Event(fields);
+      const savedEvent = await newEvent.save();
+      return res.status(201).json(savedEvent);
+    }
+
+    // Recurring - one upload, one Event per occurrence
+    const occurrences = generateOccurrences(
+      values.date,
+      values.endDate,
+      recurrence,
+      values.timeZone
+    );
+    if (occurrences.length === 0)
+      return validationError(res, {
+        recurrence: "Recurrence rule produces no occurrences",
+      });
+
+    const series = await EventSeries.create({
       organizer: req.user.id,
+      recurrence,
     });
+    const events = await Event.insertMany(
+      occurrences.map(({ date, endDate }) => ({
+        ...fields,
+        date,
+        endDate,
+        series: series._id,
+      }))
+    );
 
-    const savedEvent = await newEvent.save();
-    res.status(201).json(savedEvent);
+    res.status(201).json({ series, events });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Server Error" });
   }
 });
 
-// Edit Event (Owner only)
+// Fields an edit copies to the later occurrences of a series
+const SERIES_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "capacity",
+  "visibility",
+  "category",
+  "tags",
+  "address",
+  "geo",
+  "timeZone",
+  "allDay",
+];
+
+// Fields that decide where an event is on the map
+const LOCATION_FIELDS = ["location", "address", "coordinates"];
+
+const parseScope = (scope) => {
+  if (scope === undefined || scope === "this") return "this";
+  if (scope === "following") return "following";
+  return null;
+};
+
+// Whether an edit changes when or where the event happens
+const isRescheduled = (event, update) =>
+  (update.date !== undefined &&
+    new Date(update.date).getTime() !== event.date.getTime()) ||
+  (update.endDate !== undefined &&
+    new Date(update.endDate).getTime() !== event.endDate?.getTime()) ||
+  (update.location !== undefined && update.location !== event.location);
+
+// Tell attendees about a new time or place. `previousVersions` are the
+// events as loaded before the edit.
+const notifyChanges = async (previousVersions) => {
+  for (const previous of previousVersions) {
+    const current = await Event.findById(previous._id).select(
+      "title date timeZone allDay location attendees waitlist"
+    );
+    if (current) await notifyEventChanged(current, previous);
+  }
+};
+
+// Edit Event (owner and editors). ?scope=following also edits the later
+// occurrences.
 router.put("/:id", auth, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const scope = parseScope(req.query.scope);
+    if (!scope)
+      return res
+        .status(400)
+        .json({ message: "Scope must be 'this' or 'following'" });
+
+    const event = await Event.findById(req.params.id).select("+inviteCode");
     if (!event) return res.status(404).json({ message: "Event not found" });
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!can(event, req.user.id, "edit")) {
       return res.status(401).json({ message: "User not authorized" });
     }
+    if (!event.isRsvpOpen() && event.status !== "draft")
+      return res
+        .status(400)
+        .json({ message: "Cancelled and completed events can't be edited" });
 
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
+    const { values, errors } = validateEvent(req.body, {
+      partial: true,
+      current: event,
+    });
+    if (errors) return validationError(res, errors);
+    if (await isUnknownCategory(values))
+      return validationError(res, { category: "Unknown category" });
+
+    const siblings = {
+      series: event.series,
+      date: { $gte: event.date },
+      _id: { $ne: event._id },
+    };
+    const following = scope === "following" && event.series;
+
+    // Later occurrences get the same capacity, so it must fit them too
+    if (
+      following &&
+      values.capacity !== undefined &&
+      (await Event.exists({
+        ...siblings,
+        $expr: { $gt: [{ $size: "$attendees" }, values.capacity] },
+      }))
+    )
+      return validationError(res, {
+        capacity: "Capacity can't be below the attendees of a later occurrence",
+      });
+
+    // A new place needs new coordinates
+    if (LOCATION_FIELDS.some((field) => values[field] !== undefined))
+      Object.assign(
+        values,
+        await locateEvent({
+          location: values.location ?? event.location,
+          address:
+            values.address !== undefined
+              ? values.address
+              : event.toObject().address,
+          coordinates: values.coordinates,
+        })
+      );
+    delete values.coordinates;
+
+    const update = { ...values };
+    if (isRescheduled(event, update)) update.$inc = { sequence: 1 };
+    // A new date gets its reminders again
+    if (values.date && values.date.getTime() !== event.date.getTime())
+      update.remindersSent = [];
+    if (values.visibility === "invite" && !event.inviteCode)
+      update.inviteCode = generateInviteCode();
+
+    // Checked and applied in one operation, so an RSVP landing in between
+    // can't leave more attendees than seats
+    const fits = Event.capacityFitsExpr(values.capacity, values.ticketTypes);
+    const updatedEvent = await Event.findOneAndUpdate(
+      { _id: event._id, ...(fits.$and.length > 0 && { $expr: fits }) },
+      update,
+      { new: true, runValidators: true }
     );
-    res.json(updatedEvent);
+    if (!updatedEvent) {
+      const latest = await Event.findById(event._id);
+      if (!latest) return res.status(404).json({ message: "Event not found" });
+      const conflicts = latest.capacityConflicts(
+        values.capacity,
+        values.ticketTypes
+      );
+      if (Object.keys(conflicts).length === 0)
+        return res
+          .status(409)
+          .json({ message: "Event changed while saving, please try again" });
+      return validationError(res, conflicts);
+    }
+
+    const affected = [event._id];
+    const changed = isRescheduled(event, update) ? [event] : [];
+    // Later occurrences that filled up past the new capacity while saving
+    let keptCapacity = [];
+    if (following) {
+      const later = await Event.find(siblings).select("_id date location");
+      affected.push(...later.map((e) => e._id));
+
+      const shared = {};
+      for (const field of SERIES_FIELDS)
+        if (values[field] !== undefined && field !== "capacity")
+          shared[field] = values[field];
+      if (update.inviteCode) shared.inviteCode = update.inviteCode;
+      if (Object.keys(shared).length > 0)
+        await Event.updateMany(
+          siblings,
+          { $set: shared },
+          { runValidators: true }
+        );
+
+      // Moving one occurrence moves the rest by the same wall-clock amount,
+      // so they keep their local start time across DST changes, and they
+      // all take on its length
+      const oldZone = event.timeZone || "UTC";
+      const zone = updatedEvent.timeZone || "UTC";
+      const shift = wallShift(event.date, updatedEvent.date, oldZone, zone);
+      const moved = shift !== 0 || zone !== oldZone;
+      const length =
+        updatedEvent.endDate &&
+        wallShift(updatedEvent.date, updatedEvent.endDate, zone);
+      const resized =
+        Boolean(updatedEvent.endDate) &&
+        (!event.endDate ||
+          event.endDate - event.date !==
+            updatedEvent.endDate - updatedEvent.date);
+      if ((moved || resized) && later.length > 0)
+        await Event.bulkWrite(
+          later.map((occurrence) => {
+            const date = shiftOccurrence(occurrence.date, shift, oldZone, zone);
+            return {
+              updateOne: {
+                filter: { _id: occurrence._id },
+                update: {
+                  $set: {
+                    date,
+                    ...(updatedEvent.endDate && {
+                      endDate: shiftOccurrence(date, length, zone),
+                    }),
+                    ...(date.getTime() !== occurrence.date.getTime() && {
+                      remindersSent: [],
+                    }),
+                  },
+                },
+              },
+            };
+          })
+        );
+
+      // The capacity was checked against them above, but an RSVP may have
+      // landed since; those occurrences keep their old capacity. New tiers
+      // are fitted to each occurrence's own tickets the same way.
+      if (values.ticketTypes !== undefined) {
+        const occurrences = await Event.find(siblings).select(
+          "date capacity ticketTypes"
+        );
+        for (const occurrence of occurrences) {
+          const ticketTypes = tiersForOccurrence(
+            values.ticketTypes,
+            updatedEvent,
+            occurrence,
+            zone
+          );
+          const applied = await Event.findOneAndUpdate(
+            {
+              _id: occurrence._id,
+              $expr: Event.capacityFitsExpr(values.capacity, ticketTypes),
+            },
+            { $set: { capacity: values.capacity, ticketTypes } },
+            { runValidators: true }
+          );
+          if (!applied)
+            keptCapacity.push({
+              _id: occurrence._id,
+              date: occurrence.date,
+              capacity: occurrence.capacity,
+            });
+        }
+      } else if (values.capacity !== undefined) {
+        await Event.updateMany(
+          { ...siblings, $expr: Event.capacityFitsExpr(values.capacity) },
+          { $set: { capacity: values.capacity } },
+          { runValidators: true }
+        );
+        keptCapacity = await Event.find({
+          ...siblings,
+          capacity: { $ne: values.capacity },
+        }).select("date capacity");
+      }
+
+      if (moved || resized || shared.location !== undefined) {
+        await Event.updateMany(
+          { _id: { $in: later.map((e) => e._id) } },
+          { $inc: { sequence: 1 } }
+        );
+        changed.push(...later);
+      }
+    }
+
+    // Mail goes out in the background so the response doesn't wait on it
+    notifyChanges(changed).catch((err) =>
+      console.error("Change notifications failed:", err.message)
+    );
+
+    // A capacity increase frees seats for the waitlist
+    if (update.capacity !== undefined)
+      for (const id of affected) await Event.promoteWaitlist(id);
+
+    // Re-read so live viewers and the response include any promotions
+    const edited = await Event.find({ _id: { $in: affected } });
+    edited.forEach(publishUpdate);
+
+    const body = (
+      edited.find((e) => e._id.equals(event._id)) || updatedEvent
+    ).toJSON();
+    res.json(keptCapacity.length > 0 ? { ...body, keptCapacity } : body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a deleted event's image once no other event (e.g. another occurrence
+// of the series) still uses it. Failures are logged, not surfaced - the
+// event itself is already gone.
+const cleanupImage = async (event) => {
+  if (!event.imageKey || !event.imageStorage) return;
+  try {
+    const inUse = await Event.exists({
+      imageKey: event.imageKey,
+      imageStorage: event.imageStorage,
+    });
+    if (!inUse) await removeImage(event.imageStorage, event.imageKey);
+  } catch (err) {
+    console.error("Image cleanup failed:", err.message);
+  }
+};
+
+// Tell attendees of cancelled upcoming events, in the background
+const notifyCancellations = (events) => {
+  const now = new Date();
+  (async () => {
+    for (const event of events)
+      if (event.date > now) await notifyEventCancelled(event);
+  })().catch((err) =>
+    console.error("Cancellation notifications failed:", err.message)
+  );
+};
+
+// Whether deleting the event would drop people's RSVPs without telling them.
+// Those events are cancelled instead (PATCH /:id/status).
+const hasGuests = (event) =>
+  !["draft", "cancelled"].includes(event.status) &&
+  (event.attendees.length > 0 || event.waitlist.length > 0);
+
+// Why these events can't be deleted, or null. Completed events can't be
+// cancelled any more; they stay as the record of who came.
+const deleteBlocked = (events) => {
+  const kept = events.filter(hasGuests);
+  if (kept.length === 0) return null;
+  if (kept.every((e) => e.status === "completed"))
+    return "Past events people attended are kept for the record and can't be deleted";
+  return events.length > 1
+    ? "People have RSVP'd to some of these events - cancel them instead"
+    : "People have RSVP'd to this event - cancel it instead";
+};
+
+const MAX_REASON = 500;
+
+// Publish a draft or cancel an event. Publishing needs edit rights;
+// cancelling is for the owner and needs a reason, which attendees are mailed.
+// ?scope=following also changes the later occurrences in the same state.
+router.patch("/:id/status", auth, async (req, res) => {
+  try {
+    const scope = parseScope(req.query.scope);
+    if (!scope)
+      return res
+        .status(400)
+        .json({ message: "Scope must be 'this' or 'following'" });
+
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const { status } = req.body;
+    if (status === "completed")
+      return res
+        .status(400)
+        .json({ message: "Events are completed automatically once they end" });
+    if (!["published", "cancelled"].includes(status))
+      return res
+        .status(400)
+        .json({ message: "Status must be 'published' or 'cancelled'" });
+
+    if (!can(event, req.user.id, status === "cancelled" ? "delete" : "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const from = event.status || "published";
+    if (from === status)
+      return res.status(400).json({ message: `Event is already ${status}` });
+    if (!Event.STATUS_TRANSITIONS[from].includes(status))
+      return res
+        .status(400)
+        .json({ message: `A ${from} event can't be ${status}` });
+
+    let update;
+    if (status === "cancelled") {
+      const reason =
+        typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+      if (!reason)
+        return validationError(res, {
+          reason: "Please say why the event is cancelled",
+        });
+      if (reason.length > MAX_REASON)
+        return validationError(res, {
+          reason: `Reason must be at most ${MAX_REASON} characters`,
+        });
+      update = {
+        $set: { status, cancelledAt: new Date(), cancellationReason: reason },
+        $inc: { sequence: 1 },
+      };
+    } else {
+      update = { $set: { status }, $unset: { publishAt: 1 } };
+    }
+
+    // Only events still in the starting state change, so a later occurrence
+    // that was already cancelled (or an edit racing this one) is left alone
+    const inState =
+      from === "published" ? Event.rsvpOpenFilter() : { status: from };
+    const targets =
+      scope === "following" && event.series
+        ? await Event.find({
+            series: event.series,
+            date: { $gte: event.date },
+            ...inState,
+          }).select("_id")
+        : [event];
+    const ids = targets.map((e) => e._id);
+    await Event.updateMany({ _id: { $in: ids }, ...inState }, update);
+
+    const changed = await Event.find({ _id: { $in: ids }, status });
+    const updated = changed.find((e) => e._id.equals(event._id));
+    if (!updated)
+      return res
+        .status(409)
+        .json({ message: "Event changed while saving, please try again" });
+
+    changed.forEach(publishUpdate);
+    if (status === "cancelled") notifyCancellations(changed);
+
+    res.json({
+      message: status === "cancelled" ? "Event cancelled" : "Event published",
+      updated: changed.length,
+      event: updated,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete Event (Owner only)
+// Delete Event (Owner only). ?scope=following also deletes the later occurrences.
+// Only drafts, cancelled events and events nobody has signed up for can go.
 router.delete("/:id", auth, async (req, res) => {
   try {
+    const scope = parseScope(req.query.scope);
+    if (!scope)
+      return res
+        .status(400)
+        .json({ message: "Scope must be 'this' or 'following'" });
+
     const event = await Event.findById(req.params.id);
     if (!event) return res.status(404).json({ message: "Event not found" });
 
-    if (event.organizer.toString() !== req.user.id) {
+    if (!can(event, req.user.id, "delete")) {
       return res.status(401).json({ message: "User not authorized" });
     }
 
+    if (scope === "following" && event.series) {
+      const following = { series: event.series, date: { $gte: event.date } };
+      const removed = await Event.find(following).select(
+        "title date attendees waitlist visibility moderation status"
+      );
+      const blocked = deleteBlocked(removed);
+      if (blocked) return res.status(409).json({ message: blocked });
+      const { deletedCount } = await Event.deleteMany(following);
+      await removeStats(removed.map((e) => e._id));
+      await cleanupImage(event);
+      removed.forEach(publishDeleted);
+      return res.json({ message: "Events removed", removed: deletedCount });
+    }
+
+    const blocked = deleteBlocked([event]);
+    if (blocked) return res.status(409).json({ message: blocked });
+
     await event.deleteOne();
-    res.json({ message: "Event removed" });
+    await removeStats([event._id]);
+    await cleanupImage(event);
+    publishDeleted(event);
+    res.json({ message: "Event removed", removed: 1 });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Seat/queue state returned by every RSVP response
+const rsvpState = (event) => ({
+  attendees: event.attendees,
+  waitlist: event.waitlist,
+  tickets: event.tickets,
+});
+
+// Signed ticket for a user who just got a seat
+const issuedTicket = async (event, userId) => {
+  const ticket = event.tickets.find((t) => t.user.toString() === userId);
+  return ticket ? ticketPayload(event, ticket) : null;
+};
+
+// Why an event that isn't open takes no RSVPs
+const closedError = (event) => ({
+  message:
+    event.status === "cancelled"
+      ? "This event has been cancelled"
+      : "This event is no longer taking RSVPs",
+});
+
 // RSVP Endpoint - Critical Concurrency Logic
 router.post("/:id/rsvp", auth, async (req, res) => {
   try {
@@ -108,6 +855,43 @@ router.post("/:id/rsvp", auth, async (req, res) => {
     const { action } = req.body; // 'join' or 'leave'
 
     if (action === "join") {
+      const target = await Event.findById(eventId).select(
+        "ticketTypes moderation status visibility organizer coOrganizers series +invitedUsers +inviteCode"
+      );
+      if (!target || !target.isVisible())
+        return res.status(404).json({ message: "Event not found" });
+      if (!target.isRsvpOpen())
+        return res.status(400).json(closedError(target));
+
+      // Invite-only events need an invitation or the event's invite code.
+      // Using the code adds the user to the guest list.
+      if (
+        target.visibility === "invite" &&
+        !eventRole(target, userId) &&
+        !target.invitedUsers.some((id) => id.toString() === userId)
+      ) {
+        if (!target.inviteCode || req.body.inviteCode !== target.inviteCode)
+          return res.status(403).json({ message: "This event is invite-only" });
+        await Event.updateMany(seriesFilter(target), {
+          $addToSet: { invitedUsers: userId },
+        });
+      }
+
+      // Tiered events need a tier that is currently on sale
+      let ticketType = null;
+      if (target.ticketTypes.length > 0) {
+        const tier = mongoose.isValidObjectId(req.body.ticketType)
+          ? target.ticketTypes.id(req.body.ticketType)
+          : null;
+        if (!tier)
+          return res
+            .status(400)
+            .json({ message: "Please choose a ticket type" });
+        const closed = salesWindowError(tier);
+        if (closed) return res.status(400).json({ message: closed });
+        ticketType = tier._id;
+      }
+
       // Check if already joined to avoid duplicate increment although $addToSet prevents dups, we need specific error or logic
       // But strict requirement: "No Duplicates" and "Capacity Enforcement"
 
@@ -115,10 +899,12 @@ router.post("/:id/rsvp", auth, async (req, res) => {
       const event = await Event.findOneAndUpdate(
         {
           _id: eventId,
-          $expr: { $lt: [{ $size: "$attendees" }, "$capacity"] }, // Condition: Attendees < Capacity
+          ...Event.rsvpOpenFilter(), // Condition: Not cancelled or completed in the meantime
+          $expr: Event.seatAvailableExpr(ticketType), // Condition: Attendees < Capacity (and tier not sold out)
           attendees: { $ne: userId }, // Condition: User not already in attendees
+          waitlist: { $not: { $elemMatch: { ticketType } } }, // Condition: Nobody is queued ahead for this tier
         },
-        { $push: { attendees: userId } },
+        { $push: { attendees: userId, tickets: { user: userId, ticketType } } },
         { new: true }
       );
 
@@ -129,22 +915,80 @@ router.post("/:id/rsvp", auth, async (req, res) => {
           return res.status(404).json({ message: "Event not found" });
         if (currentEvent.attendees.includes(userId))
           return res.status(400).json({ message: "Already RSVPed" });
-        if (currentEvent.attendees.length >= currentEvent.capacity)
-          return res.status(400).json({ message: "Event is full" });
-        return res.status(400).json({ message: "RSVP Failed" });
+        if (currentEvent.waitlist.some((w) => w.user.toString() === userId))
+          return res.status(400).json({ message: "Already on the waitlist" });
+        if (!currentEvent.isRsvpOpen())
+          return res.status(400).json(closedError(currentEvent));
+
+        // Event or tier is full (or has a queue) - join the waitlist atomically
+        const queued = await Event.findOneAndUpdate(
+          {
+            _id: eventId,
+            ...Event.rsvpOpenFilter(),
+            attendees: { $ne: userId },
+            "waitlist.user": { $ne: userId },
+          },
+          { $push: { waitlist: { user: userId, ticketType } } },
+          { new: true }
+        );
+        if (!queued) return res.status(400).json({ message: "RSVP Failed" });
+        track(eventId, "joins");
+
+        // A seat may have opened up while we were queueing
+        await Event.promoteWaitlist(eventId);
+        const updated = await Event.findById(eventId);
+        publishSeats(updated);
+
+        if (updated.attendees.includes(userId)) {
+          return res.json({
+            message: "RSVP Successful",
+            ...rsvpState(updated),
+            ticket: await issuedTicket(updated, userId),
+          });
+        }
+
+        return res.json({
+          message: "Added to waitlist",
+          waitlisted: true,
+          position:
+            updated.waitlist.findIndex((w) => w.user.toString() === userId) + 1,
+          ...rsvpState(updated),
+        });
       }
 
+      track(eventId, "joins");
+      publishSeats(event);
       return res.json({
         message: "RSVP Successful",
-        attendees: event.attendees,
+        ...rsvpState(event),
+        ticket: await issuedTicket(event, userId),
       });
     } else if (action === "leave") {
-      const event = await Event.findByIdAndUpdate(
-        eventId,
-        { $pull: { attendees: userId } },
-        { new: true }
+      const before = await Event.findOneAndUpdate(
+        { _id: eventId },
+        {
+          $pull: {
+            attendees: userId,
+            tickets: { user: userId },
+            waitlist: { user: userId },
+          },
+        }
       );
-      res.json({ message: "RSVP Cancelled", attendees: event.attendees });
+      if (!before) return res.status(404).json({ message: "Event not found" });
+
+      const hadSeat = before.attendees.some((id) => id.toString() === userId);
+      if (hadSeat || before.waitlist.some((w) => w.user.toString() === userId))
+        track(eventId, "leaves");
+
+      // Hand the freed seat to the next person in line
+      if (hadSeat) await Event.promoteWaitlist(eventId);
+
+      const event = await Event.findById(eventId);
+      publishSeats(event);
+      res.json({
+        message: "RSVP Cancelled",
+        ...rsvpState(event),
+      });
     } else {
       res.status(400).json({ message: "Invalid action" });
     }
@@ -153,4 +997,540 @@ router.post("/:id/rsvp", auth, async (req, res) => {
   }
 });
 
+// Download a single event as an iCalendar file
+router.get("/:id/ics", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: "Event not found" });
+
+    const event = await Event.findById(req.params.id);
+    if (!event || !event.isVisible())
+      return res.status(404).json({ message: "Event not found" });
+
+    sendCalendar(res, buildCalendar([event]), `event-${event._id}.ics`);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The current user's ticket. RSVPs made before tickets existed get one issued
+// on first request.
+router.get("/:id/ticket", auth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    let ticket = event.tickets.find((t) => t.user.toString() === userId);
+    if (!ticket && event.attendees.some((id) => id.toString() === userId)) {
+      await Event.updateOne(
+        { _id: event._id, attendees: userId, "tickets.user": { $ne: userId } },
+        { $push: { tickets: { user: userId } } }
+      );
+      event = await Event.findById(req.params.id);
+      ticket = event.tickets.find((t) => t.user.toString() === userId);
+    }
+    if (!ticket)
+      return res
+        .status(404)
+        .json({ message: "You don't have a ticket for this event" });
+
+    const tier = ticket.ticketType && event.ticketTypes.id(ticket.ticketType);
+    res.json({
+      ...(await ticketPayload(event, ticket)),
+      ticketTypeName: tier ? tier.name : null,
+      event: {
+        _id: event._id,
+        title: event.title,
+        date: event.date,
+        endDate: event.endDate,
+        timeZone: event.timeZone,
+        allDay: event.allDay,
+        location: event.location,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const checkInStats = (event) => ({
+  registered: event.attendees.length,
+  checkedIn: event.tickets.filter((t) => t.checkedInAt).length,
+});
+
+// Door check-in (owner and any co-organizer). Accepts the scanned QR token or
+// the short code printed under it.
+router.post("/:id/checkin", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "checkin")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    let ticketId;
+    if (req.body.token) {
+      const payload = verifyTicket(req.body.token);
+      if (!payload) return res.status(400).json({ message: "Invalid ticket" });
+      if (payload.evt !== event._id.toString())
+        return res
+          .status(400)
+          .json({ message: "This ticket is for a different event" });
+      ticketId = payload.tid;
+    } else if (req.body.code) {
+      const code = normalizeCode(req.body.code);
+      const match = event.tickets.find(
+        (t) => normalizeCode(ticketCode(t._id)) === code
+      );
+      if (!match)
+        return res.status(404).json({ message: "No ticket matches this code" });
+      ticketId = match._id;
+    } else {
+      return res
+        .status(400)
+        .json({ message: "Provide a ticket token or code" });
+    }
+
+    const ticket = event.tickets.id(ticketId);
+    if (!ticket)
+      return res.status(404).json({
+        message: "Ticket not found - the RSVP may have been cancelled",
+      });
+
+    // Atomic: only the first scan of a ticket can set checkedInAt
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        tickets: { $elemMatch: { _id: ticket._id, checkedInAt: null } },
+      },
+      {
+        $set: {
+          "tickets.$.checkedInAt": new Date(),
+          "tickets.$.checkedInBy": req.user.id,
+        },
+      },
+      { new: true }
+    );
+
+    const attendee = await User.findById(ticket.user).select("username");
+    const tier = ticket.ticketType && event.ticketTypes.id(ticket.ticketType);
+
+    if (!updated) {
+      const current = await Event.findById(event._id);
+      const existing = current && current.tickets.id(ticket._id);
+      if (!existing)
+        return res.status(404).json({
+          message: "Ticket not found - the RSVP may have been cancelled",
+        });
+      return res.status(409).json({
+        message: "Already checked in",
+        attendee: attendee && attendee.username,
+        checkedInAt: existing.checkedInAt,
+        stats: checkInStats(current),
+      });
+    }
+
+    res.json({
+      message: "Checked in",
+      attendee: attendee && attendee.username,
+      ticketType: tier ? tier.name : null,
+      checkedInAt: updated.tickets.id(ticket._id).checkedInAt,
+      stats: checkInStats(updated),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live checked-in vs registered counts (owner and any co-organizer)
+router.get("/:id/checkin/stats", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "checkin")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    res.json(checkInStats(event));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Count a view of the event page. The frontend sends this once per visit, so
+// refetches (live updates, editing) don't inflate the numbers.
+router.post("/:id/views", async (req, res) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id).select("moderation status")
+      : null;
+    if (!event || !event.isVisible())
+      return res.status(404).json({ message: "Event not found" });
+
+    track(event._id, "views");
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Views, RSVP joins/leaves per day and fill rate for one event (owner or
+// editor)
+router.get("/:id/stats", auth, async (req, res) => {
+  try {
+    const days = parseDays(req.query.days);
+    if (!days)
+      return res
+        .status(400)
+        .json({ message: `'days' must be between 1 and ${MAX_DAYS}` });
+
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id)
+      : null;
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    res.json(await eventStats(event, days));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Roster rows for the event in the URL, filtered and sorted by the query
+// string, or null after sending an error response
+const loadRoster = async (req, res) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id)
+    : null;
+  if (!event) {
+    res.status(404).json({ message: "Event not found" });
+    return null;
+  }
+  if (!can(event, req.user.id, "roster")) {
+    res.status(401).json({ message: "User not authorized" });
+    return null;
+  }
+
+  const all = await buildRoster(event);
+  const { rows, error } = filterRoster(all, req.query);
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+  return { event, all, rows };
+};
+
+// Who is coming: usernames, emails, RSVP times and check-in status (owner and
+// editors). Filter with q, status and checkedIn; order with sort.
+router.get("/:id/roster", auth, async (req, res) => {
+  try {
+    const roster = await loadRoster(req, res);
+    if (!roster) return;
+
+    res.json({
+      roster: roster.rows,
+      total: roster.rows.length,
+      counts: rosterCounts(roster.all),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The same roster as a CSV or XLSX download
+router.get("/:id/roster/export", auth, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!EXPORT_TYPES[format])
+      return res
+        .status(400)
+        .json({ message: "'format' must be one of: csv, xlsx" });
+
+    const roster = await loadRoster(req, res);
+    if (!roster) return;
+
+    const body =
+      format === "xlsx"
+        ? await rosterXlsx(roster.rows, roster.event.title)
+        : rosterCsv(roster.rows);
+    res.set("Content-Type", EXPORT_TYPES[format]);
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="roster-${roster.event._id}.${format}"`
+    );
+    res.send(Buffer.from(body));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const teamResponse = async (eventId) => {
+  const event = await Event.findById(eventId)
+    .select("coOrganizers")
+    .populate("coOrganizers.user", "username");
+  return { coOrganizers: event.coOrganizers };
+};
+
+const parseRole = (role) => (CO_ORGANIZER_ROLES.includes(role) ? role : null);
+
+// Add a co-organizer by username or email (owner only)
+router.post("/:id/organizers", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "manageTeam")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const role = parseRole(req.body.role);
+    if (!role)
+      return res.status(400).json({
+        message: `Role must be one of ${CO_ORGANIZER_ROLES.join(", ")}`,
+      });
+
+    const handle =
+      typeof req.body.user === "string" ? req.body.user.trim() : "";
+    if (!handle)
+      return res.status(400).json({ message: "Enter a username or email" });
+
+    const member = await findUserByHandle(handle);
+    if (!member)
+      return res
+        .status(404)
+        .json({ message: "No user with that username or email" });
+    if (member._id.equals(event.organizer))
+      return res
+        .status(400)
+        .json({ message: "The owner is already running this event" });
+    if (event.coOrganizers.some((c) => c.user.equals(member._id)))
+      return res.status(400).json({ message: "Already a co-organizer" });
+
+    await Event.updateMany(
+      { ...seriesFilter(event), "coOrganizers.user": { $ne: member._id } },
+      { $push: { coOrganizers: { user: member._id, role } } }
+    );
+
+    // A mail failure shouldn't undo the change; the event shows up for them
+    // either way
+    try {
+      await sendMail({
+        to: member.email,
+        subject: `You're now co-organizing "${event.title}"`,
+        text: [
+          `Hi ${member.username},`,
+          "",
+          role === "editor"
+            ? `You can now edit "${event.title}" and check guests in at the door:`
+            : `You can now check guests in at the door for "${event.title}":`,
+          appUrl(`/events/${event._id}`),
+        ].join("\n"),
+      });
+    } catch (err) {
+      console.error("Co-organizer email failed:", err.message);
+    }
+
+    res.status(201).json(await teamResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a co-organizer's role (owner only)
+router.patch("/:id/organizers/:userId", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "manageTeam")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const role = parseRole(req.body.role);
+    if (!role)
+      return res.status(400).json({
+        message: `Role must be one of ${CO_ORGANIZER_ROLES.join(", ")}`,
+      });
+    if (
+      !event.coOrganizers.some((c) => c.user.toString() === req.params.userId)
+    )
+      return res.status(404).json({ message: "Co-organizer not found" });
+
+    await Event.updateMany(
+      { ...seriesFilter(event), "coOrganizers.user": req.params.userId },
+      { $set: { "coOrganizers.$.role": role } }
+    );
+
+    res.json(await teamResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a co-organizer (owner), or step down yourself
+router.delete("/:id/organizers/:userId", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (
+      req.params.userId !== req.user.id &&
+      !can(event, req.user.id, "manageTeam")
+    ) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+    if (
+      !event.coOrganizers.some((c) => c.user.toString() === req.params.userId)
+    )
+      return res.status(404).json({ message: "Co-organizer not found" });
+
+    await Event.updateMany(seriesFilter(event), {
+      $pull: { coOrganizers: { user: req.params.userId } },
+    });
+
+    res.json(await teamResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const invitesResponse = async (eventId) => {
+  const event = await Event.findById(eventId)
+    .select("visibility +invitedUsers +inviteCode")
+    .populate("invitedUsers", "username");
+  return {
+    visibility: event.visibility,
+    inviteCode: event.inviteCode || null,
+    invitedUsers: event.invitedUsers,
+  };
+};
+
+// Guest list and invite code (owner and editors)
+router.get("/:id/invites", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    res.json(await invitesResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create or replace the invite code. The old code stops working.
+router.post("/:id/invites/code", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    await Event.updateMany(seriesFilter(event), {
+      inviteCode: generateInviteCode(),
+    });
+    res.json(await invitesResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turn the invite code off; only invited users can RSVP afterwards
+router.delete("/:id/invites/code", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    await Event.updateMany(seriesFilter(event), { $unset: { inviteCode: 1 } });
+    res.json(await invitesResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Invite a user by username or email
+router.post("/:id/invites", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+
+    const handle =
+      typeof req.body.user === "string" ? req.body.user.trim() : "";
+    if (!handle)
+      return res.status(400).json({ message: "Enter a username or email" });
+
+    const guest = await findUserByHandle(handle);
+    if (!guest)
+      return res
+        .status(404)
+        .json({ message: "No user with that username or email" });
+
+    const { modifiedCount } = await Event.updateMany(seriesFilter(event), {
+      $addToSet: { invitedUsers: guest._id },
+    });
+    if (modifiedCount === 0)
+      return res.status(400).json({ message: "Already invited" });
+
+    // A mail failure shouldn't undo the invitation
+    try {
+      await sendMail({
+        to: guest.email,
+        subject: `You're invited to "${event.title}"`,
+        text: [
+          `Hi ${guest.username},`,
+          "",
+          `You've been invited to "${event.title}". RSVP here:`,
+          appUrl(`/events/${event._id}`),
+        ].join("\n"),
+      });
+    } catch (err) {
+      console.error("Invitation email failed:", err.message);
+    }
+
+    res.status(201).json(await invitesResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Withdraw an invitation. An existing RSVP is kept.
+router.delete("/:id/invites/:userId", auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!can(event, req.user.id, "edit")) {
+      return res.status(401).json({ message: "User not authorized" });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId))
+      return res.status(404).json({ message: "Invitation not found" });
+
+    await Event.updateMany(seriesFilter(event), {
+      $pull: { invitedUsers: req.params.userId },
+    });
+    res.json(await invitesResponse(event._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const auth = require("../middleware/auth");
+
+const PREFERENCES = ["reminders", "eventUpdates"];
+
+const preferencesJson = (user) =>
+  Object.fromEntries(
+    PREFERENCES.map((key) => [key, user.notifications?.[key] !== false])
+  );
+
+// Current user's email preferences
+router.get("/preferences", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("notifications");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(preferencesJson(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update some or all preferences, e.g. { reminders: false }
+router.put("/preferences", auth, async (req, res) => {
+  try {
+    const update = {};
+    for (const key of PREFERENCES) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== "boolean")
+        return res
+          .status(400)
+          .json({ message: `'${key}' must be true or false` });
+      update[`notifications.${key}`] = req.body[key];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true }
+    ).select("notifications");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(preferencesJson(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
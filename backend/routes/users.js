@@ -0,0 +1,132 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const router = express.Router();
+const User = require("../models/User");
+const Event = require("../models/Event");
+const auth = require("../middleware/auth");
+const handleUpload = require("../middleware/handleUpload");
+const {
+  saveImage,
+  removeImage,
+  isSupportedImage,
+} = require("../services/storage");
+const { publicBaseUrl } = require("../utils/publicUrl");
+const { userJson } = require("../utils/authTokens");
+const { validationError } = require("../utils/eventValidation");
+
+const MAX_DISPLAY_NAME = 50;
+const MAX_BIO = 500;
+const PROFILE_EVENT_LIMIT = 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+});
+
+const uploadAvatar = handleUpload(
+  upload.single("avatar"),
+  "avatar",
+  "Avatar must be at most 2 MB"
+);
+
+// What anyone may see about a user
+const profileJson = (user) => ({
+  _id: user._id,
+  username: user.username,
+  displayName: user.displayName || "",
+  avatar: user.avatar || null,
+  bio: user.bio || "",
+  createdAt: user.createdAt,
+});
+
+// Drop a replaced avatar from storage. Failures are logged, not surfaced -
+// the profile has already moved on.
+const cleanupAvatar = async ({ avatarStorage, avatarKey }) => {
+  if (!avatarStorage || !avatarKey) return;
+  try {
+    await removeImage(avatarStorage, avatarKey);
+  } catch (err) {
+    console.error("Avatar cleanup failed:", err.message);
+  }
+};
+
+// Update your own display name, bio and avatar (multipart, image in
+// "avatar"). removeAvatar=true clears the avatar.
+router.patch("/me", auth, uploadAvatar, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { displayName, bio, removeAvatar } = req.body;
+    const errors = {};
+    if (displayName !== undefined) {
+      if (typeof displayName !== "string")
+        errors.displayName = "Invalid display name";
+      else if (displayName.trim().length > MAX_DISPLAY_NAME)
+        errors.displayName = `Display name must be at most ${MAX_DISPLAY_NAME} characters`;
+    }
+    if (bio !== undefined) {
+      if (typeof bio !== "string") errors.bio = "Invalid bio";
+      else if (bio.trim().length > MAX_BIO)
+        errors.bio = `Bio must be at most ${MAX_BIO} characters`;
+    }
+    if (req.file && !isSupportedImage(req.file))
+      errors.avatar = "Avatar must be a JPEG, PNG, GIF or WebP file";
+    if (Object.keys(errors).length > 0) return validationError(res, errors);
+
+    if (displayName !== undefined) user.displayName = displayName.trim();
+    if (bio !== undefined) user.bio = bio.trim();
+
+    const previous = {
+      avatarStorage: user.avatarStorage,
+      avatarKey: user.avatarKey,
+    };
+    if (req.file) {
+      const image = await saveImage(req.file, { baseUrl: publicBaseUrl(req) });
+      user.avatar = image.url;
+      user.avatarKey = image.key;
+      user.avatarStorage = image.storage;
+    } else if (removeAvatar === "true") {
+      user.avatar = undefined;
+      user.avatarKey = undefined;
+      user.avatarStorage = undefined;
+    }
+
+    await user.save();
+    if (req.file || removeAvatar === "true") await cleanupAvatar(previous);
+
+    res.json({ user: userJson(user), profile: profileJson(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public profile with the upcoming listed events the user organizes
+router.get("/:id", async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id)
+      : null;
+    if (!user || user.suspendedAt)
+      return res.status(404).json({ message: "User not found" });
+
+    const events = await Event.find({
+      $and: [
+        { organizer: user._id },
+        Event.visibleFilter(),
+        Event.listedFilter(),
+        Event.notOverFilter(),
+      ],
+    })
+      .sort({ date: 1, _id: 1 })
+      .limit(PROFILE_EVENT_LIMIT)
+      .populate("organizer", "username");
+
+    res.json({ ...profileJson(user), events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
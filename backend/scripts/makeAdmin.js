@@ -0,0 +1,32 @@
+// Grant (or with --revoke, remove) the admin role:
+//   npm run make-admin -- someone@example.com
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+const main = async () => {
+  const email = process.argv[2];
+  const revoke = process.argv.includes("--revoke");
+  if (!email) {
+    console.error("Usage: npm run make-admin -- <email> [--revoke]");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = await User.findOneAndUpdate(
+    { email },
+    { role: revoke ? "user" : "admin" },
+    { new: true }
+  );
+  if (!user) console.error(`No user with email ${email}`);
+  else console.log(`${user.username} is now ${user.role}`);
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
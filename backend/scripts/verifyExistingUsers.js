@@ -0,0 +1,25 @@
+// One-off migration for email verification: accounts created before it
+// existed have no emailVerified field, which reads as unverified and would
+// stop them creating events. Mark them all verified; only new signups start
+// unverified. Safe to run more than once.
+//   npm run verify-existing-users
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`Marked ${modifiedCount} existing account(s) as verified`);
+  await mongoose.disconnect();
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -5,17 +5,25 @@ const dotenv = require("dotenv");
 
 dotenv.config();
 
+const localUploads = require("./services/storage/local");
+const { startScheduler } = require("./services/scheduler");
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(express.json());
 app.use(cors());
+// Images saved by the local storage driver
+app.use(localUploads.PUBLIC_PATH, express.static(localUploads.UPLOAD_DIR));
 
 // Database Connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    startScheduler();
+  })
   .catch((err) => console.error("MongoDB Connection Error:", err));
 
 // Routes
@@ -25,7 +33,13 @@ app.get("/", (req, res) => {
 
 // Import Routes
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/events/:id/comments", require("./routes/comments"));
 app.use("/api/events", require("./routes/events"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/categories", require("./routes/categories"));
+app.use("/api/calendar", require("./routes/calendar"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/notifications", require("./routes/notifications"));
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,134 @@
+const EventStat = require("../models/EventStat");
+const { DAY_MS } = require("../utils/time");
+
+// Per-event activity counters behind the organizer analytics
+
+const METRICS = ["views", "joins", "leaves"];
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+const startOfDay = (date) => new Date(Math.floor(date / DAY_MS) * DAY_MS);
+
+// Count one view/join/leave for today. Runs in the background: a lost count
+// must never fail the request that caused it.
+const track = (eventId, metric) => {
+  EventStat.updateOne(
+    { event: eventId, day: startOfDay(Date.now()) },
+    { $inc: { [metric]: 1 } },
+    { upsert: true }
+  ).catch((err) => console.error("Analytics tracking failed:", err.message));
+};
+
+// ?days= for the time series; returns a number or null when invalid
+const parseDays = (value) => {
+  if (value === undefined) return DEFAULT_DAYS;
+  const days = parseInt(value, 10);
+  if (isNaN(days) || days < 1) return null;
+  return Math.min(days, MAX_DAYS);
+};
+
+const zeroCounts = () => Object.fromEntries(METRICS.map((m) => [m, 0]));
+
+// Daily totals over the last `days` days (today included) for the given
+// events, with empty days filled in so charts get one point per day
+const dailySeries = async (eventIds, days) => {
+  const today = startOfDay(Date.now());
+  const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+  const rows = await EventStat.aggregate([
+    { $match: { event: { $in: eventIds }, day: { $gte: from } } },
+    {
+      $group: {
+        _id: "$day",
+        ...Object.fromEntries(METRICS.map((m) => [m, { $sum: `$${m}` }])),
+      },
+    },
+  ]);
+  const byDay = new Map(rows.map((r) => [r._id.getTime(), r]));
+
+  return Array.from({ length: days }, (_, i) => {
+    const day = new Date(from.getTime() + i * DAY_MS);
+    const row = byDay.get(day.getTime());
+    return {
+      day: day.toISOString().slice(0, 10),
+      ...Object.fromEntries(METRICS.map((m) => [m, row ? row[m] : 0])),
+    };
+  });
+};
+
+// All-time totals per event, keyed by event id
+const eventTotals = async (eventIds) => {
+  const rows = await EventStat.aggregate([
+    { $match: { event: { $in: eventIds } } },
+    {
+      $group: {
+        _id: "$event",
+        ...Object.fromEntries(METRICS.map((m) => [m, { $sum: `$${m}` }])),
+      },
+    },
+  ]);
+  const totals = new Map(eventIds.map((id) => [id.toString(), zeroCounts()]));
+  rows.forEach(({ _id, ...counts }) => totals.set(_id.toString(), counts));
+  return totals;
+};
+
+// Share of capacity taken, 0-1
+const fillRate = (event) =>
+  Math.min(event.attendees.length / event.capacity, 1);
+
+// Headline numbers for one event, merged with its all-time activity totals
+const eventSummary = (event, counts) => ({
+  _id: event._id,
+  title: event.title,
+  date: event.date,
+  endDate: event.endDate,
+  timeZone: event.timeZone,
+  allDay: event.allDay,
+  capacity: event.capacity,
+  attending: event.attendees.length,
+  waitlisted: event.waitlist.length,
+  checkedIn: event.tickets.filter((t) => t.checkedInAt).length,
+  fillRate: fillRate(event),
+  ...counts,
+});
+
+// Stats page for one event: headline numbers and the daily series
+const eventStats = async (event, days) => {
+  const totals = await eventTotals([event._id]);
+  return {
+    ...eventSummary(event, totals.get(event._id.toString())),
+    series: await dailySeries([event._id], days),
+  };
+};
+
+// Organizer-wide view: activity summed over all their events, plus one
+// summary row per event for comparing them
+const organizerStats = async (events, days) => {
+  const ids = events.map((e) => e._id);
+  const totals = await eventTotals(ids);
+  const rows = events.map((e) => eventSummary(e, totals.get(e._id.toString())));
+  const sum = zeroCounts();
+  rows.forEach((row) => METRICS.forEach((m) => (sum[m] += row[m])));
+  return {
+    totals: {
+      events: rows.length,
+      ...sum,
+      attending: rows.reduce((n, row) => n + row.attending, 0),
+      capacity: rows.reduce((n, row) => n + row.capacity, 0),
+    },
+    series: await dailySeries(ids, days),
+    events: rows,
+  };
+};
+
+const removeStats = (eventIds) =>
+  EventStat.deleteMany({ event: { $in: eventIds } });
+
+module.exports = {
+  MAX_DAYS,
+  track,
+  parseDays,
+  eventStats,
+  organizerStats,
+  removeStats,
+};
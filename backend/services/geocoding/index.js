@@ -0,0 +1,43 @@
+const { formatAddress, toPoint } = require("../../utils/geo");
+
+// Turns an address into coordinates. GEOCODER picks the provider (local by
+// default); each one exposes geocode(query) -> { lat, lng, address } or
+// null when nothing matches.
+const PROVIDERS = {
+  local: () => require("./local"),
+  nominatim: () => require("./nominatim"),
+};
+
+const getProvider = () => {
+  const name = process.env.GEOCODER || "local";
+  const load = PROVIDERS[name];
+  if (!load) throw new Error(`Unknown geocoder '${name}'`);
+  return load();
+};
+
+const geocode = (query) => getProvider().geocode(query);
+
+// Where an event is: the organizer's own pin if they sent one, otherwise the
+// structured address or the location text, geocoded. A failed lookup never
+// blocks saving - the event just won't show up in distance searches.
+//
+// Resolves with { geo, address } to store on the event (null when unknown).
+const locateEvent = async ({ location, address, coordinates }) => {
+  // An address with every field blank counts as none
+  const given = address && formatAddress(address) ? address : null;
+  if (coordinates) return { geo: toPoint(coordinates), address: given };
+
+  const query = given ? formatAddress(given) : location;
+  if (!query) return { geo: null, address: given };
+
+  try {
+    const result = await geocode(query);
+    if (!result) return { geo: null, address: given };
+    return { geo: toPoint(result), address: given || result.address || null };
+  } catch (err) {
+    console.error(`Geocoding '${query}' failed:`, err.message);
+    return { geo: null, address: given };
+  }
+};
+
+module.exports = { geocode, locateEvent };
@@ -0,0 +1,43 @@
+const PLACES = require("./places");
+const { parseLatLng } = require("../../utils/geo");
+
+// Offline geocoder. Understands "lat,lng" text and the city names in
+// places.js; anything else comes back as not found. Needs no network or API
+// key, so it is the default and works offline in development.
+
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const containsWords = (haystack, words) =>
+  ` ${haystack} `.includes(` ${words} `);
+
+const geocode = async (query) => {
+  const coordinates = parseLatLng(query);
+  if (coordinates) return { ...coordinates, address: null };
+
+  const text = normalize(query);
+  let best = null;
+  for (const place of PLACES) {
+    for (const name of [place.city, ...(place.aliases || [])]) {
+      const words = normalize(name);
+      if (!containsWords(text, words)) continue;
+      // The longest name wins ("New York" over "York"); ties go to the
+      // place whose country is also mentioned
+      const score =
+        words.length * 10 +
+        (containsWords(text, normalize(place.country)) ? 1 : 0);
+      if (!best || score > best.score) best = { place, score };
+    }
+  }
+  if (!best) return null;
+
+  const { city, region, country, lat, lng } = best.place;
+  return { lat, lng, address: { city, region, country } };
+};
+
+module.exports = { geocode };
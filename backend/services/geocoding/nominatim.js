@@ -0,0 +1,38 @@
+const axios = require("axios");
+
+// OpenStreetMap's Nominatim (or a self-hosted instance at GEOCODER_URL).
+// The public server asks for an identifying User-Agent and at most one
+// request per second, which is plenty for event edits.
+const BASE_URL = () =>
+  (process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org").replace(
+    /\/$/,
+    ""
+  );
+
+const geocode = async (query) => {
+  const response = await axios.get(`${BASE_URL()}/search`, {
+    params: { q: query, format: "jsonv2", addressdetails: 1, limit: 1 },
+    headers: {
+      "User-Agent": process.env.GEOCODER_USER_AGENT || "EventHub/1.0",
+    },
+    timeout: 5000,
+  });
+
+  const [place] = response.data;
+  if (!place) return null;
+
+  const a = place.address || {};
+  return {
+    lat: Number(place.lat),
+    lng: Number(place.lon),
+    address: {
+      street: [a.house_number, a.road].filter(Boolean).join(" ") || undefined,
+      city: a.city || a.town || a.village || a.hamlet,
+      region: a.state,
+      postalCode: a.postcode,
+      country: a.country_code ? a.country_code.toUpperCase() : undefined,
+    },
+  };
+};
+
+module.exports = { geocode };
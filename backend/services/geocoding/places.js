@@ -0,0 +1,231 @@
+// Small built-in gazetteer for the local geocoder: major cities with their
+// centre coordinates. Good enough for development; use a real
+// provider for street-level accuracy.
+module.exports = [
+  {
+    city: "New York",
+    region: "NY",
+    country: "US",
+    lat: 40.7128,
+    lng: -74.006,
+    aliases: ["nyc", "manhattan"],
+  },
+  {
+    city: "Brooklyn",
+    region: "NY",
+    country: "US",
+    lat: 40.6782,
+    lng: -73.9442,
+  },
+  {
+    city: "Los Angeles",
+    region: "CA",
+    country: "US",
+    lat: 34.0522,
+    lng: -118.2437,
+  },
+  {
+    city: "San Francisco",
+    region: "CA",
+    country: "US",
+    lat: 37.7749,
+    lng: -122.4194,
+    aliases: ["sf"],
+  },
+  {
+    city: "San Diego",
+    region: "CA",
+    country: "US",
+    lat: 32.7157,
+    lng: -117.1611,
+  },
+  {
+    city: "San Jose",
+    region: "CA",
+    country: "US",
+    lat: 37.3382,
+    lng: -121.8863,
+  },
+  {
+    city: "Oakland",
+    region: "CA",
+    country: "US",
+    lat: 37.8044,
+    lng: -122.2712,
+  },
+  {
+    city: "Seattle",
+    region: "WA",
+    country: "US",
+    lat: 47.6062,
+    lng: -122.3321,
+  },
+  {
+    city: "Portland",
+    region: "OR",
+    country: "US",
+    lat: 45.5152,
+    lng: -122.6784,
+  },
+  { city: "Chicago", region: "IL", country: "US", lat: 41.8781, lng: -87.6298 },
+  { city: "Austin", region: "TX", country: "US", lat: 30.2672, lng: -97.7431 },
+  { city: "Houston", region: "TX", country: "US", lat: 29.7604, lng: -95.3698 },
+  { city: "Dallas", region: "TX", country: "US", lat: 32.7767, lng: -96.797 },
+  { city: "Denver", region: "CO", country: "US", lat: 39.7392, lng: -104.9903 },
+  { city: "Boston", region: "MA", country: "US", lat: 42.3601, lng: -71.0589 },
+  {
+    city: "Washington",
+    region: "DC",
+    country: "US",
+    lat: 38.9072,
+    lng: -77.0369,
+    aliases: ["washington dc"],
+  },
+  {
+    city: "Philadelphia",
+    region: "PA",
+    country: "US",
+    lat: 39.9526,
+    lng: -75.1652,
+  },
+  { city: "Atlanta", region: "GA", country: "US", lat: 33.749, lng: -84.388 },
+  { city: "Miami", region: "FL", country: "US", lat: 25.7617, lng: -80.1918 },
+  {
+    city: "Las Vegas",
+    region: "NV",
+    country: "US",
+    lat: 36.1699,
+    lng: -115.1398,
+  },
+  { city: "Toronto", region: "ON", country: "CA", lat: 43.6532, lng: -79.3832 },
+  {
+    city: "Vancouver",
+    region: "BC",
+    country: "CA",
+    lat: 49.2827,
+    lng: -123.1207,
+  },
+  {
+    city: "Montreal",
+    region: "QC",
+    country: "CA",
+    lat: 45.5017,
+    lng: -73.5673,
+  },
+  {
+    city: "Mexico City",
+    region: "CDMX",
+    country: "MX",
+    lat: 19.4326,
+    lng: -99.1332,
+  },
+  {
+    city: "São Paulo",
+    region: "SP",
+    country: "BR",
+    lat: -23.5505,
+    lng: -46.6333,
+  },
+  { city: "Buenos Aires", country: "AR", lat: -34.6037, lng: -58.3816 },
+  {
+    city: "London",
+    region: "England",
+    country: "GB",
+    lat: 51.5074,
+    lng: -0.1278,
+  },
+  {
+    city: "Manchester",
+    region: "England",
+    country: "GB",
+    lat: 53.4808,
+    lng: -2.2426,
+  },
+  {
+    city: "Edinburgh",
+    region: "Scotland",
+    country: "GB",
+    lat: 55.9533,
+    lng: -3.1883,
+  },
+  { city: "Dublin", country: "IE", lat: 53.3498, lng: -6.2603 },
+  {
+    city: "Paris",
+    region: "Île-de-France",
+    country: "FR",
+    lat: 48.8566,
+    lng: 2.3522,
+  },
+  { city: "Berlin", country: "DE", lat: 52.52, lng: 13.405 },
+  {
+    city: "Munich",
+    region: "Bavaria",
+    country: "DE",
+    lat: 48.1351,
+    lng: 11.582,
+  },
+  { city: "Amsterdam", country: "NL", lat: 52.3676, lng: 4.9041 },
+  { city: "Madrid", country: "ES", lat: 40.4168, lng: -3.7038 },
+  {
+    city: "Barcelona",
+    region: "Catalonia",
+    country: "ES",
+    lat: 41.3874,
+    lng: 2.1686,
+  },
+  { city: "Lisbon", country: "PT", lat: 38.7223, lng: -9.1393 },
+  { city: "Rome", country: "IT", lat: 41.9028, lng: 12.4964 },
+  { city: "Milan", country: "IT", lat: 45.4642, lng: 9.19 },
+  { city: "Stockholm", country: "SE", lat: 59.3293, lng: 18.0686 },
+  { city: "Copenhagen", country: "DK", lat: 55.6761, lng: 12.5683 },
+  { city: "Warsaw", country: "PL", lat: 52.2297, lng: 21.0122 },
+  { city: "Istanbul", country: "TR", lat: 41.0082, lng: 28.9784 },
+  { city: "Cairo", country: "EG", lat: 30.0444, lng: 31.2357 },
+  { city: "Lagos", country: "NG", lat: 6.5244, lng: 3.3792 },
+  { city: "Nairobi", country: "KE", lat: -1.2921, lng: 36.8219 },
+  { city: "Cape Town", country: "ZA", lat: -33.9249, lng: 18.4241 },
+  { city: "Dubai", country: "AE", lat: 25.2048, lng: 55.2708 },
+  {
+    city: "Mumbai",
+    region: "Maharashtra",
+    country: "IN",
+    lat: 19.076,
+    lng: 72.8777,
+  },
+  {
+    city: "Delhi",
+    country: "IN",
+    lat: 28.7041,
+    lng: 77.1025,
+    aliases: ["new delhi"],
+  },
+  {
+    city: "Bangalore",
+    region: "Karnataka",
+    country: "IN",
+    lat: 12.9716,
+    lng: 77.5946,
+    aliases: ["bengaluru"],
+  },
+  { city: "Singapore", country: "SG", lat: 1.3521, lng: 103.8198 },
+  { city: "Hong Kong", country: "HK", lat: 22.3193, lng: 114.1694 },
+  { city: "Tokyo", country: "JP", lat: 35.6762, lng: 139.6503 },
+  { city: "Seoul", country: "KR", lat: 37.5665, lng: 126.978 },
+  { city: "Beijing", country: "CN", lat: 39.9042, lng: 116.4074 },
+  { city: "Shanghai", country: "CN", lat: 31.2304, lng: 121.4737 },
+  {
+    city: "Sydney",
+    region: "NSW",
+    country: "AU",
+    lat: -33.8688,
+    lng: 151.2093,
+  },
+  {
+    city: "Melbourne",
+    region: "VIC",
+    country: "AU",
+    lat: -37.8136,
+    lng: 144.9631,
+  },
+  { city: "Auckland", country: "NZ", lat: -36.8485, lng: 174.7633 },
+];
@@ -0,0 +1,32 @@
+const Event = require("../models/Event");
+const { publishUpdate } = require("./realtime");
+
+// Publish drafts whose publishAt has passed. The update is conditional, so a
+// draft published (or rescheduled) by its organizer in the meantime is left
+// alone, and each one goes out once even with several servers running.
+const publishScheduled = async (now = new Date()) => {
+  const due = await Event.find({
+    status: "draft",
+    publishAt: { $lte: now },
+  }).select("_id publishAt");
+
+  for (const draft of due) {
+    const event = await Event.findOneAndUpdate(
+      { _id: draft._id, status: "draft", publishAt: draft.publishAt },
+      { $set: { status: "published" }, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+    if (event) publishUpdate(event);
+  }
+};
+
+// Mark published events that have ended as completed (including older
+// events saved without a status)
+const completeEnded = async (now = new Date()) => {
+  await Event.updateMany(
+    { ...Event.rsvpOpenFilter(), $nor: [Event.notOverFilter(now)] },
+    { $set: { status: "completed", completedAt: now } }
+  );
+};
+
+module.exports = { publishScheduled, completeEnded };
@@ -0,0 +1,10 @@
+// Prints mail to the server log - handy in development
+const send = async ({ to, subject, text }) => {
+  console.log(
+    ["--- mail ---", `To: ${to}`, `Subject: ${subject}`, "", text, "---"].join(
+      "\n"
+    )
+  );
+};
+
+module.exports = { send };
@@ -0,0 +1,26 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Writes each message to MAIL_DIR as an .eml file that any mail client opens
+const MAIL_DIR = path.resolve(
+  process.env.MAIL_DIR || path.join(__dirname, "..", "..", "mail")
+);
+
+const send = async ({ from, to, subject, text }) => {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+  const name = `${new Date()
+    .toISOString()
+    .replace(/[:.]/g, "-")}-${Math.random().toString(36).slice(2, 8)}.eml`;
+  const message = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+  ].join("\r\n");
+  await fs.writeFile(path.join(MAIL_DIR, name), message);
+};
+
+module.exports = { send };
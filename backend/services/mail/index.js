@@ -0,0 +1,31 @@
+// Outgoing mail. MAIL_TRANSPORT picks the transport (console by default);
+// each one exposes send({ from, to, subject, text }).
+const TRANSPORTS = {
+  console: () => require("./console"),
+  file: () => require("./file"),
+  smtp: () => require("./smtp"),
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const load = TRANSPORTS[name];
+  if (!load) throw new Error(`Unknown mail transport '${name}'`);
+  return load();
+};
+
+const sendMail = ({ to, subject, text }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "EventHub <no-reply@eventhub.local>",
+    to,
+    subject,
+    text,
+  });
+
+// Links in emails point at the frontend
+const appUrl = (pathname) =>
+  `${(process.env.APP_URL || "http://localhost:5173").replace(
+    /\/$/,
+    ""
+  )}${pathname}`;
+
+module.exports = { sendMail, appUrl };
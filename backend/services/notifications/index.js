@@ -0,0 +1,116 @@
+const User = require("../../models/User");
+const { sendMail, appUrl } = require("../mail");
+
+// Emails to the people attending an event. Each kind is covered by one of
+// the user's opt-out preferences (User.notifications).
+
+// Emails have no viewer time zone to go on, so times are given in the
+// event's own zone, named
+const formatWhen = (date, event) =>
+  new Date(date).toLocaleString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+    timeZone: event.timeZone || "UTC",
+    ...(!event.allDay && {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZoneName: "short",
+    }),
+  });
+
+// Users among `userIds` who haven't turned `preference` off
+const recipients = (userIds, preference) =>
+  User.find({
+    _id: { $in: userIds },
+    [`notifications.${preference}`]: { $ne: false },
+  }).select("username email");
+
+// Send one message per recipient. A failed send is logged and skipped so
+// the others still go out. Resolves with the number sent.
+const notify = async (userIds, preference, { subject, lines }) => {
+  const users = await recipients(userIds, preference);
+  let sent = 0;
+  for (const user of users) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject,
+        text: [
+          `Hi ${user.username},`,
+          "",
+          ...lines,
+          "",
+          `Manage these emails: ${appUrl("/settings/notifications")}`,
+        ].join("\n"),
+      });
+      sent++;
+    } catch (err) {
+      console.error(`Notification to ${user.email} failed:`, err.message);
+    }
+  }
+  return sent;
+};
+
+// Everyone holding a seat or waiting for one
+const everyoneWaiting = (event) => [
+  ...event.attendees,
+  ...(event.waitlist || []).map((w) => w.user),
+];
+
+// `label` is the human offset, e.g. "1 hour"
+const sendReminder = (event, label) =>
+  notify(event.attendees, "reminders", {
+    subject: `Reminder: "${event.title}" starts in ${label}`,
+    lines: [
+      `"${event.title}" starts in ${label}.`,
+      "",
+      `When: ${formatWhen(event.date, event)}`,
+      `Where: ${event.location}`,
+      "",
+      appUrl(`/events/${event._id}`),
+    ],
+  });
+
+// `previous` holds the date and location from before the edit
+const notifyEventChanged = (event, previous) => {
+  const changes = [];
+  if (new Date(previous.date).getTime() !== event.date.getTime())
+    changes.push(
+      `When: ${formatWhen(event.date, event)} (was ${formatWhen(
+        previous.date,
+        event
+      )})`
+    );
+  if (previous.location !== event.location)
+    changes.push(`Where: ${event.location} (was ${previous.location})`);
+  if (changes.length === 0) return Promise.resolve(0);
+
+  return notify(everyoneWaiting(event), "eventUpdates", {
+    subject: `"${event.title}" has changed`,
+    lines: [
+      `The organizer updated "${event.title}":`,
+      "",
+      ...changes,
+      "",
+      appUrl(`/events/${event._id}`),
+    ],
+  });
+};
+
+const notifyEventCancelled = (event) =>
+  notify(everyoneWaiting(event), "eventUpdates", {
+    subject: `"${event.title}" has been cancelled`,
+    lines: [
+      `"${event.title}", planned for ${formatWhen(
+        event.date,
+        event
+      )}, has been cancelled by the organizer.`,
+      ...(event.cancellationReason
+        ? [`Reason: ${event.cancellationReason}`]
+        : []),
+    ],
+  });
+
+module.exports = { sendReminder, notifyEventChanged, notifyEventCancelled };
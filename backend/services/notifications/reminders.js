@@ -0,0 +1,69 @@
+const Event = require("../../models/Event");
+const { sendReminder } = require("./index");
+
+const UNITS = {
+  m: { ms: 60 * 1000, name: "minute" },
+  h: { ms: 60 * 60 * 1000, name: "hour" },
+  d: { ms: 24 * 60 * 60 * 1000, name: "day" },
+};
+
+// "24h,1h" -> [{ key: "1h", ms, label: "1 hour" }, { key: "24h", ... }],
+// smallest first
+const parseOffsets = (value) =>
+  value
+    .split(",")
+    .map((part) => part.trim())
+    .map((key) => {
+      const match = /^(\d+)([mhd])$/.exec(key);
+      if (!match) throw new Error(`Invalid reminder offset '${key}'`);
+      const amount = Number(match[1]);
+      const unit = UNITS[match[2]];
+      return {
+        key,
+        ms: amount * unit.ms,
+        label: `${amount} ${unit.name}${amount === 1 ? "" : "s"}`,
+      };
+    })
+    .sort((a, b) => a.ms - b.ms);
+
+const OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || "24h,1h");
+
+// Mail reminders for events whose start falls inside a reminder offset.
+// Drafts and cancelled events get none.
+// An event first seen inside several windows (e.g. created 30 minutes before
+// it starts) gets only the nearest reminder. Claiming the offsets is a
+// conditional update, so each reminder goes out once even with several
+// servers running the scheduler.
+const sendDueReminders = async (now = new Date()) => {
+  if (OFFSETS.length === 0) return;
+  const keys = OFFSETS.map((o) => o.key);
+  const latest = new Date(now.getTime() + OFFSETS[OFFSETS.length - 1].ms);
+
+  const events = await Event.find({
+    $and: [Event.visibleFilter(), Event.rsvpOpenFilter()],
+    date: { $gt: now, $lte: latest },
+    remindersSent: { $not: { $all: keys } },
+  }).select("title date timeZone allDay location attendees remindersSent");
+
+  for (const event of events) {
+    const startsIn = event.date.getTime() - now.getTime();
+    const due = OFFSETS.filter(
+      (o) => startsIn <= o.ms && !event.remindersSent.includes(o.key)
+    );
+    if (due.length === 0) continue;
+
+    const claimed = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        date: event.date,
+        remindersSent: { $nin: due.map((o) => o.key) },
+      },
+      { $addToSet: { remindersSent: { $each: due.map((o) => o.key) } } }
+    );
+    if (!claimed) continue;
+
+    await sendReminder(event, due[0].label);
+  }
+};
+
+module.exports = { sendDueReminders };
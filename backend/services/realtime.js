@@ -0,0 +1,112 @@
+// Live event updates over Server-Sent Events. Each connected client either
+// follows every publicly listed event (the dashboard) or a single event by
+// id (an event page), so unlisted and invite-only events are only pushed to
+// people already looking at them.
+//
+// Clients are held in memory: with several server instances each one only
+// reaches its own connections.
+const clients = new Set();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const subscribe = (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  const client = {
+    res,
+    eventId: typeof req.query.event === "string" ? req.query.event : null,
+  };
+  clients.add(client);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+const format = (type, data) =>
+  `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Dashboards only get events that are listed. One that just stopped being
+// listed (made private, hidden by a moderator) reaches them as deleted.
+const publish = (event, type, data) => {
+  if (clients.size === 0) return;
+  const id = event._id.toString();
+  const message = format(type, { _id: id, ...data });
+
+  let dashboardMessage = null;
+  if (event.isListed()) dashboardMessage = message;
+  else if (type !== "seats") dashboardMessage = format("deleted", { _id: id });
+
+  // Event pages follow GET /:id: drafts and events a moderator took down are
+  // not public. Viewers of one just taken down are told it's gone; drafts
+  // are only open to their team, who get nothing rather than being sent away.
+  let eventMessage = null;
+  if (event.isVisible()) eventMessage = message;
+  else if (event.status !== "draft" && type !== "seats")
+    eventMessage = format("deleted", { _id: id });
+
+  for (const client of clients) {
+    if (client.eventId) {
+      if (client.eventId === id && eventMessage) client.res.write(eventMessage);
+    } else if (dashboardMessage) client.res.write(dashboardMessage);
+  }
+};
+
+// The stream is open to anyone, so seats go out as counts: who holds them,
+// their tickets and check-ins stay behind the authenticated endpoints.
+// Event pages reload through those on every message.
+const seatCounts = (event) => ({
+  capacity: event.capacity,
+  attendeeCount: event.attendees.length,
+  waitlistCount: event.waitlist.length,
+  ticketsTaken: Object.fromEntries(
+    (event.ticketTypes || []).map((tier) => [
+      tier._id.toString(),
+      (event.tickets || []).filter(
+        (t) => t.ticketType && t.ticketType.equals(tier._id)
+      ).length,
+    ])
+  ),
+});
+
+// Seats changed: an RSVP, a cancellation or a waitlist promotion
+const publishSeats = (event) => publish(event, "seats", seatCounts(event));
+
+// Details changed. Organizer and team are left out; clients keep the
+// populated copies they already have.
+const publishUpdate = (event) =>
+  publish(event, "updated", {
+    title: event.title,
+    description: event.description,
+    date: event.date,
+    endDate: event.endDate,
+    timeZone: event.timeZone,
+    allDay: event.allDay,
+    location: event.location,
+    address: event.address,
+    geo: event.geo,
+    image: event.image,
+    ticketTypes: event.ticketTypes,
+    visibility: event.visibility,
+    category: event.category,
+    tags: event.tags,
+    status: event.status,
+    publishAt: event.publishAt,
+    cancellationReason: event.cancellationReason,
+    ...seatCounts(event),
+  });
+
+// Deleted, or taken down by a moderator
+const publishDeleted = (event) => publish(event, "deleted", {});
+
+module.exports = { subscribe, publishSeats, publishUpdate, publishDeleted };
@@ -0,0 +1,39 @@
+const { sendDueReminders } = require("./notifications/reminders");
+const { publishScheduled, completeEnded } = require("./lifecycle");
+
+// Background jobs, run one after another on every tick. A tick is skipped
+// while the previous one is still running.
+const JOBS = [
+  { name: "publish scheduled", run: publishScheduled },
+  { name: "reminders", run: sendDueReminders },
+  { name: "complete ended", run: completeEnded },
+];
+
+const INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let running = false;
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    for (const job of JOBS) {
+      try {
+        await job.run(new Date());
+      } catch (err) {
+        console.error(`Scheduled job '${job.name}' failed:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+// SCHEDULER_DISABLED=true turns it off, e.g. on extra web instances
+const startScheduler = () => {
+  if (process.env.SCHEDULER_DISABLED === "true") return;
+  tick();
+  setInterval(tick, INTERVAL_MS);
+};
+
+module.exports = { startScheduler };
@@ -0,0 +1,23 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+// Imgbb hosting. Its API has no delete call, so removed images stay hosted.
+const save = async (file) => {
+  const formData = new FormData();
+  formData.append("image", file.buffer.toString("base64"));
+
+  const response = await axios.post(
+    `https://api.imgbb.com/1/upload?key=${process.env.IMGBB_API_KEY}`,
+    formData,
+    {
+      headers: formData.getHeaders(),
+    }
+  );
+
+  const { id, url } = response.data.data;
+  return { key: id, url };
+};
+
+const remove = async () => {};
+
+module.exports = { save, remove };
@@ -0,0 +1,48 @@
+const crypto = require("crypto");
+
+// Image storage drivers. Each exposes save(file, { key, baseUrl }) ->
+// { key, url } and remove(key). STORAGE_DRIVER picks the one used for new
+// uploads; events remember which driver stored their image so it can still
+// be removed after the setting changes.
+const DRIVERS = {
+  local: () => require("./local"),
+  imgbb: () => require("./imgbb"),
+  s3: () => require("./s3"),
+};
+
+const defaultDriver = () =>
+  process.env.STORAGE_DRIVER || (process.env.IMGBB_API_KEY ? "imgbb" : "local");
+
+const getDriver = (name) => {
+  const load = DRIVERS[name];
+  if (!load) throw new Error(`Unknown storage driver '${name}'`);
+  return load();
+};
+
+// Accepted uploads. The extension comes from here rather than the client's
+// file name, so nothing but images ends up being served.
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+const isSupportedImage = (file) => Boolean(IMAGE_TYPES[file.mimetype]);
+
+const generateKey = (file) =>
+  `${crypto.randomBytes(16).toString("hex")}${IMAGE_TYPES[file.mimetype]}`;
+
+// Returns { url, key, storage } to keep on the event
+const saveImage = async (file, { baseUrl } = {}) => {
+  const storage = defaultDriver();
+  const { url, key } = await getDriver(storage).save(file, {
+    key: generateKey(file),
+    baseUrl,
+  });
+  return { url, key, storage };
+};
+
+const removeImage = (storage, key) => getDriver(storage).remove(key);
+
+module.exports = { saveImage, removeImage, isSupportedImage };
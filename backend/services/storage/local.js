@@ -0,0 +1,24 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Files on the API server's own disk, served by Express under /uploads
+const UPLOAD_DIR = path.resolve(
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads")
+);
+const PUBLIC_PATH = "/uploads";
+
+const save = async (file, { key, baseUrl = "" }) => {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(path.join(UPLOAD_DIR, key), file.buffer);
+  return { key, url: `${baseUrl}${PUBLIC_PATH}/${key}` };
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(path.join(UPLOAD_DIR, path.basename(key)));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+module.exports = { save, remove, UPLOAD_DIR, PUBLIC_PATH };
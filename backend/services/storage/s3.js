@@ -0,0 +1,59 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Amazon S3 or any S3-compatible service (MinIO, R2, Spaces...) when
+// S3_ENDPOINT is set
+let client;
+const getClient = () => {
+  if (!client)
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  return client;
+};
+
+const bucket = () => {
+  if (!process.env.S3_BUCKET) throw new Error("S3_BUCKET is not set");
+  return process.env.S3_BUCKET;
+};
+
+const objectUrl = (key) => {
+  if (process.env.S3_PUBLIC_URL)
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+  if (process.env.S3_ENDPOINT)
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket()}/${key}`;
+  return `https://${bucket()}.s3.${
+    process.env.S3_REGION || "us-east-1"
+  }.amazonaws.com/${key}`;
+};
+
+const save = async (file, { key }) => {
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+      Body: file.buffer,
+      ContentType: file.mimetype,
+    })
+  );
+  return { key, url: objectUrl(key) };
+};
+
+const remove = async (key) => {
+  await getClient().send(
+    new DeleteObjectCommand({ Bucket: bucket(), Key: key })
+  );
+};
+
+module.exports = { save, remove };
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Access tokens name their session so revoking it signs the device out
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign(
+    { id: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Refresh tokens are "<session id>.<secret>"
+const refreshTokenFor = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || "").split(".");
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const userJson = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || "",
+  avatar: user.avatar || null,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  role: user.role || "user",
+});
+
+// Body returned by register, login and refresh
+const tokenResponse = (user, session, secret) => ({
+  token: signAccessToken(user._id, session._id),
+  refreshToken: refreshTokenFor(session, secret),
+  user: userJson(user),
+});
+
+const startSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get("user-agent") || "").slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return tokenResponse(user, session, secret);
+};
+
+// Swap a refresh token for a new pair. Returns { session, secret } or
+// { error }. The swap is conditional on the presented hash, so two refreshes
+// racing with the same token can't both succeed.
+const rotateSession = async (token, req) => {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return { error: "Invalid refresh token" };
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive())
+    return { error: "Session expired, please log in again" };
+
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      tokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+    },
+    {
+      tokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      userAgent: (req.get("user-agent") || "").slice(0, 300),
+      ip: req.ip,
+    },
+    { new: true }
+  );
+
+  // A token that was already rotated away is being replayed - whoever holds
+  // it isn't the legitimate client, so end the session for both of them
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return { error: "Refresh token reuse detected, please log in again" };
+  }
+
+  return { session: rotated, secret };
+};
+
+// Revoke the session a refresh token belongs to. Like rotateSession it needs
+// the secret, not just the (guessable) session id.
+const endSession = async (token) => {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return;
+  await Session.updateOne(
+    {
+      _id: parsed.sessionId,
+      tokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+    },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  endSession,
+  tokenResponse,
+  parseRefreshToken,
+  userJson,
+};
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const Event = require("../models/Event");
+const { normalizeTag } = require("./tags");
+const { EARTH_RADIUS_KM, parseLatLng } = require("./geo");
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Sort keys accepted by GET /api/events. Every sort gets _id as a tie-breaker
+// so the cursor always points at a unique position.
+const SORTS = {
+  date: { field: "date", direction: 1 },
+  "-date": { field: "date", direction: -1 },
+  "-createdAt": { field: "createdAt", direction: -1 },
+  title: { field: "title", direction: 1 },
+};
+
+const DATE_FIELDS = ["date", "createdAt"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const encodeCursor = (event, sort) =>
+  Buffer.from(
+    JSON.stringify({ v: event[sort.field], id: event._id.toString() })
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!mongoose.isValidObjectId(id)) return null;
+    return {
+      value: DATE_FIELDS.includes(sort.field) ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Events hidden or removed by moderators never show up, and unlisted or
+// invite-only events are only reachable by link
+const publicListing = () => [Event.visibleFilter(), Event.listedFilter()];
+
+// Translate the listing query string into a Mongo filter, sort and page size.
+// `base` picks which events are in scope at all. Returns { error } when a
+// parameter is malformed.
+const buildEventQuery = (query, base = publicListing()) => {
+  const conditions = [...base];
+  const now = new Date();
+
+  // A repeated ?q= arrives as an array
+  const q = query.q ? String(query.q).trim() : "";
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    conditions.push({
+      $or: [
+        { title: pattern },
+        { description: pattern },
+        { location: pattern },
+        { tags: normalizeTag(q) },
+      ],
+    });
+  }
+
+  if (query.category) conditions.push({ category: String(query.category) });
+
+  // ?tags=a,b matches events carrying every one of them
+  if (query.tags) {
+    const tags = String(query.tags)
+      .split(",")
+      .map(normalizeTag)
+      .filter(Boolean);
+    if (tags.length > 0) conditions.push({ tags: { $all: tags } });
+  }
+
+  // ?near=lat,lng&radius=km. $geoWithin (unlike $near) leaves the sort
+  // alone, so cursors keep working.
+  if (query.near) {
+    const center = parseLatLng(query.near);
+    if (!center) return { error: "'near' must be 'lat,lng'" };
+    let radius = DEFAULT_RADIUS_KM;
+    if (query.radius !== undefined) {
+      radius = Number(query.radius);
+      if (!(radius > 0) || radius > MAX_RADIUS_KM)
+        return { error: `'radius' must be between 0 and ${MAX_RADIUS_KM} km` };
+    }
+    conditions.push({
+      geo: {
+        $geoWithin: {
+          $centerSphere: [[center.lng, center.lat], radius / EARTH_RADIUS_KM],
+        },
+      },
+    });
+  } else if (query.radius !== undefined)
+    return { error: "'radius' needs 'near'" };
+
+  const dateRange = {};
+  if (query.from) {
+    const from = parseDate(query.from);
+    if (!from) return { error: "Invalid 'from' date" };
+    dateRange.$gte = from;
+  }
+  if (query.to) {
+    const to = parseDate(query.to);
+    if (!to) return { error: "Invalid 'to' date" };
+    dateRange.$lte = to;
+  }
+  if (Object.keys(dateRange).length > 0) conditions.push({ date: dateRange });
+
+  const notOver = Event.notOverFilter(now);
+  if (query.when === "upcoming") conditions.push(notOver);
+  else if (query.when === "past") conditions.push({ $nor: [notOver] });
+  else if (query.when && query.when !== "all")
+    return { error: "'when' must be one of upcoming, past or all" };
+
+  if (query.available === "true")
+    conditions.push(Event.rsvpOpenFilter(), {
+      $expr: { $lt: [{ $size: "$attendees" }, "$capacity"] },
+    });
+
+  const sortKey = query.sort || "date";
+  const sort = SORTS[sortKey];
+  if (!sort)
+    return { error: `'sort' must be one of ${Object.keys(SORTS).join(", ")}` };
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) return { error: "Invalid 'limit'" };
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) return { error: "Invalid cursor" };
+    const op = sort.direction === 1 ? "$gt" : "$lt";
+    conditions.push({
+      $or: [
+        { [sort.field]: { [op]: cursor.value } },
+        { [sort.field]: cursor.value, _id: { [op]: cursor.id } },
+      ],
+    });
+  }
+
+  return {
+    filter: { $and: conditions },
+    sort,
+    sortSpec: { [sort.field]: sort.direction, _id: sort.direction },
+    limit,
+  };
+};
+
+module.exports = { buildEventQuery, encodeCursor };
@@ -0,0 +1,307 @@
+const { MAX_CAPACITY, parseTicketTypes } = require("./ticketTypes");
+const { parseRecurrence } = require("./recurrence");
+const { parseTags } = require("./tags");
+const { ADDRESS_FIELDS, parseLatLng } = require("./geo");
+const {
+  DAY_MS,
+  isValidTimeZone,
+  parseEventTime,
+  zonedTimeToUtc,
+  zonedDay,
+  addDays,
+  WALL_TIME,
+} = require("./time");
+
+const VISIBILITIES = ["public", "unlisted", "invite"];
+const CATEGORY_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+const MAX_DURATION_DAYS = 90;
+const SCHEDULE_FIELDS = ["date", "endDate", "duration", "allDay", "timeZone"];
+// Statuses an event can be created in; later changes go through the status
+// endpoint
+const CREATE_STATUSES = ["draft", "published"];
+
+// Fields an organizer may set directly. Everything else in the body
+// (attendees, organizer, tickets, waitlist, ...) is ignored.
+const TEXT_FIELDS = {
+  title: { label: "Title", min: 3, max: 120 },
+  description: { label: "Description", min: 10, max: 5000 },
+  location: { label: "Location", min: 2, max: 200 },
+};
+
+// Structured address from the form: an object (or JSON string, for
+// multipart bodies) of optional text fields. Resolves to null when empty.
+const parseAddress = (raw) => {
+  let address = raw;
+  if (typeof raw === "string") {
+    try {
+      address = JSON.parse(raw);
+    } catch (e) {
+      return { error: "Address must be valid JSON" };
+    }
+  }
+  if (!address || typeof address !== "object" || Array.isArray(address))
+    return { error: "Address must be an object" };
+
+  const parsed = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = address[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string" || value.trim().length > 200)
+      return {
+        error: `Address ${field} must be text of at most 200 characters`,
+      };
+    if (value.trim()) parsed[field] = value.trim();
+  }
+  return { address: Object.keys(parsed).length > 0 ? parsed : null };
+};
+
+const parseBoolean = (value) => value === true || value === "true";
+
+// The calendar day the organizer meant: taken as written from wall-clock
+// input, otherwise the instant's day in the event's zone
+const dayIn = (raw, date, timeZone) =>
+  typeof raw === "string" && WALL_TIME.test(raw.trim())
+    ? raw.trim().slice(0, 10)
+    : zonedDay(date, timeZone);
+
+// Start, end, zone and all-day flag, which only make sense together.
+//
+// Bare "YYYY-MM-DDTHH:mm" times are read in the event's zone. The end comes
+// from `endDate` or `duration` (minutes); when neither is sent the event
+// keeps its current length (2 hours for new events). All-day events take
+// dates: they start at midnight in their zone and `endDate` is the last day,
+// stored as the following midnight.
+const checkSchedule = (body, { partial, current }, values, errors) => {
+  const present = (field) =>
+    body[field] !== undefined && body[field] !== null && body[field] !== "";
+  if (partial && !SCHEDULE_FIELDS.some(present)) return;
+
+  let timeZone = current?.timeZone || "UTC";
+  if (present("timeZone")) {
+    if (!isValidTimeZone(body.timeZone)) {
+      errors.timeZone = "Time zone must be an IANA zone like Europe/Paris";
+      return;
+    }
+    timeZone = body.timeZone;
+    values.timeZone = timeZone;
+  }
+
+  const allDay = present("allDay")
+    ? parseBoolean(body.allDay)
+    : Boolean(current?.allDay);
+  if (present("allDay")) values.allDay = allDay;
+
+  const rawStart = present("date") ? body.date : current?.date;
+  let start = rawStart && parseEventTime(rawStart, timeZone);
+  if (!start) {
+    errors.date = "Date is required";
+    return;
+  }
+  const startDay = dayIn(rawStart, start, timeZone);
+  if (allDay) start = zonedTimeToUtc(startDay, timeZone);
+
+  const unchanged = current && start.getTime() === current.date.getTime();
+  const startsPast = allDay
+    ? zonedTimeToUtc(addDays(startDay, 1), timeZone) <= new Date()
+    : start <= new Date();
+  if (startsPast && !unchanged) {
+    errors.date = "Date must be in the future";
+    return;
+  }
+
+  let end;
+  if (present("endDate")) {
+    const rawEnd = body.endDate;
+    end = parseEventTime(rawEnd, timeZone);
+    if (end && allDay) {
+      end = zonedTimeToUtc(addDays(dayIn(rawEnd, end, timeZone), 1), timeZone);
+    }
+    if (!end) {
+      errors.endDate = "End must be a valid date";
+      return;
+    }
+  } else if (present("duration")) {
+    const minutes = Number(body.duration);
+    if (allDay || !Number.isInteger(minutes) || minutes < 1) {
+      errors.endDate = allDay
+        ? "All-day events take an end date, not a duration"
+        : "Duration must be a whole number of minutes";
+      return;
+    }
+    end = new Date(start.getTime() + minutes * 60000);
+  } else if (allDay) {
+    // Same number of days as before, or a single day
+    const days =
+      current?.allDay && current.endDate
+        ? Math.max(Math.round((current.endDate - current.date) / DAY_MS), 1)
+        : 1;
+    end = zonedTimeToUtc(addDays(startDay, days), timeZone);
+  } else {
+    const length =
+      current && !current.allDay && current.endDate
+        ? current.endDate - current.date
+        : DEFAULT_DURATION_MS;
+    end = new Date(start.getTime() + length);
+  }
+
+  if (end <= start) errors.endDate = "End must be after the start";
+  else if (end - start > MAX_DURATION_DAYS * DAY_MS)
+    errors.endDate = `Events can last at most ${MAX_DURATION_DAYS} days`;
+  else {
+    values.date = start;
+    values.endDate = end;
+  }
+};
+
+const checkText = (value, { label, min, max }) => {
+  if (typeof value !== "string" || !value.trim()) return `${label} is required`;
+  const length = value.trim().length;
+  if (length < min) return `${label} must be at least ${min} characters`;
+  if (length > max) return `${label} must be at most ${max} characters`;
+  return null;
+};
+
+// New events may start as drafts, optionally with a publishAt time (a bare
+// wall-clock time is read in the event's zone). An empty publishAt clears it.
+const checkPublishing = (body, { partial, current }, values, errors) => {
+  if (!partial && body.status !== undefined) {
+    if (!CREATE_STATUSES.includes(body.status))
+      errors.status = `Status must be one of ${CREATE_STATUSES.join(", ")}`;
+    else values.status = body.status;
+  }
+
+  if (body.publishAt === undefined) return;
+  if (body.publishAt === null || body.publishAt === "") {
+    values.publishAt = null;
+    return;
+  }
+  const status = partial ? current.status : values.status || "draft";
+  if (status !== "draft") {
+    errors.publishAt = "Only drafts can be scheduled for publishing";
+    return;
+  }
+  const timeZone = values.timeZone || current?.timeZone || "UTC";
+  const publishAt = parseEventTime(body.publishAt, timeZone);
+  const start = values.date || current?.date;
+  if (!publishAt) errors.publishAt = "Publish time must be a valid date";
+  else if (publishAt <= new Date())
+    errors.publishAt = "Publish time must be in the future";
+  else if (start && publishAt >= start)
+    errors.publishAt = "Publish time must be before the event starts";
+  else {
+    values.publishAt = publishAt;
+    if (!partial) values.status = "draft";
+  }
+};
+
+// Validate and whitelist an event create/update body.
+//
+// With `partial`, only the fields present are checked (updates). `current`
+// is the stored event on update; an unchanged date may stay in the past so
+// past events can still be edited. See checkSchedule for dates and zones.
+//
+// The category is only checked for shape; the route makes sure it exists.
+// An empty category clears it.
+//
+// Returns { values } or { errors } with one message per field.
+const validateEvent = (body, { partial = false, current } = {}) => {
+  const values = {};
+  const errors = {};
+  const present = (field) =>
+    body[field] !== undefined && (!partial || body[field] !== null);
+
+  for (const [field, rules] of Object.entries(TEXT_FIELDS)) {
+    if (!present(field) && partial) continue;
+    const error = checkText(body[field], rules);
+    if (error) errors[field] = error;
+    else values[field] = body[field].trim();
+  }
+
+  checkSchedule(body, { partial, current }, values, errors);
+  checkPublishing(body, { partial, current }, values, errors);
+
+  if (present("ticketTypes") && body.ticketTypes !== "") {
+    const parsed = parseTicketTypes(
+      body.ticketTypes,
+      values.timeZone || current?.timeZone || "UTC"
+    );
+    if (parsed.error) errors.ticketTypes = parsed.error;
+    else {
+      values.ticketTypes = parsed.ticketTypes;
+      // Tiers replace the single capacity number with per-tier capacities
+      if (parsed.ticketTypes.length > 0) values.capacity = parsed.capacity;
+    }
+  }
+
+  if (values.capacity === undefined && (present("capacity") || !partial)) {
+    const capacity = Number(body.capacity);
+    if (
+      body.capacity === "" ||
+      !Number.isInteger(capacity) ||
+      capacity < 1 ||
+      capacity > MAX_CAPACITY
+    )
+      errors.capacity = `Capacity must be a whole number between 1 and ${MAX_CAPACITY}`;
+    else values.capacity = capacity;
+  }
+
+  if (present("visibility")) {
+    if (!VISIBILITIES.includes(body.visibility))
+      errors.visibility = `Visibility must be one of ${VISIBILITIES.join(
+        ", "
+      )}`;
+    else values.visibility = body.visibility;
+  }
+
+  if (body.category !== undefined) {
+    if (body.category === "" || body.category === null) values.category = null;
+    else if (
+      typeof body.category !== "string" ||
+      !CATEGORY_SLUG.test(body.category)
+    )
+      errors.category = "Unknown category";
+    else values.category = body.category;
+  }
+
+  if (body.tags !== undefined && body.tags !== null) {
+    const parsed = parseTags(body.tags);
+    if (parsed.error) errors.tags = parsed.error;
+    else values.tags = parsed.tags;
+  }
+
+  if (body.address !== undefined) {
+    const parsed =
+      body.address === null || body.address === ""
+        ? { address: null }
+        : parseAddress(body.address);
+    if (parsed.error) errors.address = parsed.error;
+    else values.address = parsed.address;
+  }
+
+  // Optional pin ("lat,lng" or { lat, lng }); without one the address is
+  // geocoded
+  if (body.coordinates !== undefined && body.coordinates !== null) {
+    const coordinates = parseLatLng(body.coordinates);
+    if (!coordinates)
+      errors.coordinates = "Coordinates must be a valid 'lat,lng' pair";
+    else values.coordinates = coordinates;
+  }
+
+  if (!partial && body.recurrence) {
+    const parsed = parseRecurrence(
+      body.recurrence,
+      values.timeZone || current?.timeZone || "UTC"
+    );
+    if (parsed.error) errors.recurrence = parsed.error;
+    else values.recurrence = parsed.recurrence;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+};
+
+// Standard 400 body for validation failures
+const validationError = (res, errors) =>
+  res.status(400).json({ message: Object.values(errors)[0], errors });
+
+module.exports = { validateEvent, validationError };
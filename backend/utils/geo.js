@@ -0,0 +1,35 @@
+const EARTH_RADIUS_KM = 6378.1;
+
+const ADDRESS_FIELDS = ["street", "city", "region", "postalCode", "country"];
+
+// "40.71,-74.00" -> { lat: 40.71, lng: -74 }, or null when it isn't a valid
+// pair of coordinates
+const parseLatLng = (value) => {
+  if (value && typeof value === "object")
+    return parseLatLng(`${value.lat},${value.lng}`);
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(
+    String(value ?? "")
+  );
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lng = Number(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+};
+
+// GeoJSON keeps longitude first
+const toPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] });
+
+// One line for geocoders and display: "1 Main St, Springfield, IL, 62701, US"
+const formatAddress = (address) =>
+  ADDRESS_FIELDS.map((field) => address?.[field])
+    .filter(Boolean)
+    .join(", ");
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  ADDRESS_FIELDS,
+  parseLatLng,
+  toPoint,
+  formatAddress,
+};
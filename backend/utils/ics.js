@@ -0,0 +1,99 @@
+const { zonedDay } = require("./time");
+
+// Length given to events saved before they had an end time
+const DEFAULT_DURATION = "PT2H";
+const PRODID = "-//Mini Event Platform//Events//EN";
+
+// 20250102T030405Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 caps content lines at 75 octets; longer ones continue on the next
+// line after a single space.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+// All-day events are floating dates in the event's zone; DTEND is the day
+// after the last one. Events saved before end times existed get the
+// default duration.
+const timeLines = (event) => {
+  if (event.allDay && event.endDate) {
+    const timeZone = event.timeZone || "UTC";
+    const day = (date) => zonedDay(date, timeZone).replace(/-/g, "");
+    return [
+      `DTSTART;VALUE=DATE:${day(event.date)}`,
+      `DTEND;VALUE=DATE:${day(event.endDate)}`,
+    ];
+  }
+  return [
+    `DTSTART:${formatDate(event.date)}`,
+    event.endDate
+      ? `DTEND:${formatDate(event.endDate)}`
+      : `DURATION:${DEFAULT_DURATION}`,
+  ];
+};
+
+// UID and SEQUENCE let calendar apps update an event they already imported
+// instead of adding a duplicate when it is rescheduled or moved; STATUS
+// takes a cancelled event off their calendar.
+const eventLines = (event) => [
+  "BEGIN:VEVENT",
+  `UID:${event._id}@mini-event-platform`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTAMP:${formatDate(event.updatedAt || Date.now())}`,
+  ...timeLines(event),
+  ...(event.status === "cancelled" ? ["STATUS:CANCELLED"] : []),
+  `SUMMARY:${escapeText(event.title)}`,
+  `DESCRIPTION:${escapeText(event.description)}`,
+  `LOCATION:${escapeText(event.location)}`,
+  ...(event.geo?.coordinates?.length === 2
+    ? [`GEO:${event.geo.coordinates[1]};${event.geo.coordinates[0]}`]
+    : []),
+  "END:VEVENT",
+];
+
+// Build a VCALENDAR document from a list of events
+const buildCalendar = (events, { name } = {}) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(eventLines),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+const sendCalendar = (res, body, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename)
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+};
+
+module.exports = { buildCalendar, sendCalendar };
@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+const AuthToken = require("../models/AuthToken");
+
+const TTL_MS = {
+  "verify-email": 24 * 60 * 60 * 1000,
+  "reset-password": 60 * 60 * 1000,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// New token for the purpose; any earlier unused one stops working
+const issueToken = async (userId, purpose) => {
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[purpose]),
+  });
+  return token;
+};
+
+// Marks the token used and returns it, or null when it is unknown, expired or
+// already used. Checked and marked in one update so it can't be used twice.
+const consumeToken = (token, purpose) => {
+  if (!token || typeof token !== "string") return null;
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,50 @@
+// Who may do what to an event. The owner is `event.organizer`; everyone
+// else on the team is listed in `event.coOrganizers` with one of these roles.
+// frontend/src/utils/permissions.js mirrors this table - keep them in sync.
+const CO_ORGANIZER_ROLES = ["editor", "checkin"];
+
+const PERMISSIONS = {
+  owner: ["edit", "delete", "checkin", "manageTeam", "roster"],
+  editor: ["edit", "checkin", "roster"],
+  checkin: ["checkin"],
+};
+
+const idString = (value) =>
+  value && value._id ? value._id.toString() : String(value);
+
+// "owner", a co-organizer role, or null
+const eventRole = (event, userId) => {
+  if (!userId) return null;
+  if (idString(event.organizer) === userId) return "owner";
+  const member = (event.coOrganizers || []).find(
+    (c) => idString(c.user) === userId
+  );
+  return member ? member.role : null;
+};
+
+const can = (event, userId, permission) => {
+  const role = eventRole(event, userId);
+  return Boolean(role && PERMISSIONS[role].includes(permission));
+};
+
+// Query for the events on which userId holds `permission`, or has any place
+// on the team when no permission is given
+const teamFilter = (userId, permission) => ({
+  $or: [
+    { organizer: userId },
+    {
+      coOrganizers: {
+        $elemMatch: {
+          user: userId,
+          role: {
+            $in: CO_ORGANIZER_ROLES.filter(
+              (role) => !permission || PERMISSIONS[role].includes(permission)
+            ),
+          },
+        },
+      },
+    },
+  ],
+});
+
+module.exports = { CO_ORGANIZER_ROLES, eventRole, can, teamFilter };
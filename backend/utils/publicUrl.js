@@ -0,0 +1,8 @@
+// Base URL clients use to reach this API. Behind a proxy the request host
+// may be wrong, so PUBLIC_API_URL wins when set.
+const publicBaseUrl = (req) =>
+  (
+    process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/$/, "");
+
+module.exports = { publicBaseUrl };
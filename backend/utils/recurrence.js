@@ -0,0 +1,140 @@
+const {
+  parseEventTime,
+  zonedTimeToUtc,
+  zonedWallTime,
+  addDays,
+} = require("./time");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const MAX_OCCURRENCES = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Wall-clock times are handled as Dates whose UTC fields hold the time in
+// the event's zone, so stepping by days or months never crosses a DST change
+const toWall = (date, timeZone) =>
+  new Date(`${zonedWallTime(date, timeZone)}Z`);
+const fromWall = (wall, timeZone) =>
+  zonedTimeToUtc(wall.toISOString().slice(0, 19), timeZone);
+const toDateKey = (wall) => wall.toISOString().slice(0, 10);
+
+// Validate a recurrence rule coming from the create form. The form posts
+// multipart data, so the rule may arrive as a JSON string. Bare dates and
+// times are read in the event's zone.
+const parseRecurrence = (raw, timeZone = "UTC") => {
+  let rule = raw;
+  if (typeof raw === "string") {
+    try {
+      rule = JSON.parse(raw);
+    } catch (e) {
+      return { error: "Recurrence must be valid JSON" };
+    }
+  }
+  if (!rule || typeof rule !== "object")
+    return { error: "Recurrence must be an object" };
+
+  if (!FREQUENCIES.includes(rule.frequency))
+    return { error: `Frequency must be one of ${FREQUENCIES.join(", ")}` };
+
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1)
+    return { error: "Interval must be a positive whole number" };
+
+  let count;
+  if (rule.count !== undefined && rule.count !== "" && rule.count !== null) {
+    count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)
+      return {
+        error: `Count must be a whole number between 1 and ${MAX_OCCURRENCES}`,
+      };
+  }
+
+  let until;
+  if (rule.until) {
+    // A bare date means "through the end of that day"
+    until = DATE_ONLY.test(rule.until)
+      ? zonedTimeToUtc(addDays(rule.until, 1), timeZone)
+      : parseEventTime(rule.until, timeZone);
+    if (!until) return { error: "Invalid 'until' date" };
+    if (DATE_ONLY.test(rule.until)) until = new Date(until.getTime() - 1);
+  }
+
+  if (!count && !until)
+    return { error: "Recurrence needs either a count or an until date" };
+  if (count && until)
+    return { error: "Use either a count or an until date, not both" };
+
+  const exdates = Array.isArray(rule.exdates) ? rule.exdates : [];
+  if (exdates.some((d) => typeof d !== "string" || !DATE_ONLY.test(d)))
+    return { error: "Excluded dates must be YYYY-MM-DD strings" };
+
+  return {
+    recurrence: { frequency: rule.frequency, interval, count, until, exdates },
+  };
+};
+
+const addStep = (start, frequency, steps) => {
+  const next = new Date(start);
+  if (frequency === "daily") next.setUTCDate(next.getUTCDate() + steps);
+  else if (frequency === "weekly")
+    next.setUTCDate(next.getUTCDate() + steps * 7);
+  else {
+    next.setUTCMonth(next.getUTCMonth() + steps);
+    // Skip months without this day (e.g. the 31st) instead of rolling over
+    if (next.getUTCDate() !== start.getUTCDate()) return null;
+  }
+  return next;
+};
+
+// Expand a rule into the { date, endDate } of every occurrence, excluded
+// dates removed. Capped at MAX_OCCURRENCES.
+//
+// Occurrences keep the first one's wall-clock start and length in
+// `timeZone` (19:00 stays 19:00 across DST; all-day events keep their number
+// of days), and exdates are days in that zone.
+const generateOccurrences = (start, end, recurrence, timeZone = "UTC") => {
+  const { frequency, interval, count, until, exdates = [] } = recurrence;
+  const excluded = new Set(exdates);
+  const wallStart = toWall(start, timeZone);
+  const wallLength = toWall(end, timeZone) - wallStart;
+  const occurrences = [];
+
+  // count counts generated occurrences, including the excluded ones
+  for (let i = 0, generated = 0; occurrences.length < MAX_OCCURRENCES; i++) {
+    const wall = addStep(wallStart, frequency, i * interval);
+    if (wall === null) {
+      if (i > MAX_OCCURRENCES * 12) break;
+      continue;
+    }
+    const date = fromWall(wall, timeZone);
+    if (until && date > until) break;
+    if (count && generated >= count) break;
+    generated++;
+
+    if (!excluded.has(toDateKey(wall)))
+      occurrences.push({
+        date,
+        endDate: fromWall(new Date(wall.getTime() + wallLength), timeZone),
+      });
+  }
+
+  return occurrences;
+};
+
+// Wall-clock time between two instants: what an edit moved one occurrence
+// by, read in its old and new zone
+const wallShift = (from, to, fromZone, toZone = fromZone) =>
+  toWall(to, toZone) - toWall(from, fromZone);
+
+// Move another occurrence by that wall-clock amount, so it keeps its local
+// start time across DST changes
+const shiftOccurrence = (date, shift, fromZone, toZone = fromZone) =>
+  fromWall(new Date(toWall(date, fromZone).getTime() + shift), toZone);
+
+module.exports = {
+  parseRecurrence,
+  generateOccurrences,
+  wallShift,
+  shiftOccurrence,
+  MAX_OCCURRENCES,
+};
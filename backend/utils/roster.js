@@ -0,0 +1,174 @@
+const ExcelJS = require("exceljs");
+const User = require("../models/User");
+
+// Attendee roster for an event's organizing team: who is coming, when they
+// signed up and whether they have checked in.
+
+const STATUSES = ["attending", "waitlisted"];
+
+// Missing dates sort last either way round
+const byDate = (a, b) => {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return new Date(a) - new Date(b);
+};
+
+// ?sort= keys. A leading "-" reverses the order.
+const SORTS = {
+  name: (a, b) => a.username.localeCompare(b.username),
+  email: (a, b) => a.email.localeCompare(b.email),
+  rsvp: (a, b) => byDate(a.rsvpAt, b.rsvpAt),
+  checkin: (a, b) => byDate(a.checkedInAt, b.checkedInAt),
+};
+
+// A repeated ?sort= arrives as an array and matches no key
+const parseSort = (raw = "name") => {
+  const value = String(raw);
+  const desc = value.startsWith("-");
+  const key = desc ? value.slice(1) : value;
+  return SORTS[key] ? { key, desc } : null;
+};
+
+// One row per attendee and waitlisted user. Attendees who RSVP'd before
+// tickets existed have no ticket yet, so no RSVP time either.
+const buildRoster = async (event) => {
+  const userIds = [...event.attendees, ...event.waitlist.map((w) => w.user)];
+  const checkers = event.tickets.map((t) => t.checkedInBy).filter(Boolean);
+  const users = await User.find({ _id: { $in: [...userIds, ...checkers] } })
+    .select("username email")
+    .lean();
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+  const tierName = (id) => {
+    const tier = id && event.ticketTypes.id(id);
+    return tier ? tier.name : null;
+  };
+  const person = (id) => {
+    const user = byId.get(id.toString());
+    return {
+      userId: id.toString(),
+      // Accounts deleted since signing up still hold a seat
+      username: user ? user.username : "[deleted]",
+      email: user ? user.email : "",
+    };
+  };
+
+  const attending = event.attendees.map((id) => {
+    const ticket = event.tickets.find((t) => t.user.equals(id));
+    const checker =
+      ticket && ticket.checkedInBy && byId.get(ticket.checkedInBy.toString());
+    return {
+      ...person(id),
+      status: "attending",
+      ticketType: tierName(ticket && ticket.ticketType),
+      rsvpAt: ticket ? ticket.issuedAt : null,
+      checkedInAt: (ticket && ticket.checkedInAt) || null,
+      checkedInBy: checker ? checker.username : null,
+    };
+  });
+
+  const waitlisted = event.waitlist.map((entry) => ({
+    ...person(entry.user),
+    status: "waitlisted",
+    ticketType: tierName(entry.ticketType),
+    rsvpAt: entry.joinedAt,
+    checkedInAt: null,
+    checkedInBy: null,
+  }));
+
+  return [...attending, ...waitlisted];
+};
+
+// Narrow and order roster rows. Options come straight from the query string;
+// returns { rows } or { error }.
+const filterRoster = (rows, { q, status, checkedIn, sort } = {}) => {
+  if (status && !STATUSES.includes(status))
+    return { error: `'status' must be one of: ${STATUSES.join(", ")}` };
+  if (checkedIn !== undefined && !["true", "false"].includes(checkedIn))
+    return { error: "'checkedIn' must be true or false" };
+  const order = parseSort(sort);
+  if (!order)
+    return {
+      error: `'sort' must be one of: ${Object.keys(SORTS).join(
+        ", "
+      )} (prefix with - to reverse)`,
+    };
+
+  // A repeated ?q= arrives as an array
+  const term = q ? String(q).trim().toLowerCase() : "";
+  const result = rows.filter(
+    (row) =>
+      (!status || row.status === status) &&
+      (checkedIn === undefined ||
+        Boolean(row.checkedInAt) === (checkedIn === "true")) &&
+      (!term ||
+        row.username.toLowerCase().includes(term) ||
+        row.email.toLowerCase().includes(term))
+  );
+  result.sort(SORTS[order.key]);
+  if (order.desc) result.reverse();
+  return { rows: result };
+};
+
+const rosterCounts = (rows) => ({
+  attending: rows.filter((r) => r.status === "attending").length,
+  checkedIn: rows.filter((r) => r.checkedInAt).length,
+  waitlisted: rows.filter((r) => r.status === "waitlisted").length,
+});
+
+const COLUMNS = [
+  { header: "Username", key: "username", width: 24 },
+  { header: "Email", key: "email", width: 32 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Ticket type", key: "ticketType", width: 18 },
+  { header: "RSVP at", key: "rsvpAt", width: 22 },
+  { header: "Checked in at", key: "checkedInAt", width: 22 },
+  { header: "Checked in by", key: "checkedInBy", width: 20 },
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const rosterCsv = (rows) =>
+  [
+    COLUMNS.map((c) => csvCell(c.header)).join(","),
+    ...rows.map((row) => COLUMNS.map((c) => csvCell(row[c.key])).join(",")),
+  ].join("\r\n") + "\r\n";
+
+const rosterXlsx = async (rows, title) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Roster");
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  rows.forEach((row) =>
+    sheet.addRow(
+      // Plain values: exceljs only writes formulas given as { formula }
+      Object.fromEntries(COLUMNS.map(({ key }) => [key, row[key] ?? ""]))
+    )
+  );
+  ["rsvpAt", "checkedInAt"].forEach((key) => {
+    sheet.getColumn(key).numFmt = "yyyy-mm-dd hh:mm";
+  });
+  workbook.title = title;
+  return workbook.xlsx.writeBuffer();
+};
+
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+module.exports = {
+  buildRoster,
+  filterRoster,
+  rosterCounts,
+  rosterCsv,
+  rosterXlsx,
+  EXPORT_TYPES,
+};
@@ -0,0 +1,43 @@
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// "#Live Music " -> "live-music". Returns "" for anything with no usable
+// characters.
+const normalizeTag = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Tags from the create/edit form: a list, a JSON list (multipart bodies) or
+// a comma-separated string. Duplicates collapse; empty entries are dropped.
+const parseTags = (raw) => {
+  let list = raw;
+  if (typeof raw === "string") {
+    if (raw.trim().startsWith("[")) {
+      try {
+        list = JSON.parse(raw);
+      } catch (e) {
+        return { error: "Tags must be valid JSON" };
+      }
+    } else list = raw.split(",");
+  }
+  if (!Array.isArray(list)) return { error: "Tags must be a list" };
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS)
+    return { error: `At most ${MAX_TAGS} tags are allowed` };
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong)
+    return {
+      error: `Tag '${tooLong}' is longer than ${MAX_TAG_LENGTH} characters`,
+    };
+
+  return { tags };
+};
+
+module.exports = { normalizeTag, parseTags };
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const { parseEventTime } = require("./time");
+const { wallShift, shiftOccurrence } = require("./recurrence");
+
+const MAX_TICKET_TYPES = 10;
+// Seats per event, whether one number or the sum of the tiers
+const MAX_CAPACITY = 100000;
+
+// Validate the ticket tiers coming from the create/edit form. The create form
+// posts multipart data, so the list may arrive as a JSON string. Existing
+// tiers keep their _id so tickets already issued stay attached to them.
+// Bare sales times are wall-clock times in the event's zone.
+const parseTicketTypes = (raw, timeZone = "UTC") => {
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch (e) {
+      return { error: "Ticket types must be valid JSON" };
+    }
+  }
+  if (!Array.isArray(list)) return { error: "Ticket types must be a list" };
+  if (list.length > MAX_TICKET_TYPES)
+    return { error: `At most ${MAX_TICKET_TYPES} ticket types are allowed` };
+
+  const names = new Set();
+  const ticketTypes = [];
+
+  for (const tier of list) {
+    if (!tier || typeof tier !== "object" || Array.isArray(tier))
+      return { error: "Every ticket type must be an object" };
+    const name = typeof tier.name === "string" ? tier.name.trim() : "";
+    if (!name) return { error: "Every ticket type needs a name" };
+    if (names.has(name.toLowerCase()))
+      return { error: `Duplicate ticket type '${name}'` };
+    names.add(name.toLowerCase());
+
+    const capacity = Number(tier.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY)
+      return {
+        error: `Capacity for '${name}' must be a whole number between 1 and ${MAX_CAPACITY}`,
+      };
+
+    const parsed = { name, capacity };
+    if (tier._id) {
+      if (!mongoose.isValidObjectId(tier._id))
+        return { error: `Invalid id for '${name}'` };
+      parsed._id = tier._id;
+    }
+
+    for (const field of ["salesStart", "salesEnd"]) {
+      if (!tier[field]) continue;
+      const date = parseEventTime(tier[field], timeZone);
+      if (!date) return { error: `Invalid ${field} for '${name}'` };
+      parsed[field] = date;
+    }
+    if (
+      parsed.salesStart &&
+      parsed.salesEnd &&
+      parsed.salesEnd <= parsed.salesStart
+    )
+      return { error: `Sales for '${name}' must end after they start` };
+
+    ticketTypes.push(parsed);
+  }
+
+  const capacity = ticketTypes.reduce((sum, t) => sum + t.capacity, 0);
+  if (capacity > MAX_CAPACITY)
+    return {
+      error: `Ticket types can add up to at most ${MAX_CAPACITY} seats`,
+    };
+
+  return { ticketTypes, capacity };
+};
+
+// Why a tier can't be bought right now, or null if it can
+const salesWindowError = (tier, now = new Date()) => {
+  if (tier.salesStart && now < tier.salesStart)
+    return `Sales for ${tier.name} tickets have not started yet`;
+  if (tier.salesEnd && now > tier.salesEnd)
+    return `Sales for ${tier.name} tickets have ended`;
+  return null;
+};
+
+// The tiers from an edit, as they apply to a later occurrence of the series.
+// Tiers are matched by name so the tickets already issued there stay
+// attached, and sales windows keep the same distance from its start.
+const tiersForOccurrence = (ticketTypes, edited, occurrence, timeZone) => {
+  const shift = wallShift(edited.date, occurrence.date, timeZone);
+  const own = new Map(
+    occurrence.ticketTypes.map((tier) => [tier.name.toLowerCase(), tier._id])
+  );
+  return ticketTypes.map((tier) => {
+    const copy = { name: tier.name, capacity: tier.capacity };
+    const id = own.get(tier.name.toLowerCase());
+    if (id) copy._id = id;
+    for (const field of ["salesStart", "salesEnd"])
+      if (tier[field])
+        copy[field] = shiftOccurrence(tier[field], shift, timeZone);
+    return copy;
+  });
+};
+
+module.exports = {
+  MAX_CAPACITY,
+  parseTicketTypes,
+  salesWindowError,
+  tiersForOccurrence,
+};
@@ -0,0 +1,123 @@
+// Time zone helpers built on Intl, so no zone database ships with the app.
+// Event times are stored as UTC instants; the event's IANA zone says how to
+// read and display them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a zone
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at that instant
+const zoneOffset = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const WALL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// "2025-06-14T19:00" read as a wall-clock time in `timeZone`. Returns null
+// when it isn't in that form. Times skipped by a DST jump resolve to a
+// neighbouring valid time.
+const zonedTimeToUtc = (wallTime, timeZone) => {
+  const match = WALL_TIME.exec(wallTime);
+  if (!match) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0] = match.map((v) =>
+    v === undefined ? undefined : Number(v)
+  );
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (isNaN(guess)) return null;
+  // The offset at the guess may differ from the offset at the answer when
+  // a DST change falls in between; a second pass settles it
+  let result = guess - zoneOffset(new Date(guess), timeZone);
+  result = guess - zoneOffset(new Date(result), timeZone);
+  return new Date(result);
+};
+
+// Parse an event time. Strings with a "Z" or offset (and Date objects) are
+// exact instants; bare "YYYY-MM-DD[THH:mm]" strings are wall-clock times in
+// the event's zone. Returns null when invalid.
+const parseEventTime = (value, timeZone) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const text = value.trim();
+  if (WALL_TIME.test(text)) return zonedTimeToUtc(text, timeZone);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// "YYYY-MM-DD" of the instant in the zone
+const zonedDay = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return [p.year, p.month, p.day]
+    .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0"))
+    .join("-");
+};
+
+// "YYYY-MM-DDTHH:mm:ss" of the instant in the zone, the form zonedTimeToUtc
+// reads back
+const zonedWallTime = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return new Date(
+    Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  )
+    .toISOString()
+    .slice(0, 19);
+};
+
+// Calendar arithmetic on "YYYY-MM-DD"
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  parseEventTime,
+  zonedDay,
+  zonedWallTime,
+  addDays,
+  WALL_TIME,
+};
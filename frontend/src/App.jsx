@@ -11,6 +11,23 @@ import Dashboard from "./pages/Dashboard";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import CreateEvent from "./pages/CreateEvent";
+import EventDetails from "./pages/EventDetails";
+import Ticket from "./pages/Ticket";
+import CheckIn from "./pages/CheckIn";
+import Roster from "./pages/Roster";
+import Analytics from "./pages/Analytics";
+import MyEvents from "./pages/MyEvents";
+import Profile from "./pages/Profile";
+import AccountSettings from "./pages/AccountSettings";
+import Sessions from "./pages/Sessions";
+import Admin from "./pages/Admin";
+import NotificationSettings from "./pages/NotificationSettings";
+import VerifyEmail from "./pages/VerifyEmail";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmailBanner from "./components/VerifyEmailBanner";
+import ProtectedRoute from "./components/ProtectedRoute";
+import AdminRoute from "./components/AdminRoute";
 import { AnimatePresence } from "framer-motion";
 
 // Layout wrapper to handle AnimatePresence if we wanted page transitions
@@ -21,13 +38,99 @@ const Layout = () => {
   return (
     <div className="flex flex-col min-h-screen">
       <Navbar />
+      <VerifyEmailBanner />
       <main className="flex-grow">
         <AnimatePresence mode="wait">
           <Routes location={location} key={location.pathname}>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/" element={<Dashboard />} />
             <Route path="/create-event" element={<CreateEvent />} />
+            <Route path="/events/:id" element={<EventDetails />} />
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/settings/notifications"
+              element={
+                <ProtectedRoute>
+                  <NotificationSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin"
+              element={
+                <AdminRoute>
+                  <Admin />
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="/events/:id/ticket"
+              element={
+                <ProtectedRoute>
+                  <Ticket />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/events/:id/checkin"
+              element={
+                <ProtectedRoute>
+                  <CheckIn />
+                </ProtectedRoute>
+              }
+            />
+            <Route path="/users/:id" element={<Profile />} />
+            <Route
+              path="/settings/account"
+              element={
+                <ProtectedRoute>
+                  <AccountSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/my-events"
+              element={
+                <ProtectedRoute>
+                  <MyEvents />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/analytics"
+              element={
+                <ProtectedRoute>
+                  <Analytics />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/events/:id/roster"
+              element={
+                <ProtectedRoute>
+                  <Roster />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/events/:id/edit"
+              element={
+                <ProtectedRoute>
+                  <CreateEvent />
+                </ProtectedRoute>
+              }
+            />
           </Routes>
         </AnimatePresence>
       </main>
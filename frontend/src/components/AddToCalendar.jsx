@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { eventCalendarUrl } from "../utils/eventApi";
+
+// Events have no end time yet; match the two hours the .ics export uses
+const DURATION_MS = 2 * 60 * 60 * 1000;
+
+const toGoogleDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const googleCalendarUrl = (event) => {
+  const start = new Date(event.date);
+  const end = new Date(start.getTime() + DURATION_MS);
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: event.title,
+    dates: `${toGoogleDate(start)}/${toGoogleDate(end)}`,
+    details: event.description,
+    location: event.location,
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+};
+
+const AddToCalendar = ({ event, className = "" }) => {
+  const [open, setOpen] = useState(false);
+
+  const options = [
+    { label: "Apple / Outlook (.ics)", href: eventCalendarUrl(event._id) },
+    { label: "Google Calendar", href: googleCalendarUrl(event) },
+  ];
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        title="Add to calendar"
+        className="px-4 py-3 text-sm text-slate-300 hover:bg-white/10 border border-white/10 hover:border-white/30 rounded-lg transition-all duration-300"
+      >
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
+          />
+        </svg>
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 8 }}
+            className="absolute bottom-full right-0 mb-2 w-56 z-20 glass-strong rounded-xl border border-white/10 overflow-hidden"
+          >
+            {options.map((option) => (
+              <a
+                key={option.label}
+                href={option.href}
+                target="_blank"
+                rel="noreferrer"
+                onClick={() => setOpen(false)}
+                className="block px-4 py-3 text-sm text-slate-200 hover:bg-white/10 transition-colors"
+              >
+                {option.label}
+              </a>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default AddToCalendar;
@@ -0,0 +1,17 @@
+import { useContext } from "react";
+import { Navigate } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+
+// Like ProtectedRoute, but only for admins. The API checks the role again on
+// every request; this just keeps other users out of the UI.
+const AdminRoute = ({ children }) => {
+  const { user, loading } = useContext(AuthContext);
+
+  if (loading) return <div>Loading...</div>;
+  if (!user) return <Navigate to="/login" />;
+  if (user.role !== "admin") return <Navigate to="/" />;
+
+  return children;
+};
+
+export default AdminRoute;
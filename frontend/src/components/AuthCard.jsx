@@ -0,0 +1,29 @@
+import { motion } from "framer-motion";
+
+// Centered card layout shared by the smaller account pages (verify email,
+// forgot/reset password)
+const AuthCard = ({ title, subtitle, children }) => {
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12 relative overflow-hidden">
+      {/* Animated Background */}
+      <div className="absolute inset-0 gradient-bg-radial opacity-40"></div>
+      <div className="absolute top-20 left-10 w-96 h-96 bg-purple-500/20 rounded-full blur-3xl animate-float"></div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md relative z-10"
+      >
+        <div className="card-premium rounded-3xl p-10 border border-white/10">
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-black text-white mb-3">{title}</h2>
+            {subtitle && <p className="text-slate-400">{subtitle}</p>}
+          </div>
+          {children}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default AuthCard;
@@ -0,0 +1,25 @@
+const SIZES = {
+  sm: "w-8 h-8 text-sm",
+  lg: "w-24 h-24 text-4xl",
+};
+
+// Profile picture, or the first letter of the name on a gradient
+const Avatar = ({ user, size = "sm" }) => {
+  const name = user.displayName || user.username;
+  return user.avatar ? (
+    <img
+      src={user.avatar}
+      alt={name}
+      className={`${SIZES[size]} rounded-full object-cover border border-white/20`}
+    />
+  ) : (
+    <div
+      className={`${SIZES[size]} rounded-full gradient-bg flex items-center justify-center font-bold text-white`}
+      aria-hidden="true"
+    >
+      {name.charAt(0).toUpperCase()}
+    </div>
+  );
+};
+
+export default Avatar;
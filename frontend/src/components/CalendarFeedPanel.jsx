@@ -0,0 +1,107 @@
+import { useState, useEffect } from "react";
+import {
+  fetchCalendarFeed,
+  rotateCalendarFeed,
+  revokeCalendarFeed,
+} from "../utils/eventApi";
+
+// Personal calendar subscription: every event the user organizes or attends
+const CalendarFeedPanel = () => {
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchCalendarFeed()
+      .then((data) => {
+        if (!ignore) setFeedUrl(data.feedUrl);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    setCopied(false);
+    try {
+      const data = await action();
+      setFeedUrl(data.feedUrl || null);
+    } catch (err) {
+      alert(err.response?.data?.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = () => {
+    if (!window.confirm("Existing calendar subscriptions will stop updating."))
+      return;
+    run(revokeCalendarFeed);
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    setCopied(true);
+  };
+
+  const buttonClass =
+    "px-4 py-2.5 text-sm font-semibold rounded-lg border transition-all duration-300 disabled:opacity-50";
+
+  return (
+    <div className="glass-strong rounded-2xl p-5 border border-white/10 mb-10 space-y-3">
+      <div>
+        <h3 className="text-lg font-bold text-white">Calendar feed</h3>
+        <p className="text-sm text-slate-400">
+          Subscribe from Google Calendar, Apple Calendar or Outlook to see every
+          event you host or attend. Changes to times and places show up
+          automatically.
+        </p>
+      </div>
+
+      {feedUrl ? (
+        <div className="flex flex-col md:flex-row gap-2">
+          <input
+            type="text"
+            readOnly
+            value={feedUrl}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-slate-300 text-sm font-mono"
+          />
+          <button
+            onClick={handleCopy}
+            className={`${buttonClass} text-white bg-white/10 hover:bg-white/20 border-white/20`}
+          >
+            {copied ? "Copied!" : "Copy"}
+          </button>
+          <button
+            onClick={() => run(rotateCalendarFeed)}
+            disabled={busy}
+            className={`${buttonClass} text-slate-300 hover:bg-white/10 border-white/10`}
+          >
+            New link
+          </button>
+          <button
+            onClick={handleRevoke}
+            disabled={busy}
+            className={`${buttonClass} text-red-400 hover:bg-red-500/10 border-red-500/20`}
+          >
+            Revoke
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => run(rotateCalendarFeed)}
+          disabled={busy}
+          className={`${buttonClass} text-white gradient-bg border-transparent glow-hover`}
+        >
+          Create feed link
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
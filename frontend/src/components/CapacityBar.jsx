@@ -0,0 +1,58 @@
+import { motion } from "framer-motion";
+import { attendeeCount, getEventState } from "../utils/eventState";
+
+const CapacityBar = ({ event, user }) => {
+  const {
+    isFull,
+    waitlistCount,
+    isWaitlisted,
+    waitlistPosition,
+    capacityPercentage,
+  } = getEventState(event, user);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between text-xs text-slate-400">
+        <span className="flex items-center gap-1.5">
+          <svg
+            className="w-3.5 h-3.5"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
+            />
+          </svg>
+          Attendees
+        </span>
+        <span className="font-semibold text-white">
+          {attendeeCount(event)} / {event.capacity}
+        </span>
+      </div>
+      <div className="w-full bg-slate-800/50 rounded-full h-2 overflow-hidden">
+        <motion.div
+          initial={{ width: 0 }}
+          animate={{ width: `${capacityPercentage}%` }}
+          transition={{ duration: 1, ease: "easeOut" }}
+          className={`h-full rounded-full ${
+            isFull
+              ? "bg-gradient-to-r from-red-500 to-pink-500"
+              : "bg-gradient-to-r from-purple-500 to-blue-500"
+          }`}
+        />
+      </div>
+      {waitlistCount > 0 && (
+        <div className="text-xs text-amber-300/80">
+          {waitlistCount} on the waitlist
+          {isWaitlisted && ` · you're #${waitlistPosition} in line`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CapacityBar;
@@ -0,0 +1,221 @@
+import { useState, useEffect } from "react";
+import { fetchCategories } from "../utils/categoryApi";
+import {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../utils/adminApi";
+
+const inputClass =
+  "px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 text-white text-sm placeholder-slate-500";
+
+const actionClass =
+  "px-3 py-1.5 text-xs font-semibold rounded-lg border transition-all duration-300 disabled:opacity-50";
+
+// Admin list of event categories: add, rename, reorder and delete
+const CategoryManager = () => {
+  const [categories, setCategories] = useState(null);
+  const [form, setForm] = useState({ name: "", description: "" });
+  const [editing, setEditing] = useState(null); // { slug, name, description, order }
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchCategories({ fresh: true })
+      .then((list) => {
+        if (!ignore) setCategories(list);
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load categories");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  // Every change asks for the reason that goes into the audit log
+  const askReason = (label) => {
+    const reason = window.prompt(`Reason for ${label}:`);
+    return reason && reason.trim() ? reason.trim() : null;
+  };
+
+  // Run a change, then reload the shared list so pickers elsewhere see it
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      setCategories(await fetchCategories({ fresh: true }));
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    const reason = askReason(`adding "${form.name.trim()}"`);
+    if (!reason) return;
+    if (await run(() => createCategory(form, reason)))
+      setForm({ name: "", description: "" });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { slug, ...fields } = editing;
+    const reason = askReason(`editing "${slug}"`);
+    if (!reason) return;
+    if (await run(() => updateCategory(slug, fields, reason))) setEditing(null);
+  };
+
+  const handleDelete = (category) => {
+    const events =
+      category.eventCount > 0
+        ? ` ${category.eventCount} upcoming event(s) will lose their category.`
+        : "";
+    if (!window.confirm(`Delete "${category.name}"?${events}`)) return;
+    const reason = askReason(`deleting "${category.name}"`);
+    if (!reason) return;
+    run(() => deleteCategory(category.slug, reason));
+  };
+
+  if (!categories)
+    return error ? <p className="text-sm text-red-400">{error}</p> : null;
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-3">
+        <input
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          maxLength={50}
+          className={inputClass}
+          placeholder="New category name"
+        />
+        <input
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          maxLength={200}
+          className={`${inputClass} flex-1`}
+          placeholder="Short description (optional)"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-5 py-2.5 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {categories.length === 0 && (
+        <p className="text-slate-500 text-center py-12">
+          No categories yet. Organizers can still tag their events.
+        </p>
+      )}
+
+      {categories.map((category) =>
+        editing?.slug === category.slug ? (
+          <form
+            key={category.slug}
+            onSubmit={handleSave}
+            className="card-premium rounded-2xl p-5 flex flex-col md:flex-row gap-3"
+          >
+            <input
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              maxLength={50}
+              className={inputClass}
+            />
+            <input
+              value={editing.description}
+              onChange={(e) =>
+                setEditing({ ...editing, description: e.target.value })
+              }
+              maxLength={200}
+              className={`${inputClass} flex-1`}
+              placeholder="Description"
+            />
+            <input
+              type="number"
+              value={editing.order}
+              onChange={(e) =>
+                setEditing({ ...editing, order: e.target.value })
+              }
+              className={`${inputClass} w-24`}
+              title="Order (lowest first)"
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy}
+                className={`${actionClass} text-white bg-white/10 border-white/20 hover:bg-white/20`}
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className={`${actionClass} text-slate-400 border-white/10 hover:bg-white/10`}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div
+            key={category.slug}
+            className="card-premium rounded-2xl p-5 flex flex-col md:flex-row md:items-center justify-between gap-4"
+          >
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="text-white font-semibold">
+                  {category.name}
+                </span>
+                <span className="font-mono text-xs text-slate-500">
+                  {category.slug}
+                </span>
+              </div>
+              <div className="text-sm text-slate-400 mt-1">
+                {category.description || "No description"} ·{" "}
+                {category.eventCount} upcoming
+              </div>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() =>
+                  setEditing({
+                    slug: category.slug,
+                    name: category.name,
+                    description: category.description || "",
+                    order: category.order,
+                  })
+                }
+                className={`${actionClass} text-slate-300 border-white/10 hover:bg-white/10`}
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleDelete(category)}
+                disabled={busy}
+                className={`${actionClass} text-red-400 border-red-500/30 hover:bg-red-500/10`}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,336 @@
+import { useState, useEffect } from "react";
+import {
+  fetchComments,
+  postComment,
+  editComment,
+  deleteComment,
+  setCommentPinned,
+} from "../utils/commentApi";
+import { can } from "../utils/permissions";
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+};
+
+const inputClass =
+  "w-full px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+const CommentForm = ({ initial = "", submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initial);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setBusy(true);
+    if (await onSubmit(body.trim())) setBody("");
+    setBusy(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={initial ? 3 : 2}
+        maxLength={2000}
+        placeholder="Ask a question or say hi..."
+        className={inputClass}
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={busy || !body.trim()}
+          className="px-4 py-2 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-slate-400 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// One comment, with its replies when it opens a thread
+const Comment = ({ comment, user, canModerate, actions, isReply = false }) => {
+  const [mode, setMode] = useState(null); // "edit" | "reply" | null
+
+  const isAuthor = Boolean(user && comment.author?._id === user.id);
+  const linkClass = "text-xs text-slate-400 hover:text-white transition-colors";
+
+  return (
+    <div className={isReply ? "pl-4 border-l border-white/10" : ""}>
+      <div className="px-4 py-3 glass-strong rounded-xl space-y-2">
+        <div className="flex items-center gap-2 text-xs text-slate-500">
+          <span className="font-semibold text-slate-200">
+            {comment.author?.username || "[deleted]"}
+          </span>
+          <span>{timeAgo(comment.createdAt)}</span>
+          {comment.editedAt && !comment.deletedAt && <span>(edited)</span>}
+          {comment.pinnedAt && (
+            <span className="px-2 py-0.5 rounded-full bg-purple-500/20 text-purple-300">
+              Pinned
+            </span>
+          )}
+        </div>
+
+        {mode === "edit" ? (
+          <CommentForm
+            initial={comment.body}
+            submitLabel="Save"
+            onSubmit={async (body) => {
+              const ok = await actions.edit(comment, body);
+              if (ok) setMode(null);
+              return ok;
+            }}
+            onCancel={() => setMode(null)}
+          />
+        ) : comment.deletedAt ? (
+          <p className="text-sm italic text-slate-500">
+            This comment was deleted.
+          </p>
+        ) : (
+          <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">
+            {comment.body}
+          </p>
+        )}
+
+        {!comment.deletedAt && mode !== "edit" && (
+          <div className="flex gap-3">
+            {user && !isReply && (
+              <button
+                onClick={() => setMode(mode === "reply" ? null : "reply")}
+                className={linkClass}
+              >
+                Reply
+              </button>
+            )}
+            {isAuthor && (
+              <button onClick={() => setMode("edit")} className={linkClass}>
+                Edit
+              </button>
+            )}
+            {canModerate && !isReply && (
+              <button
+                onClick={() => actions.pin(comment, !comment.pinnedAt)}
+                className={linkClass}
+              >
+                {comment.pinnedAt ? "Unpin" : "Pin"}
+              </button>
+            )}
+            {(isAuthor || canModerate) && (
+              <button
+                onClick={() => actions.remove(comment)}
+                className="text-xs text-slate-400 hover:text-red-400 transition-colors"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {!isReply && (comment.replies.length > 0 || mode === "reply") && (
+        <div className="mt-2 ml-4 space-y-2">
+          {comment.replies.map((reply) => (
+            <Comment
+              key={reply._id}
+              comment={reply}
+              user={user}
+              canModerate={canModerate}
+              actions={actions}
+              isReply
+            />
+          ))}
+          {mode === "reply" && (
+            <div className="pl-4">
+              <CommentForm
+                submitLabel="Reply"
+                onSubmit={async (body) => {
+                  const ok = await actions.reply(comment, body);
+                  if (ok) setMode(null);
+                  return ok;
+                }}
+                onCancel={() => setMode(null)}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Discussion thread on the event page. Anyone can read it; signed-in users
+// can post, and the organizing team can pin and remove comments.
+const Discussion = ({ event, user }) => {
+  const [pinned, setPinned] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const canModerate = can(event, user, "edit");
+
+  useEffect(() => {
+    let ignore = false;
+    fetchComments(event._id)
+      .then((data) => {
+        if (ignore) return;
+        setPinned(data.pinned);
+        setComments(data.comments);
+        setPageInfo(data.pageInfo);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [event._id, reloadKey]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchComments(event._id, pageInfo.nextCursor);
+      setComments((prev) => [...prev, ...data.comments]);
+      setPageInfo(data.pageInfo);
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Apply `update` to every top-level comment, pinned or not. Returning
+  // null drops the comment.
+  const updateThreads = (update) => {
+    const apply = (list) => list.map(update).filter(Boolean);
+    setPinned(apply);
+    setComments(apply);
+  };
+
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      return false;
+    }
+  };
+
+  const actions = {
+    reply: (thread, body) =>
+      run(async () => {
+        const reply = await postComment(event._id, body, thread._id);
+        updateThreads((c) =>
+          c._id === thread._id ? { ...c, replies: [...c.replies, reply] } : c
+        );
+      }),
+    edit: (comment, body) =>
+      run(async () => {
+        const updated = await editComment(event._id, comment._id, body);
+        const merge = (c) => (c._id === comment._id ? { ...c, ...updated } : c);
+        updateThreads((c) => ({ ...merge(c), replies: c.replies.map(merge) }));
+      }),
+    remove: (comment) => {
+      if (!window.confirm("Delete this comment?")) return;
+      run(async () => {
+        await deleteComment(event._id, comment._id);
+        updateThreads((c) => {
+          if (c._id !== comment._id)
+            return {
+              ...c,
+              replies: c.replies.filter((r) => r._id !== comment._id),
+            };
+          // A thread with replies stays, without its opening text
+          if (c.replies.length === 0) return null;
+          return {
+            ...c,
+            body: null,
+            author: null,
+            deletedAt: new Date().toISOString(),
+            pinnedAt: null,
+          };
+        });
+      });
+    },
+    // Pinning moves comments between lists, so start over from the top
+    pin: (comment, pin) =>
+      run(async () => {
+        await setCommentPinned(event._id, comment._id, pin);
+        setReloadKey((k) => k + 1);
+      }),
+  };
+
+  const handlePost = (body) =>
+    run(async () => {
+      const comment = await postComment(event._id, body);
+      setComments((prev) => [comment, ...prev]);
+    });
+
+  const threads = [...pinned, ...comments];
+
+  return (
+    <section>
+      <h2 className="text-2xl font-bold text-white mb-4">Discussion</h2>
+
+      {user ? (
+        <div className="mb-4">
+          <CommentForm submitLabel="Post" onSubmit={handlePost} />
+        </div>
+      ) : (
+        <p className="mb-4 text-sm text-slate-500">
+          Log in to join the discussion.
+        </p>
+      )}
+
+      {error && <p className="mb-3 text-sm text-red-400">{error}</p>}
+
+      {pageInfo && threads.length === 0 && (
+        <p className="text-slate-500">No comments yet.</p>
+      )}
+
+      <div className="space-y-3">
+        {threads.map((comment) => (
+          <Comment
+            key={comment._id}
+            comment={comment}
+            user={user}
+            canModerate={canModerate}
+            actions={actions}
+          />
+        ))}
+      </div>
+
+      {pageInfo?.hasMore && (
+        <button
+          onClick={loadMore}
+          disabled={loadingMore}
+          className="mt-4 px-4 py-2 text-sm text-slate-300 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300 disabled:opacity-50"
+        >
+          {loadingMore ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default Discussion;
@@ -1,31 +1,40 @@
 import { useContext } from "react";
 import { AuthContext } from "../context/AuthContext";
+import { Link } from "react-router-dom";
 import { motion } from "framer-motion";
+import { getEventState, isRsvpOpen, isDeletable } from "../utils/eventState";
+import { can } from "../utils/permissions";
+import CapacityBar from "./CapacityBar";
+import StatusBadge from "./StatusBadge";
+import RSVPButton from "./RSVPButton";
+import TicketTiers from "./TicketTiers";
+import AddToCalendar from "./AddToCalendar";
+import useCategories from "../hooks/useCategories";
+import { categoryName } from "../utils/categoryApi";
+import { distanceKm, formatDistance } from "../utils/geo";
+import { formatEventTime, eventDayParts } from "../utils/time";
 
-const EventCard = ({ event, onRSVP, onDelete }) => {
+const EventCard = ({
+  event,
+  onRSVP,
+  onDelete,
+  onTagSelect,
+  onCategorySelect,
+  near,
+}) => {
   const { user } = useContext(AuthContext);
+  const categories = useCategories();
 
-  const isOwner =
-    user &&
-    event.organizer &&
-    (event.organizer._id === user.id || event.organizer.id === user.id);
-  const isJoined = user && event.attendees.includes(user.id);
-  const isFull = event.attendees.length >= event.capacity;
-
-  const formattedDate = new Date(event.date).toLocaleDateString("en-US", {
-    month: "short",
-    day: "numeric",
-    year: "numeric",
-  });
-  const formattedTime = new Date(event.date).toLocaleTimeString("en-US", {
-    hour: "2-digit",
-    minute: "2-digit",
-  });
-
-  const capacityPercentage = Math.min(
-    (event.attendees.length / event.capacity) * 100,
-    100
-  );
+  const { isFull, isJoined } = getEventState(event, user);
+  const canEdit = can(event, user, "edit");
+  const canDelete = can(event, user, "delete") && isDeletable(event);
+
+  // Only set while the dashboard is searching near the user
+  const distance = distanceKm(near, event.geo);
+
+  // In the event's zone, with the viewer's own time when it differs
+  const time = formatEventTime(event, { short: true });
+  const badge = eventDayParts(event);
 
   return (
     <motion.div
@@ -43,22 +52,22 @@ const EventCard = ({ event, onRSVP, onDelete }) => {
           alt={event.title}
           className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
         />
-        {isFull && (
-          <div className="absolute top-4 right-4 bg-red-500/90 backdrop-blur-sm text-white px-4 py-1.5 rounded-full text-xs font-semibold z-20 glow">
-            Sold Out
-          </div>
+        {isRsvpOpen(event) ? (
+          isFull && (
+            <div className="absolute top-4 right-4 bg-red-500/90 backdrop-blur-sm text-white px-4 py-1.5 rounded-full text-xs font-semibold z-20 glow">
+              Sold Out
+            </div>
+          )
+        ) : (
+          <StatusBadge event={event} className="absolute top-4 right-4 z-20" />
         )}
 
         {/* Floating Date Badge */}
         <div className="absolute top-4 left-4 glass-strong rounded-xl p-3 z-20">
           <div className="text-center">
-            <div className="text-2xl font-bold text-white">
-              {new Date(event.date).getDate()}
-            </div>
+            <div className="text-2xl font-bold text-white">{badge.day}</div>
             <div className="text-xs text-slate-300 uppercase">
-              {new Date(event.date).toLocaleDateString("en-US", {
-                month: "short",
-              })}
+              {badge.month}
             </div>
           </div>
         </div>
@@ -68,14 +77,14 @@ const EventCard = ({ event, onRSVP, onDelete }) => {
       <div className="p-6 space-y-4">
         {/* Title */}
         <h3 className="text-xl font-bold text-white line-clamp-2 group-hover:gradient-text transition-all duration-300">
-          {event.title}
+          <Link to={`/events/${event._id}`}>{event.title}</Link>
         </h3>
 
         {/* Meta Info */}
         <div className="space-y-2.5 text-sm text-slate-300">
-          <div className="flex items-center gap-2.5">
+          <div className="flex items-start gap-2.5">
             <svg
-              className="w-4 h-4 text-purple-400"
+              className="w-4 h-4 mt-0.5 flex-shrink-0 text-purple-400"
               fill="none"
               stroke="currentColor"
               viewBox="0 0 24 24"
@@ -87,7 +96,14 @@ const EventCard = ({ event, onRSVP, onDelete }) => {
                 d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
               />
             </svg>
-            <span>{formattedTime}</span>
+            <div>
+              <div>{time.main}</div>
+              {time.local && (
+                <div className="text-xs text-slate-500">
+                  {time.local} your time
+                </div>
+              )}
+            </div>
           </div>
           <div className="flex items-center gap-2.5">
             <svg
@@ -110,20 +126,78 @@ const EventCard = ({ event, onRSVP, onDelete }) => {
               />
             </svg>
             <span className="line-clamp-1">{event.location}</span>
+            {distance !== null && (
+              <span className="flex-shrink-0 text-xs text-slate-500">
+                · {formatDistance(distance)}
+              </span>
+            )}
           </div>
         </div>
 
+        {/* Category & Tags */}
+        {(event.category || event.tags?.length > 0) && (
+          <div className="flex flex-wrap gap-1.5">
+            {event.category && (
+              <button
+                type="button"
+                onClick={() => onCategorySelect?.(event.category)}
+                className="px-2.5 py-0.5 rounded-full text-xs font-semibold bg-purple-500/20 border border-purple-500/40 text-purple-200 hover:bg-purple-500/30 transition-colors"
+              >
+                {categoryName(categories, event.category)}
+              </button>
+            )}
+            {event.tags?.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => onTagSelect?.(tag)}
+                className="px-2.5 py-0.5 rounded-full text-xs border border-white/10 text-slate-400 hover:text-white hover:border-white/30 transition-colors"
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Description */}
         <p className="text-sm text-slate-400 line-clamp-2 leading-relaxed">
           {event.description}
         </p>
 
         {/* Capacity Progress */}
-        <div className="space-y-2">
-          <div className="flex justify-between text-xs text-slate-400">
-            <span className="flex items-center gap-1.5">
+        <CapacityBar event={event} user={user} />
+        <TicketTiers event={event} />
+
+        {isJoined && (
+          <Link
+            to={`/events/${event._id}/ticket`}
+            className="inline-flex items-center gap-1.5 text-xs font-semibold text-purple-300 hover:text-purple-200"
+          >
+            🎟️ View your ticket
+          </Link>
+        )}
+
+        {/* Actions */}
+        <div className="flex gap-2 pt-2">
+          {user && (
+            <RSVPButton
+              event={event}
+              user={user}
+              onRSVP={onRSVP}
+              className="flex-1"
+            />
+          )}
+
+          <AddToCalendar event={event} className={user ? "" : "ml-auto"} />
+
+          {canEdit && (
+            <Link
+              to={`/events/${event._id}/edit`}
+              title="Edit event"
+              className="px-4 py-3 text-sm text-slate-300 hover:bg-white/10 border border-white/10 hover:border-white/30 rounded-lg transition-all duration-300"
+            >
               <svg
-                className="w-3.5 h-3.5"
+                className="w-5 h-5"
                 fill="none"
                 stroke="currentColor"
                 viewBox="0 0 24 24"
@@ -132,50 +206,13 @@ const EventCard = ({ event, onRSVP, onDelete }) => {
                   strokeLinecap="round"
                   strokeLinejoin="round"
                   strokeWidth={2}
-                  d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
+                  d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
                 />
               </svg>
-              Attendees
-            </span>
-            <span className="font-semibold text-white">
-              {event.attendees.length} / {event.capacity}
-            </span>
-          </div>
-          <div className="w-full bg-slate-800/50 rounded-full h-2 overflow-hidden">
-            <motion.div
-              initial={{ width: 0 }}
-              animate={{ width: `${capacityPercentage}%` }}
-              transition={{ duration: 1, ease: "easeOut" }}
-              className={`h-full rounded-full ${
-                isFull
-                  ? "bg-gradient-to-r from-red-500 to-pink-500"
-                  : "bg-gradient-to-r from-purple-500 to-blue-500"
-              }`}
-            />
-          </div>
-        </div>
-
-        {/* Actions */}
-        <div className="flex gap-2 pt-2">
-          {user && (
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              onClick={() => onRSVP(event._id, isJoined ? "leave" : "join")}
-              disabled={!isJoined && isFull}
-              className={`flex-1 px-4 py-3 text-sm font-semibold rounded-lg transition-all duration-300 ${
-                isJoined
-                  ? "bg-white/10 text-white hover:bg-white/20 border border-white/20"
-                  : isFull
-                  ? "bg-slate-800/50 text-slate-500 cursor-not-allowed border border-slate-700"
-                  : "gradient-bg text-white glow-hover"
-              }`}
-            >
-              {isJoined ? "Leave Event" : isFull ? "Event Full" : "Join Event"}
-            </motion.button>
+            </Link>
           )}
 
-          {isOwner && (
+          {canDelete && (
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
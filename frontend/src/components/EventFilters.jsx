@@ -0,0 +1,227 @@
+import { useState, useEffect } from "react";
+import { fetchPopularTags } from "../utils/categoryApi";
+import useCategories from "../hooks/useCategories";
+
+const inputClass =
+  "w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500 text-sm";
+
+const RADIUS_OPTIONS = ["5", "10", "25", "50", "100"];
+
+const EventFilters = ({ search, onSearchChange, filters, onChange }) => {
+  const categories = useCategories();
+  const [popularTags, setPopularTags] = useState([]);
+  const [locating, setLocating] = useState(false);
+  const [geoError, setGeoError] = useState("");
+
+  // Popular tags follow the selected category
+  useEffect(() => {
+    let ignore = false;
+    fetchPopularTags({ category: filters.category, limit: 12 })
+      .then((tags) => {
+        if (!ignore) setPopularTags(tags);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [filters.category]);
+
+  const update = (e) => {
+    const { name, type, checked, value } = e.target;
+    onChange({ ...filters, [name]: type === "checkbox" ? checked : value });
+  };
+
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      setGeoError("Your browser can't share its location");
+      return;
+    }
+    setLocating(true);
+    setGeoError("");
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocating(false);
+        onChange({
+          ...filters,
+          near: `${coords.latitude.toFixed(4)},${coords.longitude.toFixed(4)}`,
+        });
+      },
+      () => {
+        setLocating(false);
+        setGeoError("Couldn't get your location - check the permission");
+      },
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  const toggleTag = (tag) =>
+    onChange({
+      ...filters,
+      tags: filters.tags.includes(tag)
+        ? filters.tags.filter((t) => t !== tag)
+        : [...filters.tags, tag],
+    });
+
+  // Selected tags stay visible even when they aren't among the popular ones
+  const tagChips = [
+    ...filters.tags.filter((tag) => !popularTags.some((p) => p.tag === tag)),
+    ...popularTags.map((p) => p.tag),
+  ];
+
+  return (
+    <div className="glass-strong rounded-2xl p-5 border border-white/10 mb-10 space-y-4">
+      <div className="relative">
+        <svg
+          className="w-5 h-5 absolute left-4 top-1/2 -translate-y-1/2 text-slate-500"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+          />
+        </svg>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => onSearchChange(e.target.value)}
+          className={`${inputClass} pl-12`}
+          placeholder="Search by title, description or location..."
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-center">
+        <select
+          name="category"
+          value={filters.category}
+          onChange={update}
+          className={inputClass}
+        >
+          <option value="">All categories</option>
+          {categories.map((c) => (
+            <option key={c.slug} value={c.slug}>
+              {c.name}
+              {c.eventCount > 0 ? ` (${c.eventCount})` : ""}
+            </option>
+          ))}
+        </select>
+        <select
+          name="when"
+          value={filters.when}
+          onChange={update}
+          className={inputClass}
+        >
+          <option value="upcoming">Upcoming</option>
+          <option value="past">Past</option>
+          <option value="all">All dates</option>
+        </select>
+        <input
+          type="date"
+          name="from"
+          value={filters.from}
+          onChange={update}
+          className={inputClass}
+          title="From"
+        />
+        <input
+          type="date"
+          name="to"
+          value={filters.to}
+          onChange={update}
+          className={inputClass}
+          title="To"
+        />
+        <select
+          name="sort"
+          value={filters.sort}
+          onChange={update}
+          className={inputClass}
+        >
+          <option value="date">Soonest first</option>
+          <option value="-date">Latest first</option>
+          <option value="-createdAt">Newly added</option>
+          <option value="title">Title A–Z</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+          <input
+            type="checkbox"
+            name="available"
+            checked={filters.available}
+            onChange={update}
+            className="w-4 h-4 accent-purple-500"
+          />
+          Has seats left
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        {filters.near ? (
+          <>
+            <span className="text-slate-300">Within</span>
+            <select
+              name="radius"
+              value={filters.radius}
+              onChange={update}
+              className={`${inputClass} w-auto py-2`}
+            >
+              {RADIUS_OPTIONS.map((km) => (
+                <option key={km} value={km}>
+                  {km} km
+                </option>
+              ))}
+            </select>
+            <span className="text-slate-300">of you</span>
+            <button
+              type="button"
+              onClick={() => onChange({ ...filters, near: "" })}
+              className="text-slate-400 hover:text-white"
+            >
+              ✕ Anywhere
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={handleNearMe}
+            disabled={locating}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl border border-white/10 text-slate-300 hover:text-white hover:bg-white/10 transition-colors disabled:opacity-50"
+          >
+            📍 {locating ? "Finding you..." : "Near me"}
+          </button>
+        )}
+        {geoError && <span className="text-red-400">{geoError}</span>}
+      </div>
+
+      {tagChips.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {tagChips.map((tag) => {
+            const selected = filters.tags.includes(tag);
+            const count = popularTags.find((p) => p.tag === tag)?.count;
+            return (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => toggleTag(tag)}
+                className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                  selected
+                    ? "bg-purple-500/20 border-purple-500/50 text-purple-200"
+                    : "border-white/10 text-slate-400 hover:text-white hover:border-white/30"
+                }`}
+              >
+                #{tag}
+                {count !== undefined && (
+                  <span className="ml-1 text-slate-500">{count}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventFilters;
@@ -0,0 +1,35 @@
+import { Link } from "react-router-dom";
+import { formatEventTime, eventDayParts } from "../utils/time";
+import StatusBadge from "./StatusBadge";
+
+// Compact one-line event for lists (profiles, My Events). Anything passed as
+// children shows on the right, e.g. action buttons.
+const EventRow = ({ event, children }) => {
+  const badge = eventDayParts(event);
+  return (
+    <div className="flex items-center gap-4 p-4 glass-strong rounded-xl border border-white/10 hover:border-purple-500/40 transition-colors">
+      <div className="w-14 text-center shrink-0">
+        <div className="text-2xl font-bold text-white">{badge.day}</div>
+        <div className="text-xs text-slate-300 uppercase">{badge.month}</div>
+      </div>
+      <Link to={`/events/${event._id}`} className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-white truncate">
+            {event.title}
+          </span>
+          <StatusBadge event={event} className="shrink-0" />
+        </div>
+        <div className="text-sm text-slate-400 truncate">
+          {formatEventTime(event, { short: true }).main} · {event.location}
+        </div>
+      </Link>
+      {children && (
+        <div className="flex flex-wrap justify-end gap-2 shrink-0">
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventRow;
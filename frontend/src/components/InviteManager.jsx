@@ -0,0 +1,178 @@
+import { useState, useEffect } from "react";
+import {
+  fetchInvites,
+  inviteUser,
+  uninviteUser,
+  rotateInviteCode,
+  disableInviteCode,
+} from "../utils/eventApi";
+
+// Share link and guest list for unlisted and invite-only events. Only the
+// organizing team sees this.
+const InviteManager = ({ event }) => {
+  const [invites, setInvites] = useState(null);
+  const [handle, setHandle] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchInvites(event._id)
+      .then((data) => {
+        if (!ignore) setInvites(data);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [event._id, event.visibility]);
+
+  if (!invites) return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    setCopied(false);
+    try {
+      setInvites(await action());
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!handle.trim()) return;
+    if (await run(() => inviteUser(event._id, handle.trim()))) setHandle("");
+  };
+
+  const handleDisable = () => {
+    if (!window.confirm("People who haven't used the link yet won't get in."))
+      return;
+    run(() => disableInviteCode(event._id));
+  };
+
+  const isInviteOnly = invites.visibility === "invite";
+  const shareUrl =
+    `${window.location.origin}/events/${event._id}` +
+    (isInviteOnly && invites.inviteCode ? `?invite=${invites.inviteCode}` : "");
+  const showLink = !isInviteOnly || invites.inviteCode;
+
+  const buttonClass =
+    "px-4 py-2.5 text-sm font-semibold rounded-lg border transition-all duration-300 disabled:opacity-50";
+
+  return (
+    <section className="space-y-4">
+      <div>
+        <h2 className="text-2xl font-bold text-white mb-1">
+          {isInviteOnly ? "Invitations" : "Share link"}
+        </h2>
+        <p className="text-sm text-slate-400">
+          {isInviteOnly
+            ? "Only invited people and anyone with the invite link can RSVP."
+            : "This event isn't listed publicly. Anyone with the link can see it and RSVP."}
+        </p>
+      </div>
+
+      {showLink ? (
+        <div className="flex flex-col md:flex-row gap-2">
+          <input
+            type="text"
+            readOnly
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-slate-300 text-sm font-mono"
+          />
+          <button
+            onClick={async () => {
+              await navigator.clipboard.writeText(shareUrl);
+              setCopied(true);
+            }}
+            className={`${buttonClass} text-white bg-white/10 hover:bg-white/20 border-white/20`}
+          >
+            {copied ? "Copied!" : "Copy"}
+          </button>
+          {isInviteOnly && (
+            <>
+              <button
+                onClick={() => run(() => rotateInviteCode(event._id))}
+                disabled={busy}
+                className={`${buttonClass} text-slate-300 hover:bg-white/10 border-white/10`}
+              >
+                New link
+              </button>
+              <button
+                onClick={handleDisable}
+                disabled={busy}
+                className={`${buttonClass} text-red-400 hover:bg-red-500/10 border-red-500/20`}
+              >
+                Disable
+              </button>
+            </>
+          )}
+        </div>
+      ) : (
+        <button
+          onClick={() => run(() => rotateInviteCode(event._id))}
+          disabled={busy}
+          className={`${buttonClass} text-white gradient-bg border-transparent glow-hover`}
+        >
+          Create invite link
+        </button>
+      )}
+
+      {isInviteOnly && (
+        <>
+          <form onSubmit={handleInvite} className="flex gap-2">
+            <input
+              type="text"
+              value={handle}
+              onChange={(e) => setHandle(e.target.value)}
+              placeholder="Invite by username or email"
+              className="flex-1 px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className={`${buttonClass} text-white bg-white/10 hover:bg-white/20 border-white/20`}
+            >
+              Invite
+            </button>
+          </form>
+
+          {invites.invitedUsers.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {invites.invitedUsers.map((guest) => (
+                <span
+                  key={guest._id}
+                  className="flex items-center gap-2 pl-3 pr-2 py-1.5 glass-strong rounded-full text-sm text-slate-200"
+                >
+                  {guest.username}
+                  <button
+                    onClick={() =>
+                      run(() => uninviteUser(event._id, guest._id))
+                    }
+                    disabled={busy}
+                    title="Withdraw invitation"
+                    className="text-slate-500 hover:text-red-400"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </section>
+  );
+};
+
+export default InviteManager;
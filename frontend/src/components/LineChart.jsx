@@ -0,0 +1,110 @@
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 28, left: 36 };
+
+const shortDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// Daily time series as an SVG line chart. `data` is [{ day, ...values }]
+// and `lines` picks which values to draw: [{ key, label, color }].
+const LineChart = ({ data, lines }) => {
+  const max = Math.max(1, ...data.flatMap((d) => lines.map((l) => d[l.key])));
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) =>
+    PAD.left + (data.length > 1 ? (i / (data.length - 1)) * plotWidth : 0);
+  const y = (value) => PAD.top + plotHeight - (value / max) * plotHeight;
+  const ticks = [0, Math.round(max / 2), max].filter(
+    (tick, i, all) => all.indexOf(tick) === i
+  );
+  // Label the first, middle and last days
+  const labelled = [0, Math.floor((data.length - 1) / 2), data.length - 1];
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={lines.map((l) => l.label).join(", ")}
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="rgba(255,255,255,0.08)"
+            />
+            <text
+              x={PAD.left - 8}
+              y={y(tick) + 4}
+              textAnchor="end"
+              className="fill-slate-500 text-[11px]"
+            >
+              {tick}
+            </text>
+          </g>
+        ))}
+        {data.map(
+          (d, i) =>
+            labelled.includes(i) && (
+              <text
+                key={d.day}
+                x={x(i)}
+                y={HEIGHT - 8}
+                textAnchor={
+                  i === 0 ? "start" : i === data.length - 1 ? "end" : "middle"
+                }
+                className="fill-slate-500 text-[11px]"
+              >
+                {shortDay(d.day)}
+              </text>
+            )
+        )}
+        {lines.map((line) => (
+          <g key={line.key}>
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth={2}
+              strokeLinejoin="round"
+              points={data.map((d, i) => `${x(i)},${y(d[line.key])}`).join(" ")}
+            />
+            {data.map((d, i) => (
+              <circle
+                key={d.day}
+                cx={x(i)}
+                cy={y(d[line.key])}
+                r={data.length > 60 ? 1.5 : 3}
+                fill={line.color}
+              >
+                <title>
+                  {shortDay(d.day)}: {d[line.key]} {line.label.toLowerCase()}
+                </title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex gap-4 mt-2 text-xs text-slate-400">
+        {lines.map((line) => (
+          <span key={line.key} className="flex items-center gap-1.5">
+            <span
+              className="w-3 h-0.5 rounded-full"
+              style={{ backgroundColor: line.color }}
+            />
+            {line.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
@@ -8,8 +8,8 @@ const Navbar = () => {
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate("/login");
     setMobileMenuOpen(false);
   };
@@ -37,10 +37,51 @@ const Navbar = () => {
           <div className="hidden md:flex items-center gap-6">
             {user ? (
               <>
-                <span className="text-sm text-slate-300 flex items-center gap-2">
+                <Link
+                  to={`/users/${user.id}`}
+                  className="text-sm text-slate-300 hover:text-white flex items-center gap-2 transition-colors"
+                >
                   <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
                   {user.username}
-                </span>
+                </Link>
+                <Link
+                  to="/my-events"
+                  className="text-sm text-slate-400 hover:text-white transition-colors"
+                >
+                  My Events
+                </Link>
+                <Link
+                  to="/analytics"
+                  className="text-sm text-slate-400 hover:text-white transition-colors"
+                >
+                  Analytics
+                </Link>
+                <Link
+                  to="/sessions"
+                  className="text-sm text-slate-400 hover:text-white transition-colors"
+                >
+                  Sessions
+                </Link>
+                <Link
+                  to="/settings/notifications"
+                  className="text-sm text-slate-400 hover:text-white transition-colors"
+                >
+                  Notifications
+                </Link>
+                <Link
+                  to="/settings/account"
+                  className="text-sm text-slate-400 hover:text-white transition-colors"
+                >
+                  Account
+                </Link>
+                {user.role === "admin" && (
+                  <Link
+                    to="/admin"
+                    className="text-sm text-slate-400 hover:text-white transition-colors"
+                  >
+                    Admin
+                  </Link>
+                )}
                 <Link to="/create-event">
                   <motion.button
                     whileHover={{ scale: 1.05 }}
@@ -135,10 +176,14 @@ const Navbar = () => {
             <div className="px-4 py-4 space-y-3">
               {user ? (
                 <>
-                  <div className="text-sm text-slate-300 pb-2 border-b border-white/10 flex items-center gap-2">
+                  <Link
+                    to={`/users/${user.id}`}
+                    onClick={() => setMobileMenuOpen(false)}
+                    className="text-sm text-slate-300 pb-2 border-b border-white/10 flex items-center gap-2"
+                  >
                     <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
                     {user.username}
-                  </div>
+                  </Link>
                   <Link
                     to="/create-event"
                     onClick={() => setMobileMenuOpen(false)}
@@ -147,6 +192,50 @@ const Navbar = () => {
                       Create Event
                     </button>
                   </Link>
+                  <Link
+                    to="/my-events"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                      My Events
+                    </button>
+                  </Link>
+                  <Link
+                    to="/analytics"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                      Analytics
+                    </button>
+                  </Link>
+                  <Link to="/sessions" onClick={() => setMobileMenuOpen(false)}>
+                    <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                      Sessions
+                    </button>
+                  </Link>
+                  <Link
+                    to="/settings/notifications"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                      Notifications
+                    </button>
+                  </Link>
+                  <Link
+                    to="/settings/account"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                      Account
+                    </button>
+                  </Link>
+                  {user.role === "admin" && (
+                    <Link to="/admin" onClick={() => setMobileMenuOpen(false)}>
+                      <button className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors">
+                        Admin
+                      </button>
+                    </Link>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="w-full text-left px-4 py-3 text-sm text-slate-300 hover:bg-white/5 rounded-lg transition-colors"
@@ -0,0 +1,158 @@
+import { useState } from "react";
+import {
+  addCoOrganizer,
+  updateCoOrganizer,
+  removeCoOrganizer,
+} from "../utils/eventApi";
+import { CO_ORGANIZER_ROLES, can } from "../utils/permissions";
+
+const roleLabel = (role) =>
+  CO_ORGANIZER_ROLES.find((r) => r.value === role)?.label || role;
+
+// Co-organizer list on the event page. The owner can add people, change
+// their role or remove them; co-organizers can step down.
+const OrganizerTeam = ({ event, user, onChange }) => {
+  const [handle, setHandle] = useState("");
+  const [role, setRole] = useState("editor");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const canManage = can(event, user, "manageTeam");
+  const team = event.coOrganizers || [];
+  if (!canManage && team.length === 0) return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      const data = await action();
+      onChange(data.coOrganizers);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!handle.trim()) return;
+    if (await run(() => addCoOrganizer(event._id, handle.trim(), role)))
+      setHandle("");
+  };
+
+  const handleStepDown = async () => {
+    if (!window.confirm("Stop co-organizing this event?")) return;
+    run(() => removeCoOrganizer(event._id, user.id));
+  };
+
+  const isMember = Boolean(user && team.some((m) => m.user._id === user.id));
+
+  return (
+    <section>
+      <h2 className="text-2xl font-bold text-white mb-4">Organizing team</h2>
+
+      <div className="space-y-2">
+        {team.map((member) => (
+          <div
+            key={member.user._id}
+            className="flex items-center justify-between gap-3 px-4 py-3 glass-strong rounded-xl"
+          >
+            <span className="text-slate-200">{member.user.username}</span>
+            {canManage ? (
+              <div className="flex items-center gap-2">
+                <select
+                  value={member.role}
+                  disabled={busy}
+                  onChange={(e) =>
+                    run(() =>
+                      updateCoOrganizer(
+                        event._id,
+                        member.user._id,
+                        e.target.value
+                      )
+                    )
+                  }
+                  className="px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {CO_ORGANIZER_ROLES.map((r) => (
+                    <option key={r.value} value={r.value}>
+                      {r.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() =>
+                    run(() => removeCoOrganizer(event._id, member.user._id))
+                  }
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg transition-all duration-300 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <span className="text-xs text-slate-400">
+                {roleLabel(member.role)}
+              </span>
+            )}
+          </div>
+        ))}
+        {team.length === 0 && (
+          <p className="text-slate-500">
+            Invite people to help edit the event or check guests in.
+          </p>
+        )}
+      </div>
+
+      {canManage && (
+        <form
+          onSubmit={handleAdd}
+          className="flex flex-col sm:flex-row gap-2 mt-4"
+        >
+          <input
+            type="text"
+            value={handle}
+            onChange={(e) => setHandle(e.target.value)}
+            placeholder="Username or email"
+            className="flex-1 px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {CO_ORGANIZER_ROLES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-5 py-2.5 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      {isMember && (
+        <button
+          onClick={handleStepDown}
+          disabled={busy}
+          className="mt-4 text-sm text-slate-400 hover:text-red-400 transition-colors"
+        >
+          Step down as co-organizer
+        </button>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+    </section>
+  );
+};
+
+export default OrganizerTeam;
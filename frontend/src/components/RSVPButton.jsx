@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { getEventState, getTicketTiers, isRsvpOpen } from "../utils/eventState";
+
+const CLOSED_LABELS = {
+  draft: "Not published yet",
+  cancelled: "Event cancelled",
+  completed: "Event has ended",
+};
+
+const RSVPButton = ({ event, user, onRSVP, className = "" }) => {
+  const { isJoined, isFull, isWaitlisted, waitlistPosition } = getEventState(
+    event,
+    user
+  );
+  const tiers = getTicketTiers(event).filter((t) => t.onSale);
+  const [tierId, setTierId] = useState("");
+
+  const hasTiers = (event.ticketTypes || []).length > 0;
+  const choosingTier = hasTiers && !isJoined && !isWaitlisted;
+  // Default to the first tier that still has seats
+  const selectedTier =
+    tiers.find((t) => t._id === tierId) ||
+    tiers.find((t) => t.remaining > 0) ||
+    tiers[0];
+  const noSeats = isFull || (selectedTier && selectedTier.remaining === 0);
+
+  if (!isRsvpOpen(event)) {
+    return (
+      <div
+        className={`px-4 py-3 text-sm text-center text-slate-500 border border-slate-700 rounded-lg ${className}`}
+      >
+        {CLOSED_LABELS[event.status]}
+      </div>
+    );
+  }
+
+  if (choosingTier && tiers.length === 0) {
+    return (
+      <div
+        className={`px-4 py-3 text-sm text-center text-slate-500 border border-slate-700 rounded-lg ${className}`}
+      >
+        Tickets not on sale
+      </div>
+    );
+  }
+
+  return (
+    <div className={`flex gap-2 ${className}`}>
+      {choosingTier && (
+        <select
+          value={selectedTier._id}
+          onChange={(e) => setTierId(e.target.value)}
+          className="min-w-0 flex-1 px-3 py-3 text-sm bg-white/5 border border-white/10 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          {tiers.map((tier) => (
+            <option key={tier._id} value={tier._id}>
+              {tier.name}
+              {tier.remaining === 0 ? " (waitlist)" : ""}
+            </option>
+          ))}
+        </select>
+      )}
+      <motion.button
+        whileHover={{ scale: 1.02 }}
+        whileTap={{ scale: 0.98 }}
+        onClick={() =>
+          isJoined || isWaitlisted
+            ? onRSVP(event._id, "leave")
+            : onRSVP(event._id, "join", selectedTier?._id)
+        }
+        className={`flex-1 px-4 py-3 text-sm font-semibold rounded-lg transition-all duration-300 ${
+          isJoined || isWaitlisted
+            ? "bg-white/10 text-white hover:bg-white/20 border border-white/20"
+            : noSeats
+            ? "bg-amber-500/10 text-amber-300 hover:bg-amber-500/20 border border-amber-500/30"
+            : "gradient-bg text-white glow-hover"
+        }`}
+      >
+        {isJoined
+          ? "Leave Event"
+          : isWaitlisted
+          ? `Leave Waitlist (#${waitlistPosition})`
+          : noSeats
+          ? "Join Waitlist"
+          : "Join Event"}
+      </motion.button>
+    </div>
+  );
+};
+
+export default RSVPButton;
@@ -0,0 +1,54 @@
+import { motion, AnimatePresence } from "framer-motion";
+
+// Asks whether an action on a recurring event applies to just this
+// occurrence or to this and every later one.
+const SeriesScopeDialog = ({ open, title, onSelect, onCancel }) => {
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur-sm px-4"
+          onClick={onCancel}
+        >
+          <motion.div
+            initial={{ scale: 0.95, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.95, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+            className="card-premium rounded-2xl p-8 w-full max-w-md border border-white/10"
+          >
+            <h3 className="text-2xl font-bold text-white mb-2">{title}</h3>
+            <p className="text-slate-400 text-sm mb-6">
+              This event is part of a recurring series.
+            </p>
+            <div className="space-y-3">
+              <button
+                onClick={() => onSelect("this")}
+                className="w-full px-4 py-3 text-sm font-semibold text-white bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg transition-all duration-300"
+              >
+                This occurrence only
+              </button>
+              <button
+                onClick={() => onSelect("following")}
+                className="w-full px-4 py-3 text-sm font-semibold text-white gradient-bg glow-hover rounded-lg transition-all duration-300"
+              >
+                This and following occurrences
+              </button>
+              <button
+                onClick={onCancel}
+                className="w-full px-4 py-3 text-sm text-slate-400 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SeriesScopeDialog;
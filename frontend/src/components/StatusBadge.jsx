@@ -0,0 +1,33 @@
+import { formatInEventZone } from "../utils/time";
+
+// Pill for events that aren't simply published: drafts (with the scheduled
+// publish date, if any), cancelled and completed events. Published events
+// get none.
+const STYLES = {
+  draft: "text-sky-300 border-sky-500/40",
+  cancelled: "text-red-300 border-red-500/40",
+  completed: "text-slate-300 border-white/20",
+};
+
+const statusLabel = (event) => {
+  if (event.status === "cancelled") return "Cancelled";
+  if (event.status === "completed") return "Completed";
+  if (!event.publishAt) return "Draft";
+  return `Publishes ${formatInEventZone(event.publishAt, event, {
+    short: true,
+  })}`;
+};
+
+const StatusBadge = ({ event, className = "" }) => {
+  const style = STYLES[event.status];
+  if (!style) return null;
+  return (
+    <span
+      className={`inline-block px-3 py-1 glass-strong rounded-full text-xs font-semibold border ${style} ${className}`}
+    >
+      {statusLabel(event)}
+    </span>
+  );
+};
+
+export default StatusBadge;
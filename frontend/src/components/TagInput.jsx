@@ -0,0 +1,57 @@
+import { useState } from "react";
+import { normalizeTag, MAX_TAGS } from "../utils/tags";
+
+// Free-form tag editor: type a tag and press Enter or comma to add it
+const TagInput = ({ tags, onChange, className }) => {
+  const [draft, setDraft] = useState("");
+
+  const commit = () => {
+    const tag = normalizeTag(draft);
+    setDraft("");
+    if (!tag || tags.includes(tag) || tags.length >= MAX_TAGS) return;
+    onChange([...tags, tag]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 ${className}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="flex items-center gap-1.5 pl-3 pr-2 py-1 glass-strong rounded-full text-sm text-slate-200"
+        >
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            title="Remove tag"
+            className="text-slate-500 hover:text-red-400"
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      {tags.length < MAX_TAGS && (
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={commit}
+          placeholder={tags.length === 0 ? "jazz, outdoors, free..." : ""}
+          className="flex-1 min-w-[8rem] bg-transparent text-white placeholder-slate-500 focus:outline-none"
+        />
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
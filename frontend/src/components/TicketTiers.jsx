@@ -0,0 +1,32 @@
+import { getTicketTiers } from "../utils/eventState";
+
+const TicketTiers = ({ event }) => {
+  const tiers = getTicketTiers(event);
+  if (tiers.length === 0) return null;
+
+  return (
+    <ul className="space-y-1.5 text-xs">
+      {tiers.map((tier) => (
+        <li key={tier._id} className="flex justify-between items-center">
+          <span className="text-slate-300">{tier.name}</span>
+          <span
+            className={
+              tier.saleNote
+                ? "text-slate-500"
+                : tier.remaining === 0
+                ? "text-red-400 font-semibold"
+                : "text-white font-semibold"
+            }
+          >
+            {tier.saleNote ||
+              (tier.remaining === 0
+                ? "Sold out"
+                : `${tier.remaining} of ${tier.capacity} left`)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default TicketTiers;
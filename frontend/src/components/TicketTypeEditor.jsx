@@ -0,0 +1,91 @@
+const inputClass =
+  "w-full px-3 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500 text-sm";
+
+const emptyTicketType = () => ({
+  name: "",
+  capacity: "",
+  salesStart: "",
+  salesEnd: "",
+});
+
+const TicketTypeEditor = ({ ticketTypes, onChange }) => {
+  const update = (index, field, value) => {
+    onChange(
+      ticketTypes.map((tier, i) =>
+        i === index ? { ...tier, [field]: value } : tier
+      )
+    );
+  };
+
+  const remove = (index) => {
+    onChange(ticketTypes.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-4">
+      {ticketTypes.map((tier, index) => (
+        <div
+          key={tier._id || index}
+          className="glass-strong rounded-xl p-4 border border-white/10 space-y-3"
+        >
+          <div className="grid grid-cols-1 sm:grid-cols-[1fr_8rem_auto] gap-3">
+            <input
+              type="text"
+              value={tier.name}
+              onChange={(e) => update(index, "name", e.target.value)}
+              className={inputClass}
+              placeholder="Ticket name (e.g. VIP)"
+              required
+            />
+            <input
+              type="number"
+              min="1"
+              value={tier.capacity}
+              onChange={(e) => update(index, "capacity", e.target.value)}
+              className={inputClass}
+              placeholder="Seats"
+              required
+            />
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              disabled={ticketTypes.length === 1}
+              className="px-3 py-3 text-sm text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-xl transition-all disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              Remove
+            </button>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="text-xs text-slate-400 space-y-1">
+              <span>Sales start (optional)</span>
+              <input
+                type="datetime-local"
+                value={tier.salesStart}
+                onChange={(e) => update(index, "salesStart", e.target.value)}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-slate-400 space-y-1">
+              <span>Sales end (optional)</span>
+              <input
+                type="datetime-local"
+                value={tier.salesEnd}
+                onChange={(e) => update(index, "salesEnd", e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...ticketTypes, emptyTicketType()])}
+        className="w-full px-4 py-3 text-sm text-slate-200 bg-white/5 hover:bg-white/10 border border-dashed border-white/20 rounded-xl transition-all"
+      >
+        + Add ticket type
+      </button>
+    </div>
+  );
+};
+
+export default TicketTypeEditor;
@@ -0,0 +1,40 @@
+import { useState, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { resendVerification } from "../utils/authSession";
+
+// Reminds signed-in users with an unconfirmed address to verify it
+const VerifyEmailBanner = () => {
+  const { user } = useContext(AuthContext);
+  const [sent, setSent] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    try {
+      await resendVerification();
+      setSent(true);
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not send the email");
+    }
+  };
+
+  return (
+    <div className="bg-amber-500/10 border-b border-amber-500/30 text-amber-200 text-sm">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-wrap items-center justify-between gap-2">
+        <span>Verify your email ({user.email}) to start creating events.</span>
+        {sent ? (
+          <span className="text-amber-300">Check your inbox</span>
+        ) : (
+          <button
+            onClick={handleResend}
+            className="font-semibold underline hover:text-white transition-colors"
+          >
+            Resend link
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,5 +1,11 @@
 import { createContext, useState, useEffect } from "react";
-import axios from "axios";
+import {
+  storeTokens,
+  clearTokens,
+  installAuthInterceptor,
+  fetchMe,
+  logoutSession,
+} from "../utils/authSession";
 
 export const AuthContext = createContext();
 
@@ -7,41 +13,40 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    const checkLoggedIn = async () => {
-      let token = localStorage.getItem("auth-token");
-      if (token === null) {
-        localStorage.setItem("auth-token", "");
-        token = "";
-      }
+  // Expired access tokens are refreshed transparently; if the session is
+  // gone (revoked or expired) the user is signed out here as well
+  useEffect(() => installAuthInterceptor(() => setUser(null)), []);
 
-      if (token) {
-        try {
-          // Ideally we should have a /me endpoint or just decode if we trust validity, but verification is better
-          // For now, let's assume if we keep the user object in local storage or just rely on the token validity
-          // Let's rely on decoding the token or a simple validity check if we had an endpoint.
-          // Given the constraints, I'll store the user info in localStorage too for simplicity or fetch it.
-          // Let's implement a simple user persistence:
-          const savedUser = localStorage.getItem("user");
-          if (savedUser) setUser(JSON.parse(savedUser));
-        } catch (error) {
-          console.error(error);
-        }
-      }
-      setLoading(false);
+  // Ask the server who the stored token belongs to instead of trusting a
+  // cached user object
+  useEffect(() => {
+    let ignore = false;
+    const token = localStorage.getItem("auth-token");
+    (token ? fetchMe() : Promise.resolve({ user: null }))
+      .then((data) => {
+        if (!ignore) setUser(data.user);
+      })
+      .catch((error) => console.error(error))
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
     };
-    checkLoggedIn();
   }, []);
 
-  const login = (token, userData) => {
-    localStorage.setItem("auth-token", token);
-    localStorage.setItem("user", JSON.stringify(userData));
+  const login = (token, userData, refreshToken) => {
+    storeTokens({ token, refreshToken });
     setUser(userData);
   };
 
-  const logout = () => {
-    localStorage.setItem("auth-token", "");
-    localStorage.setItem("user", "");
+  const logout = async () => {
+    try {
+      await logoutSession();
+    } catch (error) {
+      console.error(error);
+    }
+    clearTokens();
     setUser(null);
   };
 
@@ -0,0 +1,23 @@
+import { useState, useEffect } from "react";
+import { fetchCategories } from "../utils/categoryApi";
+
+// The managed category list, [] until it has loaded
+const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchCategories()
+      .then((list) => {
+        if (!ignore) setCategories(list);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  return categories;
+};
+
+export default useCategories;
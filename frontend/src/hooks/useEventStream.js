@@ -0,0 +1,36 @@
+import { useEffect, useRef } from "react";
+
+const STREAM_URL = "https://backend-fhej.onrender.com/api/events/stream";
+
+// Subscribe to live event updates. Without an eventId the stream carries
+// every publicly listed event; with one, just that event.
+//
+// handlers: { onSeats, onUpdated, onDeleted }, each called with the parsed
+// message ({ _id, ... }). EventSource reconnects on its own after drops.
+const useEventStream = (handlers, eventId) => {
+  // Kept in a ref so new handler functions don't reopen the connection
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const url = eventId
+      ? `${STREAM_URL}?event=${encodeURIComponent(eventId)}`
+      : STREAM_URL;
+    const source = new EventSource(url);
+
+    const listen = (type, handler) =>
+      source.addEventListener(type, (message) => {
+        const fn = handlersRef.current[handler];
+        if (fn) fn(JSON.parse(message.data));
+      });
+    listen("seats", "onSeats");
+    listen("updated", "onUpdated");
+    listen("deleted", "onDeleted");
+
+    return () => source.close();
+  }, [eventId]);
+};
+
+export default useEventStream;
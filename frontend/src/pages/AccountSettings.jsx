@@ -0,0 +1,281 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import Avatar from "../components/Avatar";
+import { fetchProfile, updateProfile, updateAccount } from "../utils/userApi";
+
+const inputClass =
+  "w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white placeholder-slate-500";
+
+const labelClass = "block text-sm font-semibold text-slate-300 mb-2";
+
+// Inline result under each form
+const Status = ({ status }) =>
+  status && (
+    <p
+      className={`text-sm ${status.error ? "text-red-400" : "text-green-400"}`}
+    >
+      {status.message}
+    </p>
+  );
+
+const errorMessage = (err) =>
+  err.response?.data?.message || "Something went wrong";
+
+const ProfileForm = ({ user, setUser }) => {
+  const [displayName, setDisplayName] = useState(user.displayName);
+  const [bio, setBio] = useState(null); // null until loaded
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  // The bio isn't part of the signed-in user, so read it from the profile
+  useEffect(() => {
+    let ignore = false;
+    fetchProfile(user.id)
+      .then((data) => {
+        if (!ignore) setBio(data.bio);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [user.id]);
+
+  const chooseAvatar = (file) => {
+    if (preview) URL.revokeObjectURL(preview);
+    setAvatarFile(file);
+    setPreview(file ? URL.createObjectURL(file) : null);
+  };
+
+  const save = async (extra = {}) => {
+    setSaving(true);
+    setStatus(null);
+    try {
+      const formData = new FormData();
+      formData.append("displayName", displayName);
+      if (bio !== null) formData.append("bio", bio);
+      if (avatarFile) formData.append("avatar", avatarFile);
+      Object.entries(extra).forEach(([key, value]) =>
+        formData.append(key, value)
+      );
+      const data = await updateProfile(formData);
+      setUser(data.user);
+      chooseAvatar(null);
+      setStatus({ message: "Profile saved" });
+    } catch (err) {
+      setStatus({ error: true, message: errorMessage(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save();
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="card-premium rounded-2xl p-6 space-y-5"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-white">Profile</h3>
+        <Link
+          to={`/users/${user.id}`}
+          className="text-sm text-slate-400 hover:text-white transition-colors"
+        >
+          View public profile
+        </Link>
+      </div>
+
+      <div className="flex items-center gap-4">
+        <Avatar
+          user={preview ? { ...user, avatar: preview } : user}
+          size="lg"
+        />
+        <div className="space-y-2">
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/gif,image/webp"
+            onChange={(e) => chooseAvatar(e.target.files[0] || null)}
+            className="text-sm text-slate-400 file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-white/10 file:text-white"
+          />
+          {user.avatar && !avatarFile && (
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => save({ removeAvatar: "true" })}
+              className="block text-xs text-slate-400 hover:text-red-400 transition-colors"
+            >
+              Remove picture
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Display name</label>
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          maxLength={50}
+          placeholder={user.username}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>Bio</label>
+        <textarea
+          value={bio ?? ""}
+          onChange={(e) => setBio(e.target.value)}
+          maxLength={500}
+          rows={4}
+          placeholder="A few words about you or the events you run"
+          className={inputClass}
+        />
+      </div>
+
+      <Status status={status} />
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-6 py-3 text-sm font-semibold rounded-xl gradient-bg text-white glow-hover disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save profile"}
+      </button>
+    </form>
+  );
+};
+
+const AccountForm = ({ user, setUser }) => {
+  const [username, setUsername] = useState(user.username);
+  const [email, setEmail] = useState(user.email);
+  const [password, setPassword] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const emailChanged = email.trim() !== user.email;
+  const needsPassword = emailChanged || password !== "";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setStatus(null);
+    try {
+      const data = await updateAccount({
+        ...(username.trim() !== user.username && { username }),
+        ...(emailChanged && { email }),
+        ...(password && { password }),
+        ...(needsPassword && { currentPassword }),
+      });
+      setUser(data.user);
+      setPassword("");
+      setCurrentPassword("");
+      setStatus({
+        message: emailChanged
+          ? "Account updated. Check your new inbox to verify the address."
+          : "Account updated",
+      });
+    } catch (err) {
+      setStatus({ error: true, message: errorMessage(err) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="card-premium rounded-2xl p-6 space-y-5"
+    >
+      <h3 className="text-lg font-bold text-white">Account</h3>
+
+      <div>
+        <label className={labelClass}>Username</label>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>Email</label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>New password</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="new-password"
+          placeholder="Leave blank to keep your current password"
+          className={inputClass}
+        />
+        {password && (
+          <p className="mt-1 text-xs text-slate-500">
+            Your other devices will be signed out.
+          </p>
+        )}
+      </div>
+
+      {needsPassword && (
+        <div>
+          <label className={labelClass}>Current password</label>
+          <input
+            type="password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      <Status status={status} />
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-6 py-3 text-sm font-semibold rounded-xl gradient-bg text-white glow-hover disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save account"}
+      </button>
+    </form>
+  );
+};
+
+const AccountSettings = () => {
+  const { user, setUser } = useContext(AuthContext);
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div>
+          <h2 className="text-4xl font-black text-white mb-2">Account</h2>
+          <p className="text-slate-400">
+            Your public profile and sign-in details
+          </p>
+        </div>
+        <ProfileForm user={user} setUser={setUser} />
+        <AccountForm user={user} setUser={setUser} />
+      </div>
+    </div>
+  );
+};
+
+export default AccountSettings;
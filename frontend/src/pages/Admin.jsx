@@ -0,0 +1,379 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  fetchAdminEvents,
+  moderateEvent,
+  fetchAdminUsers,
+  moderateUser,
+  fetchAuditLog,
+} from "../utils/adminApi";
+import CategoryManager from "../components/CategoryManager";
+
+const TABS = [
+  { id: "events", label: "Events" },
+  { id: "users", label: "Users" },
+  { id: "audit", label: "Audit log" },
+  { id: "categories", label: "Categories" },
+];
+
+const LOADERS = {
+  events: fetchAdminEvents,
+  users: fetchAdminUsers,
+  audit: fetchAuditLog,
+};
+
+const statusStyles = {
+  visible: "bg-green-500/10 border-green-500/30 text-green-400",
+  hidden: "bg-amber-500/10 border-amber-500/30 text-amber-300",
+  removed: "bg-red-500/10 border-red-500/30 text-red-400",
+  suspended: "bg-red-500/10 border-red-500/30 text-red-400",
+  admin: "bg-purple-500/10 border-purple-500/30 text-purple-300",
+};
+
+const Badge = ({ kind, children }) => (
+  <span
+    className={`px-2 py-0.5 text-xs rounded-full border ${statusStyles[kind]}`}
+  >
+    {children}
+  </span>
+);
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const inputClass =
+  "px-4 py-2.5 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 text-white text-sm placeholder-slate-500";
+
+const actionClass =
+  "px-3 py-1.5 text-xs font-semibold rounded-lg border transition-all duration-300";
+
+const Admin = () => {
+  const [tab, setTab] = useState("events");
+  const [params, setParams] = useState({ q: "", status: "", page: 1 });
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    // Categories manage their own list
+    if (!LOADERS[tab]) return;
+    let ignore = false;
+    const query = { page: params.page };
+    if (params.q) query.q = params.q;
+    if (tab === "events" && params.status) query.status = params.status;
+    if (tab === "users" && params.status === "suspended")
+      query.suspended = "true";
+
+    LOADERS[tab](query)
+      .then((result) => {
+        if (ignore) return;
+        setData(result);
+        setError("");
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load data");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [tab, params]);
+
+  const switchTab = (next) => {
+    setData(null);
+    setTab(next);
+    setParams({ q: "", status: "", page: 1 });
+  };
+
+  // Every action asks for the reason that goes into the audit log
+  const askReason = (label) => {
+    const reason = window.prompt(`Reason for ${label}:`);
+    return reason && reason.trim() ? reason.trim() : null;
+  };
+
+  const handleEventAction = async (event, action) => {
+    const reason = askReason(`${action} "${event.title}"`);
+    if (!reason) return;
+    try {
+      const updated = await moderateEvent(event._id, action, reason);
+      setData((prev) => ({
+        ...prev,
+        events: prev.events.map((e) =>
+          e._id === event._id ? { ...e, moderation: updated.moderation } : e
+        ),
+      }));
+    } catch (err) {
+      alert(err.response?.data?.message || "Action failed");
+    }
+  };
+
+  const handleUserAction = async (user, action) => {
+    const reason = askReason(`${action} ${user.username}`);
+    if (!reason) return;
+    try {
+      const updated = await moderateUser(user._id, action, reason);
+      setData((prev) => ({
+        ...prev,
+        users: prev.users.map((u) =>
+          u._id === user._id ? { ...u, ...updated } : u
+        ),
+      }));
+    } catch (err) {
+      alert(err.response?.data?.message || "Action failed");
+    }
+  };
+
+  const renderEvents = () =>
+    data.events.map((event) => {
+      const status = event.moderation?.status || "visible";
+      return (
+        <div
+          key={event._id}
+          className="card-premium rounded-2xl p-5 flex flex-col md:flex-row md:items-center justify-between gap-4"
+        >
+          <div className="min-w-0">
+            <div className="flex items-center gap-2">
+              <Link
+                to={`/events/${event._id}`}
+                className="text-white font-semibold hover:text-purple-300 truncate"
+              >
+                {event.title}
+              </Link>
+              <Badge kind={status}>{status}</Badge>
+            </div>
+            <div className="text-sm text-slate-400 mt-1">
+              {event.organizer?.username || "Unknown organizer"} ·{" "}
+              {formatDateTime(event.date)} · {event.attendees.length} attending
+            </div>
+            {status !== "visible" && event.moderation?.reason && (
+              <div className="text-xs text-slate-500 mt-1">
+                Reason: {event.moderation.reason}
+              </div>
+            )}
+          </div>
+          <div className="flex gap-2 flex-shrink-0">
+            {status === "visible" && (
+              <button
+                onClick={() => handleEventAction(event, "hide")}
+                className={`${actionClass} text-amber-300 border-amber-500/30 hover:bg-amber-500/10`}
+              >
+                Hide
+              </button>
+            )}
+            {status !== "removed" && (
+              <button
+                onClick={() => handleEventAction(event, "remove")}
+                className={`${actionClass} text-red-400 border-red-500/30 hover:bg-red-500/10`}
+              >
+                Remove
+              </button>
+            )}
+            {status !== "visible" && (
+              <button
+                onClick={() => handleEventAction(event, "restore")}
+                className={`${actionClass} text-green-400 border-green-500/30 hover:bg-green-500/10`}
+              >
+                Restore
+              </button>
+            )}
+          </div>
+        </div>
+      );
+    });
+
+  const renderUsers = () =>
+    data.users.map((user) => (
+      <div
+        key={user._id}
+        className="card-premium rounded-2xl p-5 flex flex-col md:flex-row md:items-center justify-between gap-4"
+      >
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 text-white font-semibold">
+            {user.username}
+            {user.role === "admin" && <Badge kind="admin">admin</Badge>}
+            {user.suspendedAt && <Badge kind="suspended">suspended</Badge>}
+          </div>
+          <div className="text-sm text-slate-400 mt-1">
+            {user.email} · joined {formatDateTime(user.createdAt)}
+          </div>
+          {user.suspendedAt && (
+            <div className="text-xs text-slate-500 mt-1">
+              Suspended {formatDateTime(user.suspendedAt)}:{" "}
+              {user.suspensionReason}
+            </div>
+          )}
+        </div>
+        <div className="flex-shrink-0">
+          {user.suspendedAt ? (
+            <button
+              onClick={() => handleUserAction(user, "unsuspend")}
+              className={`${actionClass} text-green-400 border-green-500/30 hover:bg-green-500/10`}
+            >
+              Unsuspend
+            </button>
+          ) : (
+            <button
+              onClick={() => handleUserAction(user, "suspend")}
+              className={`${actionClass} text-red-400 border-red-500/30 hover:bg-red-500/10`}
+            >
+              Suspend
+            </button>
+          )}
+        </div>
+      </div>
+    ));
+
+  const renderAudit = () =>
+    data.entries.map((entry) => (
+      <div key={entry._id} className="card-premium rounded-2xl p-5">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-white font-semibold">
+            {entry.actor?.username || "Unknown admin"}
+          </span>
+          <span className="font-mono text-purple-300">{entry.action}</span>
+          <span className="text-slate-300">
+            {entry.details?.title ||
+              entry.details?.username ||
+              entry.details?.name ||
+              entry.target}
+          </span>
+          <span className="text-slate-500 ml-auto">
+            {formatDateTime(entry.createdAt)}
+          </span>
+        </div>
+        <div className="text-sm text-slate-400 mt-1">{entry.reason}</div>
+      </div>
+    ));
+
+  const items = data && (data.events || data.users || data.entries);
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto space-y-8">
+        <div>
+          <h2 className="text-4xl font-black text-white mb-2">Moderation</h2>
+          <p className="text-slate-400">
+            Hide or remove events, suspend accounts, review past actions and
+            manage categories
+          </p>
+        </div>
+
+        <div className="flex gap-2 border-b border-white/10">
+          {TABS.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => switchTab(t.id)}
+              className={`px-4 py-3 text-sm font-semibold border-b-2 -mb-px transition-colors ${
+                tab === t.id
+                  ? "border-purple-500 text-white"
+                  : "border-transparent text-slate-400 hover:text-white"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {tab === "categories" && <CategoryManager />}
+
+        {(tab === "events" || tab === "users") && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              const q = new FormData(e.target).get("q").trim();
+              setParams({ ...params, q, page: 1 });
+            }}
+            className="flex flex-col sm:flex-row gap-3"
+          >
+            <input
+              key={tab}
+              name="q"
+              defaultValue={params.q}
+              className={`${inputClass} flex-1`}
+              placeholder={
+                tab === "events" ? "Search by title..." : "Username or email..."
+              }
+            />
+            <select
+              value={params.status}
+              onChange={(e) =>
+                setParams({ ...params, status: e.target.value, page: 1 })
+              }
+              className={inputClass}
+            >
+              <option value="">All</option>
+              {tab === "events" ? (
+                <>
+                  <option value="visible">Visible</option>
+                  <option value="hidden">Hidden</option>
+                  <option value="removed">Removed</option>
+                </>
+              ) : (
+                <option value="suspended">Suspended</option>
+              )}
+            </select>
+            <button
+              type="submit"
+              className="px-5 py-2.5 text-sm font-semibold rounded-lg bg-white/10 text-white hover:bg-white/20 border border-white/20"
+            >
+              Search
+            </button>
+          </form>
+        )}
+
+        {error && (
+          <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+
+        {LOADERS[tab] && !data && !error && (
+          <div className="flex justify-center py-16">
+            <div className="w-12 h-12 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {items && (
+          <div className="space-y-3">
+            {items.length === 0 ? (
+              <p className="text-slate-500 text-center py-12">
+                Nothing to show
+              </p>
+            ) : (
+              { events: renderEvents, users: renderUsers, audit: renderAudit }[
+                tab
+              ]()
+            )}
+          </div>
+        )}
+
+        {data && data.pages > 1 && (
+          <div className="flex items-center justify-center gap-4 text-sm text-slate-400">
+            <button
+              disabled={params.page <= 1}
+              onClick={() => setParams({ ...params, page: params.page - 1 })}
+              className="px-4 py-2 rounded-lg border border-white/10 hover:bg-white/10 disabled:opacity-40"
+            >
+              Previous
+            </button>
+            Page {data.page} of {data.pages}
+            <button
+              disabled={params.page >= data.pages}
+              onClick={() => setParams({ ...params, page: params.page + 1 })}
+              className="px-4 py-2 rounded-lg border border-white/10 hover:bg-white/10 disabled:opacity-40"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
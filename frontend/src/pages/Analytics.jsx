@@ -0,0 +1,257 @@
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import LineChart from "../components/LineChart";
+import { fetchOrganizerStats, fetchEventStats } from "../utils/eventApi";
+import { formatEventTime } from "../utils/time";
+
+const RANGES = [
+  { value: 7, label: "Last 7 days" },
+  { value: 30, label: "Last 30 days" },
+  { value: 90, label: "Last 90 days" },
+];
+
+const LINES = [
+  { key: "views", label: "Views", color: "#a855f7" },
+  { key: "joins", label: "RSVPs", color: "#3b82f6" },
+  { key: "leaves", label: "Cancellations", color: "#f43f5e" },
+];
+
+// Comparison table columns; `value` gives the number to sort by
+const COLUMNS = [
+  { key: "title", label: "Event" },
+  { key: "date", label: "Date", value: (e) => new Date(e.date).getTime() },
+  { key: "views", label: "Views" },
+  { key: "joins", label: "RSVPs" },
+  { key: "leaves", label: "Cancelled" },
+  { key: "fillRate", label: "Filled" },
+  { key: "checkedIn", label: "Checked in" },
+];
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const sortValue = (event, column) =>
+  column.value ? column.value(event) : event[column.key];
+
+const StatCard = ({ label, value }) => (
+  <div className="glass-strong rounded-2xl p-5 text-center border border-white/10">
+    <div className="text-3xl font-bold gradient-text mb-1">{value ?? "–"}</div>
+    <div className="text-xs text-slate-400">{label}</div>
+  </div>
+);
+
+// Organizer analytics: activity across all the user's events, a comparison
+// table, and a drill-down into one event (?event=<id>)
+const Analytics = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get("event");
+  const [days, setDays] = useState(30);
+  const [summary, setSummary] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [sort, setSort] = useState({ key: "date", desc: true });
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    fetchOrganizerStats(days)
+      .then((data) => {
+        if (!ignore) setSummary(data);
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load analytics");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [days]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    let ignore = false;
+    fetchEventStats(selectedId, days)
+      .then((data) => {
+        if (!ignore) setSelected(data);
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load analytics");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [selectedId, days]);
+
+  const selectEvent = (id) => setSearchParams(id ? { event: id } : {});
+
+  const toggleSort = (key) =>
+    setSort((current) => ({
+      key,
+      desc: current.key === key ? !current.desc : key !== "title",
+    }));
+
+  const column = COLUMNS.find((c) => c.key === sort.key);
+  const events = [...(summary?.events || [])].sort((a, b) => {
+    const av = sortValue(a, column);
+    const bv = sortValue(b, column);
+    const order = typeof av === "string" ? av.localeCompare(bv) : av - bv;
+    return sort.desc ? -order : order;
+  });
+
+  const totals = summary?.totals;
+  const detail = selectedId && selected?._id === selectedId ? selected : null;
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-6xl mx-auto space-y-8">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h2 className="text-4xl font-black text-white">Analytics</h2>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {RANGES.map((range) => (
+              <option key={range.value} value={range.value}>
+                {range.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {/* One Event */}
+        {detail && (
+          <div className="card-premium rounded-2xl p-6 space-y-6">
+            <div className="flex flex-wrap items-start justify-between gap-4">
+              <div>
+                <Link
+                  to={`/events/${detail._id}`}
+                  className="text-2xl font-bold text-white hover:underline"
+                >
+                  {detail.title}
+                </Link>
+                <p className="text-sm text-slate-400 mt-1">
+                  {formatEventTime(detail).main}
+                </p>
+              </div>
+              <button
+                onClick={() => selectEvent(null)}
+                className="text-sm text-slate-400 hover:text-white transition-colors"
+              >
+                Back to all events
+              </button>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              <StatCard label="Views" value={detail.views} />
+              <StatCard label="RSVPs" value={detail.joins} />
+              <StatCard
+                label={`Filled (${detail.attending}/${detail.capacity})`}
+                value={percent(detail.fillRate)}
+              />
+              <StatCard label="Checked in" value={detail.checkedIn} />
+            </div>
+            <LineChart data={detail.series} lines={LINES} />
+          </div>
+        )}
+
+        {/* All Events */}
+        {!selectedId && summary && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+              <StatCard label="Events" value={totals.events} />
+              <StatCard label="Views" value={totals.views} />
+              <StatCard label="RSVPs" value={totals.joins} />
+              <StatCard label="Cancellations" value={totals.leaves} />
+              <StatCard
+                label="Seats filled"
+                value={
+                  totals.capacity
+                    ? percent(totals.attending / totals.capacity)
+                    : "–"
+                }
+              />
+            </div>
+            <div className="card-premium rounded-2xl p-6">
+              <LineChart data={summary.series} lines={LINES} />
+            </div>
+          </div>
+        )}
+
+        {/* Comparison */}
+        {summary && (
+          <div className="card-premium rounded-2xl overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs uppercase text-slate-400 border-b border-white/10">
+                <tr>
+                  {COLUMNS.map((c) => (
+                    <th key={c.key} className="px-4 py-3 font-semibold">
+                      <button
+                        onClick={() => toggleSort(c.key)}
+                        className="uppercase hover:text-white transition-colors"
+                      >
+                        {c.label}
+                        {sort.key === c.key && (sort.desc ? " ↓" : " ↑")}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr
+                    key={event._id}
+                    onClick={() => selectEvent(event._id)}
+                    className={`border-b border-white/5 last:border-0 cursor-pointer hover:bg-white/5 ${
+                      event._id === selectedId ? "bg-purple-500/10" : ""
+                    }`}
+                  >
+                    <td className="px-4 py-3 text-white font-medium">
+                      {event.title}
+                    </td>
+                    <td className="px-4 py-3 text-slate-400 whitespace-nowrap">
+                      {formatEventTime(event, { short: true }).main}
+                    </td>
+                    <td className="px-4 py-3 text-slate-300">{event.views}</td>
+                    <td className="px-4 py-3 text-slate-300">{event.joins}</td>
+                    <td className="px-4 py-3 text-slate-300">{event.leaves}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-2">
+                        <div className="w-20 bg-slate-800/50 rounded-full h-1.5 overflow-hidden">
+                          <div
+                            className="h-full rounded-full bg-gradient-to-r from-purple-500 to-blue-500"
+                            style={{ width: percent(event.fillRate) }}
+                          />
+                        </div>
+                        <span className="text-slate-300">
+                          {percent(event.fillRate)}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-slate-300">
+                      {event.checkedIn}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {events.length === 0 && (
+              <p className="px-4 py-8 text-center text-slate-500">
+                No events yet.{" "}
+                <Link
+                  to="/create-event"
+                  className="text-purple-300 hover:underline"
+                >
+                  Create one
+                </Link>{" "}
+                to start collecting stats.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,226 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useParams, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { checkInTicket, fetchCheckInStats } from "../utils/eventApi";
+
+const STATS_INTERVAL = 5000;
+const RESCAN_DELAY = 3000;
+
+const CheckIn = () => {
+  const { id } = useParams();
+  const [stats, setStats] = useState(null);
+  const [code, setCode] = useState("");
+  const [result, setResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState("");
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  const scannerSupported =
+    typeof window !== "undefined" && "BarcodeDetector" in window;
+
+  // Keep the counts live while the door is open
+  useEffect(() => {
+    let ignore = false;
+    const load = () =>
+      fetchCheckInStats(id)
+        .then((data) => {
+          if (!ignore) setStats(data);
+        })
+        .catch((err) => console.error(err));
+    load();
+    const interval = setInterval(load, STATS_INTERVAL);
+    return () => {
+      ignore = true;
+      clearInterval(interval);
+    };
+  }, [id]);
+
+  const submit = useCallback(
+    async (body) => {
+      try {
+        const data = await checkInTicket(id, body);
+        setResult({
+          status: "success",
+          message: data.message,
+          attendee: data.attendee,
+          ticketType: data.ticketType,
+        });
+        setStats(data.stats);
+      } catch (err) {
+        const data = err.response?.data || {};
+        setResult({
+          status: err.response?.status === 409 ? "duplicate" : "error",
+          message: data.message || "Check-in failed",
+          attendee: data.attendee,
+        });
+        if (data.stats) setStats(data.stats);
+      }
+    },
+    [id]
+  );
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  const startCamera = async () => {
+    setCameraError("");
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setScanning(true);
+    } catch (err) {
+      console.error(err);
+      setCameraError("Could not access the camera");
+    }
+  };
+
+  // Scan frames while the camera is running
+  useEffect(() => {
+    if (!scanning) return;
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    const interval = setInterval(async () => {
+      try {
+        const codes = await detector.detect(videoRef.current);
+        if (codes.length === 0) return;
+        const value = codes[0].rawValue;
+        const last = lastScanRef.current;
+        // The same QR stays in frame for a while; only submit it once
+        if (value === last.value && Date.now() - last.at < RESCAN_DELAY) return;
+        lastScanRef.current = { value, at: Date.now() };
+        submit({ token: value });
+      } catch (err) {
+        console.error(err);
+      }
+    }, 400);
+    return () => clearInterval(interval);
+  }, [scanning, submit]);
+
+  // Release the camera when leaving the page
+  useEffect(
+    () => () => streamRef.current?.getTracks().forEach((track) => track.stop()),
+    []
+  );
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    submit({ code: code.trim() });
+    setCode("");
+  };
+
+  const resultStyles = {
+    success: "bg-green-500/10 border-green-500/30 text-green-400",
+    duplicate: "bg-amber-500/10 border-amber-500/30 text-amber-300",
+    error: "bg-red-500/10 border-red-500/30 text-red-400",
+  };
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div className="flex items-center justify-between">
+          <h2 className="text-4xl font-black text-white">Door Check-in</h2>
+          <Link
+            to={`/events/${id}`}
+            className="text-sm text-slate-400 hover:text-white transition-colors"
+          >
+            Back to event
+          </Link>
+        </div>
+
+        {/* Live Counts */}
+        <div className="grid grid-cols-2 gap-6">
+          {[
+            { label: "Checked in", value: stats?.checkedIn },
+            { label: "Registered", value: stats?.registered },
+          ].map((stat) => (
+            <div
+              key={stat.label}
+              className="glass-strong rounded-2xl p-6 text-center border border-white/10"
+            >
+              <div className="text-4xl font-bold gradient-text mb-1">
+                {stat.value ?? "–"}
+              </div>
+              <div className="text-sm text-slate-400">{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Result */}
+        {result && (
+          <motion.div
+            key={`${result.status}-${result.attendee}-${result.message}`}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className={`p-5 border rounded-2xl ${resultStyles[result.status]}`}
+          >
+            <div className="text-lg font-bold">{result.message}</div>
+            {result.attendee && (
+              <div className="text-sm mt-1">
+                {result.attendee}
+                {result.ticketType && ` · ${result.ticketType}`}
+              </div>
+            )}
+          </motion.div>
+        )}
+
+        {/* Scanner */}
+        <div className="card-premium rounded-2xl p-6 space-y-4">
+          <h3 className="text-lg font-bold text-white">Scan QR code</h3>
+          <video
+            ref={videoRef}
+            className={`w-full rounded-xl bg-black ${scanning ? "" : "hidden"}`}
+            muted
+            playsInline
+          />
+          {scannerSupported ? (
+            <button
+              onClick={scanning ? stopCamera : startCamera}
+              className="w-full px-4 py-3 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover"
+            >
+              {scanning ? "Stop camera" : "Start camera"}
+            </button>
+          ) : (
+            <p className="text-sm text-slate-500">
+              This browser can't scan QR codes. Use manual entry below.
+            </p>
+          )}
+          {cameraError && <p className="text-sm text-red-400">{cameraError}</p>}
+        </div>
+
+        {/* Manual Entry */}
+        <form
+          onSubmit={handleManualSubmit}
+          className="card-premium rounded-2xl p-6 space-y-4"
+        >
+          <h3 className="text-lg font-bold text-white">Manual entry</h3>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="flex-1 px-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white font-mono uppercase tracking-widest placeholder-slate-500"
+              placeholder="ABCDE-12345"
+            />
+            <button
+              type="submit"
+              className="px-6 py-3 text-sm font-semibold rounded-xl bg-white/10 text-white hover:bg-white/20 border border-white/20"
+            >
+              Check in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
@@ -1,11 +1,58 @@
-import { useState, useContext } from "react";
+import { useState, useEffect, useContext } from "react";
 import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import { motion } from "framer-motion";
+import { fetchEvent, updateEvent } from "../utils/eventApi";
+import TicketTypeEditor from "../components/TicketTypeEditor";
+import TagInput from "../components/TagInput";
+import useCategories from "../hooks/useCategories";
+import { ADDRESS_FIELDS, emptyAddress } from "../utils/geo";
+import {
+  VIEWER_TIME_ZONE,
+  timeZoneOptions,
+  toZonedInput,
+  lastDayInput,
+} from "../utils/time";
+
+// Tier rows hold datetime-local strings; the API wants ISO dates
+const serializeTicketTypes = (ticketTypes) =>
+  ticketTypes.map((tier) => ({
+    ...(tier._id && { _id: tier._id }),
+    name: tier.name,
+    capacity: Number(tier.capacity),
+    // Wall-clock times, read in the event's zone like the start and end
+    salesStart: tier.salesStart || null,
+    salesEnd: tier.salesEnd || null,
+  }));
+
+const VISIBILITY_OPTIONS = [
+  {
+    value: "public",
+    label: "Public",
+    description: "Listed on the dashboard; anyone can RSVP.",
+  },
+  {
+    value: "unlisted",
+    label: "Unlisted",
+    description: "Not listed; anyone with the link can see it and RSVP.",
+  },
+  {
+    value: "invite",
+    label: "Invite only",
+    description:
+      "Not listed; only people you invite or who have the invite link can RSVP.",
+  },
+];
+
+// Per-field message from the API's { errors } response
+const FieldError = ({ message }) =>
+  message ? <p className="mt-2 text-sm text-red-400">{message}</p> : null;
 
 const CreateEvent = () => {
   const navigate = useNavigate();
+  const { id } = useParams();
+  const isEdit = Boolean(id);
   const { user } = useContext(AuthContext);
 
   const [formData, setFormData] = useState({
@@ -19,14 +66,155 @@ const CreateEvent = () => {
   const [imagePreview, setImagePreview] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [recurrence, setRecurrence] = useState({
+    frequency: "",
+    interval: 1,
+    ends: "count",
+    count: 4,
+    until: "",
+    exdates: [],
+  });
+  const [exdateInput, setExdateInput] = useState("");
+  const [isSeries, setIsSeries] = useState(false);
+  const [scope, setScope] = useState("this");
+  const [useTiers, setUseTiers] = useState(false);
+  const [visibility, setVisibility] = useState("public");
+  const [category, setCategory] = useState("");
+  const [tags, setTags] = useState([]);
+  const [address, setAddress] = useState(emptyAddress);
+  // Start and end are wall-clock times in `timeZone`; the API reads them
+  // there. All-day events take plain dates.
+  const [endDate, setEndDate] = useState("");
+  const [allDay, setAllDay] = useState(false);
+  const [timeZone, setTimeZone] = useState(VIEWER_TIME_ZONE);
+  // Drafts stay hidden until published, by hand or at publishAt (a
+  // wall-clock time in `timeZone`)
+  const [isDraft, setIsDraft] = useState(false);
+  const [publishAt, setPublishAt] = useState("");
+  const zones = timeZoneOptions();
+  if (!zones.includes(timeZone)) zones.unshift(timeZone);
+  const categories = useCategories();
+  const [ticketTypes, setTicketTypes] = useState([
+    { name: "General", capacity: "", salesStart: "", salesEnd: "" },
+  ]);
+
+  // Edit mode - prefill the form from the existing event
+  useEffect(() => {
+    if (!isEdit) return;
+    let ignore = false;
+    fetchEvent(id)
+      .then((event) => {
+        if (ignore) return;
+        setFormData({
+          title: event.title,
+          description: event.description,
+          date: toZonedInput(event.date, event.timeZone, event.allDay),
+          location: event.location,
+          capacity: event.capacity,
+        });
+        setImagePreview(event.image);
+        setIsSeries(Boolean(event.series));
+        setVisibility(event.visibility || "public");
+        setCategory(event.category || "");
+        setTags(event.tags || []);
+        setAddress({ ...emptyAddress(), ...event.address });
+        setTimeZone(event.timeZone || "UTC");
+        setAllDay(Boolean(event.allDay));
+        setIsDraft(event.status === "draft");
+        if (event.publishAt)
+          setPublishAt(toZonedInput(event.publishAt, event.timeZone));
+        if (event.endDate)
+          setEndDate(
+            event.allDay
+              ? lastDayInput(event)
+              : toZonedInput(event.endDate, event.timeZone)
+          );
+        if (event.ticketTypes?.length > 0) {
+          setUseTiers(true);
+          setTicketTypes(
+            event.ticketTypes.map((tier) => ({
+              _id: tier._id,
+              name: tier.name,
+              capacity: tier.capacity,
+              salesStart: tier.salesStart
+                ? toZonedInput(tier.salesStart, event.timeZone || "UTC")
+                : "",
+              salesEnd: tier.salesEnd
+                ? toZonedInput(tier.salesEnd, event.timeZone || "UTC")
+                : "",
+            }))
+          );
+        }
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load event");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [id, isEdit]);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  // Field errors show next to their inputs; the banner only keeps what
+  // doesn't belong to a field
+  const showError = (err, fallback) => {
+    const data = err.response?.data || {};
+    if (data.errors) {
+      setFieldErrors(data.errors);
+      setError("Please fix the highlighted fields");
+    } else {
+      setError(data.message || fallback);
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full px-4 py-4 bg-white/5 border rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500 ${
+      fieldErrors[field] ? "border-red-500/60" : "border-white/10"
+    }`;
+
+  // Switching between dates and times keeps the day that was picked
+  const handleAllDayChange = (checked) => {
+    const convert = (value) =>
+      !value
+        ? ""
+        : checked
+        ? value.slice(0, 10)
+        : `${value.slice(0, 10)}T09:00`;
+    setAllDay(checked);
+    setFormData({ ...formData, date: convert(formData.date) });
+    setEndDate(checked ? convert(endDate) : "");
+  };
+
+  const handleRecurrenceChange = (e) => {
+    setRecurrence({ ...recurrence, [e.target.name]: e.target.value });
+  };
+
+  const addExdate = () => {
+    if (!exdateInput || recurrence.exdates.includes(exdateInput)) return;
+    setRecurrence({
+      ...recurrence,
+      exdates: [...recurrence.exdates, exdateInput].sort(),
+    });
+    setExdateInput("");
+  };
+
+  const removeExdate = (date) => {
+    setRecurrence({
+      ...recurrence,
+      exdates: recurrence.exdates.filter((d) => d !== date),
+    });
   };
 
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     setImage(file);
+    setFieldErrors({ ...fieldErrors, image: undefined });
 
     if (file) {
       const reader = new FileReader();
@@ -37,13 +225,51 @@ const CreateEvent = () => {
     }
   };
 
+  const tierCapacity = ticketTypes.reduce(
+    (sum, tier) => sum + (Number(tier.capacity) || 0),
+    0
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError("");
+    setFieldErrors({});
+
+    if (isEdit) {
+      try {
+        const updated = await updateEvent(
+          id,
+          {
+            ...formData,
+            capacity: useTiers ? tierCapacity : formData.capacity,
+            ticketTypes: useTiers ? serializeTicketTypes(ticketTypes) : [],
+            visibility,
+            category,
+            tags,
+            address,
+            endDate,
+            allDay,
+            timeZone,
+            ...(isDraft && { publishAt }),
+          },
+          scope
+        );
+        if (updated.keptCapacity?.length > 0)
+          alert(
+            `${updated.keptCapacity.length} later occurrence(s) had more attendees or tickets than the new limits allow and kept their old capacity and ticket types.`
+          );
+        navigate(`/events/${id}`);
+      } catch (err) {
+        showError(err, "Error updating event");
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
 
     if (!image) {
-      setError("Please upload an image");
+      setFieldErrors({ image: "Please upload an image" });
       setLoading(false);
       return;
     }
@@ -52,9 +278,40 @@ const CreateEvent = () => {
     data.append("title", formData.title);
     data.append("description", formData.description);
     data.append("date", formData.date);
+    if (endDate) data.append("endDate", endDate);
+    data.append("allDay", allDay);
+    data.append("timeZone", timeZone);
     data.append("location", formData.location);
-    data.append("capacity", formData.capacity);
+    data.append("capacity", useTiers ? tierCapacity : formData.capacity);
     data.append("image", image);
+    data.append("visibility", visibility);
+    if (isDraft) {
+      data.append("status", "draft");
+      if (publishAt) data.append("publishAt", publishAt);
+    }
+    if (category) data.append("category", category);
+    if (tags.length > 0) data.append("tags", JSON.stringify(tags));
+    if (Object.values(address).some(Boolean))
+      data.append("address", JSON.stringify(address));
+    if (useTiers) {
+      data.append(
+        "ticketTypes",
+        JSON.stringify(serializeTicketTypes(ticketTypes))
+      );
+    }
+    if (recurrence.frequency) {
+      data.append(
+        "recurrence",
+        JSON.stringify({
+          frequency: recurrence.frequency,
+          interval: Number(recurrence.interval),
+          ...(recurrence.ends === "count"
+            ? { count: Number(recurrence.count) }
+            : { until: recurrence.until }),
+          exdates: recurrence.exdates,
+        })
+      );
+    }
 
     try {
       const token = localStorage.getItem("auth-token");
@@ -64,17 +321,19 @@ const CreateEvent = () => {
           "Content-Type": "multipart/form-data",
         },
       });
-      navigate("/");
+      // Drafts aren't on the dashboard; they show under My Events
+      navigate(isDraft ? "/my-events" : "/");
     } catch (err) {
       console.error(err);
-      setError(err.response?.data?.message || "Error creating event");
+      showError(err, "Error creating event");
     } finally {
       setLoading(false);
     }
   };
 
   const progress =
-    Object.values(formData).filter(Boolean).length + (image ? 1 : 0);
+    Object.values(formData).filter(Boolean).length +
+    (image || (isEdit && imagePreview) ? 1 : 0);
   const totalFields = 6;
   const progressPercentage = (progress / totalFields) * 100;
 
@@ -97,10 +356,12 @@ const CreateEvent = () => {
           {/* Header */}
           <div className="mb-10">
             <h2 className="text-4xl font-black text-white mb-3">
-              Create New Event
+              {isEdit ? "Edit Event" : "Create New Event"}
             </h2>
             <p className="text-slate-400 text-lg">
-              Fill in the details to create an amazing event
+              {isEdit
+                ? "Update the details of your event"
+                : "Fill in the details to create an amazing event"}
             </p>
 
             {/* Progress Bar */}
@@ -159,9 +420,15 @@ const CreateEvent = () => {
                 onChange={handleImageChange}
                 className="hidden"
                 id="image-upload"
-                required
+                required={!isEdit}
+                disabled={isEdit}
               />
-              <label htmlFor="image-upload" className="block cursor-pointer">
+              <label
+                htmlFor="image-upload"
+                className={`block ${
+                  isEdit ? "cursor-default" : "cursor-pointer"
+                }`}
+              >
                 {imagePreview ? (
                   <div className="relative group">
                     <img
@@ -169,7 +436,11 @@ const CreateEvent = () => {
                       alt="Preview"
                       className="w-full h-72 object-cover rounded-2xl"
                     />
-                    <div className="absolute inset-0 bg-black/60 opacity-0 group-hover:opacity-100 transition-opacity rounded-2xl flex items-center justify-center">
+                    <div
+                      className={`absolute inset-0 bg-black/60 opacity-0 ${
+                        isEdit ? "" : "group-hover:opacity-100"
+                      } transition-opacity rounded-2xl flex items-center justify-center`}
+                    >
                       <div className="text-center">
                         <svg
                           className="w-12 h-12 text-white mx-auto mb-2"
@@ -209,11 +480,12 @@ const CreateEvent = () => {
                       Click to upload image
                     </span>
                     <span className="text-sm text-slate-500">
-                      PNG, JPG up to 10MB
+                      PNG, JPG, GIF or WebP up to 5MB
                     </span>
                   </div>
                 )}
               </label>
+              <FieldError message={fieldErrors.image} />
             </div>
 
             {/* Title */}
@@ -226,10 +498,12 @@ const CreateEvent = () => {
                 name="title"
                 value={formData.title}
                 onChange={handleChange}
-                className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500"
+                className={inputClass("title")}
                 placeholder="Summer Music Festival 2025"
+                maxLength={120}
                 required
               />
+              <FieldError message={fieldErrors.title} />
             </div>
 
             {/* Description */}
@@ -241,26 +515,31 @@ const CreateEvent = () => {
                 name="description"
                 value={formData.description}
                 onChange={handleChange}
-                className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all h-32 resize-none text-white placeholder-slate-500 custom-scrollbar"
+                className={`${inputClass(
+                  "description"
+                )} h-32 resize-none custom-scrollbar`}
                 placeholder="Tell people what makes your event special..."
+                maxLength={5000}
                 required
               />
+              <FieldError message={fieldErrors.description} />
             </div>
 
             {/* Date & Location */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <label className="block text-sm font-semibold text-slate-300 mb-3">
-                  Date & Time *
+                  {allDay ? "Date *" : "Starts *"}
                 </label>
                 <input
-                  type="datetime-local"
+                  type={allDay ? "date" : "datetime-local"}
                   name="date"
                   value={formData.date}
                   onChange={handleChange}
-                  className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white"
+                  className={inputClass("date")}
                   required
                 />
+                <FieldError message={fieldErrors.date} />
               </div>
 
               <div>
@@ -272,13 +551,100 @@ const CreateEvent = () => {
                   name="location"
                   value={formData.location}
                   onChange={handleChange}
-                  className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500"
+                  className={inputClass("location")}
                   placeholder="New York, NY"
+                  maxLength={200}
                   required
                 />
+                <FieldError message={fieldErrors.location} />
               </div>
             </div>
 
+            {/* End, time zone, all-day */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-semibold text-slate-300 mb-3">
+                  {allDay ? "Last day" : "Ends"}
+                </label>
+                <input
+                  type={allDay ? "date" : "datetime-local"}
+                  value={endDate}
+                  min={formData.date}
+                  onChange={(e) => {
+                    setEndDate(e.target.value);
+                    setFieldErrors({ ...fieldErrors, endDate: undefined });
+                  }}
+                  className={inputClass("endDate")}
+                />
+                <p className="mt-2 text-xs text-slate-500">
+                  {allDay
+                    ? "Leave empty for a single day."
+                    : "Leave empty for a two-hour event."}
+                </p>
+                <FieldError message={fieldErrors.endDate} />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-slate-300 mb-3">
+                  Time zone
+                </label>
+                <select
+                  value={timeZone}
+                  onChange={(e) => {
+                    setTimeZone(e.target.value);
+                    setFieldErrors({ ...fieldErrors, timeZone: undefined });
+                  }}
+                  className={inputClass("timeZone")}
+                >
+                  {zones.map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone.replace(/_/g, " ")}
+                    </option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-3 mt-3 text-sm text-slate-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={allDay}
+                    onChange={(e) => handleAllDayChange(e.target.checked)}
+                    className="w-4 h-4 accent-purple-500"
+                  />
+                  All-day event
+                </label>
+                <FieldError message={fieldErrors.timeZone} />
+              </div>
+            </div>
+
+            {/* Address - geocoded for "near me" searches */}
+            <div>
+              <label className="block text-sm font-semibold text-slate-300 mb-1">
+                Address
+              </label>
+              <p className="mb-3 text-xs text-slate-500">
+                Optional. Helps people nearby find your event; without it we
+                look up the location above.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {ADDRESS_FIELDS.map((field) => (
+                  <input
+                    key={field.name}
+                    type="text"
+                    value={address[field.name] || ""}
+                    onChange={(e) => {
+                      setAddress({ ...address, [field.name]: e.target.value });
+                      setFieldErrors({ ...fieldErrors, address: undefined });
+                    }}
+                    className={`${inputClass("address")} ${
+                      field.name === "street" ? "md:col-span-2" : ""
+                    }`}
+                    placeholder={`${field.label} (e.g. ${field.placeholder})`}
+                    maxLength={200}
+                  />
+                ))}
+              </div>
+              <FieldError message={fieldErrors.address} />
+            </div>
+
             {/* Capacity */}
             <div>
               <label className="block text-sm font-semibold text-slate-300 mb-3">
@@ -288,14 +654,319 @@ const CreateEvent = () => {
                 type="number"
                 name="capacity"
                 min="1"
-                value={formData.capacity}
+                value={useTiers ? tierCapacity : formData.capacity}
                 onChange={handleChange}
-                className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500"
+                disabled={useTiers}
+                className={`${inputClass("capacity")} disabled:opacity-60`}
                 placeholder="100"
-                required
+                required={!useTiers}
               />
+              <FieldError message={fieldErrors.capacity} />
+            </div>
+
+            {/* Category & Tags */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-semibold text-slate-300 mb-3">
+                  Category
+                </label>
+                <select
+                  name="category"
+                  value={category}
+                  onChange={(e) => {
+                    setCategory(e.target.value);
+                    setFieldErrors({ ...fieldErrors, category: undefined });
+                  }}
+                  className={inputClass("category")}
+                >
+                  <option value="">No category</option>
+                  {categories.map((c) => (
+                    <option key={c.slug} value={c.slug}>
+                      {c.name}
+                    </option>
+                  ))}
+                </select>
+                <FieldError message={fieldErrors.category} />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-slate-300 mb-3">
+                  Tags
+                </label>
+                <TagInput
+                  tags={tags}
+                  onChange={(next) => {
+                    setTags(next);
+                    setFieldErrors({ ...fieldErrors, tags: undefined });
+                  }}
+                  className={inputClass("tags")}
+                />
+                <FieldError message={fieldErrors.tags} />
+              </div>
             </div>
 
+            {/* Visibility */}
+            <div>
+              <label className="block text-sm font-semibold text-slate-300 mb-3">
+                Who can see this event?
+              </label>
+              <select
+                name="visibility"
+                value={visibility}
+                onChange={(e) => {
+                  setVisibility(e.target.value);
+                  setFieldErrors({ ...fieldErrors, visibility: undefined });
+                }}
+                className={inputClass("visibility")}
+              >
+                {VISIBILITY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-2 text-xs text-slate-500">
+                {
+                  VISIBILITY_OPTIONS.find((o) => o.value === visibility)
+                    .description
+                }
+              </p>
+              <FieldError message={fieldErrors.visibility} />
+            </div>
+
+            {/* Ticket Tiers */}
+            <div className="space-y-4">
+              <label className="flex items-center gap-3 text-sm font-semibold text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={useTiers}
+                  onChange={(e) => setUseTiers(e.target.checked)}
+                  className="w-4 h-4 accent-purple-500"
+                />
+                Sell separate ticket types (General, VIP, Student...)
+              </label>
+              {useTiers && (
+                <TicketTypeEditor
+                  ticketTypes={ticketTypes}
+                  onChange={setTicketTypes}
+                />
+              )}
+              <FieldError message={fieldErrors.ticketTypes} />
+            </div>
+
+            {/* Repeat (new events only) */}
+            {!isEdit && (
+              <div className="space-y-4">
+                <label className="block text-sm font-semibold text-slate-300">
+                  Repeat
+                </label>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <select
+                    name="frequency"
+                    value={recurrence.frequency}
+                    onChange={handleRecurrenceChange}
+                    className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white"
+                  >
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                  {recurrence.frequency && (
+                    <div className="flex items-center gap-3 text-sm text-slate-300">
+                      Every
+                      <input
+                        type="number"
+                        name="interval"
+                        min="1"
+                        value={recurrence.interval}
+                        onChange={handleRecurrenceChange}
+                        className="w-20 px-3 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white"
+                      />
+                      {
+                        {
+                          daily: "day(s)",
+                          weekly: "week(s)",
+                          monthly: "month(s)",
+                        }[recurrence.frequency]
+                      }
+                    </div>
+                  )}
+                </div>
+
+                {recurrence.frequency && (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      <div className="flex items-center gap-3 text-sm text-slate-300">
+                        <input
+                          type="radio"
+                          name="ends"
+                          value="count"
+                          checked={recurrence.ends === "count"}
+                          onChange={handleRecurrenceChange}
+                          className="accent-purple-500"
+                        />
+                        After
+                        <input
+                          type="number"
+                          name="count"
+                          min="1"
+                          max="100"
+                          value={recurrence.count}
+                          onChange={handleRecurrenceChange}
+                          disabled={recurrence.ends !== "count"}
+                          className="w-20 px-3 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white disabled:opacity-40"
+                        />
+                        occurrences
+                      </div>
+                      <div className="flex items-center gap-3 text-sm text-slate-300">
+                        <input
+                          type="radio"
+                          name="ends"
+                          value="until"
+                          checked={recurrence.ends === "until"}
+                          onChange={handleRecurrenceChange}
+                          className="accent-purple-500"
+                        />
+                        Until
+                        <input
+                          type="date"
+                          name="until"
+                          value={recurrence.until}
+                          onChange={handleRecurrenceChange}
+                          disabled={recurrence.ends !== "until"}
+                          required={recurrence.ends === "until"}
+                          className="flex-1 px-3 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white disabled:opacity-40"
+                        />
+                      </div>
+                    </div>
+
+                    <div>
+                      <div className="flex gap-3">
+                        <input
+                          type="date"
+                          value={exdateInput}
+                          onChange={(e) => setExdateInput(e.target.value)}
+                          className="flex-1 px-4 py-3 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 text-white"
+                        />
+                        <button
+                          type="button"
+                          onClick={addExdate}
+                          className="px-4 py-3 text-sm text-slate-200 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl transition-all"
+                        >
+                          Skip date
+                        </button>
+                      </div>
+                      {recurrence.exdates.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                          {recurrence.exdates.map((date) => (
+                            <button
+                              type="button"
+                              key={date}
+                              onClick={() => removeExdate(date)}
+                              className="px-3 py-1.5 glass-strong rounded-full text-xs text-slate-300 hover:text-white"
+                              title="Remove"
+                            >
+                              {date} ✕
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </>
+                )}
+                <FieldError message={fieldErrors.recurrence} />
+              </div>
+            )}
+
+            {/* Publishing - new events and drafts */}
+            {(!isEdit || isDraft) && (
+              <div className="space-y-4">
+                <label className="block text-sm font-semibold text-slate-300">
+                  Publishing
+                </label>
+                {!isEdit && (
+                  <div className="flex flex-col sm:flex-row gap-4 text-sm text-slate-300">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="publishing"
+                        checked={!isDraft}
+                        onChange={() => setIsDraft(false)}
+                        className="accent-purple-500"
+                      />
+                      Publish now
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="publishing"
+                        checked={isDraft}
+                        onChange={() => setIsDraft(true)}
+                        className="accent-purple-500"
+                      />
+                      Save as draft
+                    </label>
+                  </div>
+                )}
+                {isDraft && (
+                  <div>
+                    <input
+                      type="datetime-local"
+                      value={publishAt}
+                      onChange={(e) => {
+                        setPublishAt(e.target.value);
+                        setFieldErrors({
+                          ...fieldErrors,
+                          publishAt: undefined,
+                        });
+                      }}
+                      className={inputClass("publishAt")}
+                    />
+                    <p className="mt-2 text-xs text-slate-500">
+                      Optional. The draft is published automatically at this
+                      time ({timeZone.replace(/_/g, " ")}); leave empty to
+                      publish it yourself.
+                    </p>
+                    <FieldError message={fieldErrors.publishAt} />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Edit scope for recurring events */}
+            {isEdit && isSeries && (
+              <div>
+                <label className="block text-sm font-semibold text-slate-300 mb-3">
+                  Apply changes to
+                </label>
+                <div className="flex flex-col sm:flex-row gap-4 text-sm text-slate-300">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="this"
+                      checked={scope === "this"}
+                      onChange={(e) => setScope(e.target.value)}
+                      className="accent-purple-500"
+                    />
+                    This occurrence only
+                  </label>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="following"
+                      checked={scope === "following"}
+                      onChange={(e) => setScope(e.target.value)}
+                      className="accent-purple-500"
+                    />
+                    This and following occurrences
+                  </label>
+                </div>
+              </div>
+            )}
+
             {/* Submit Button */}
             <motion.button
               whileHover={{ scale: 1.02 }}
@@ -325,7 +996,7 @@ const CreateEvent = () => {
                       d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
                     ></path>
                   </svg>
-                  Creating Event...
+                  {isEdit ? "Saving Changes..." : "Creating Event..."}
                 </span>
               ) : (
                 <span className="flex items-center justify-center gap-2">
@@ -342,7 +1013,7 @@ const CreateEvent = () => {
                       d="M5 13l4 4L19 7"
                     />
                   </svg>
-                  Create Event
+                  {isEdit ? "Save Changes" : "Create Event"}
                 </span>
               )}
             </motion.button>
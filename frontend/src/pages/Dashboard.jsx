@@ -1,64 +1,209 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef, useCallback } from "react";
 import axios from "axios";
 import EventCard from "../components/EventCard";
+import EventFilters from "../components/EventFilters";
+import SeriesScopeDialog from "../components/SeriesScopeDialog";
+import CalendarFeedPanel from "../components/CalendarFeedPanel";
 import { AuthContext } from "../context/AuthContext";
+import { rsvpToEvent, deleteEvent } from "../utils/eventApi";
+import { attendeeCount } from "../utils/eventState";
+import useEventStream from "../hooks/useEventStream";
 import { motion } from "framer-motion";
 
+const API_URL = "https://backend-fhej.onrender.com/api/events";
+
+const DEFAULT_FILTERS = {
+  q: "",
+  when: "upcoming",
+  from: "",
+  to: "",
+  available: false,
+  sort: "date",
+  category: "",
+  tags: [],
+  near: "",
+  radius: "25",
+};
+
+// Only send the filters that are actually set
+const buildParams = (filters, cursor) => {
+  const params = { sort: filters.sort, when: filters.when };
+  if (filters.q) params.q = filters.q;
+  if (filters.from) params.from = filters.from;
+  if (filters.to) params.to = `${filters.to}T23:59:59.999`;
+  if (filters.available) params.available = "true";
+  if (filters.category) params.category = filters.category;
+  if (filters.tags.length > 0) params.tags = filters.tags.join(",");
+  if (filters.near) {
+    params.near = filters.near;
+    params.radius = filters.radius;
+  }
+  if (cursor) params.cursor = cursor;
+  return params;
+};
+
 const Dashboard = () => {
   const [events, setEvents] = useState([]);
+  const [pageInfo, setPageInfo] = useState({
+    hasMore: false,
+    nextCursor: null,
+  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [search, setSearch] = useState("");
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const sentinelRef = useRef(null);
   const { user } = useContext(AuthContext);
 
-  const fetchEvents = async () => {
+  const hasFilters =
+    JSON.stringify(filters) !== JSON.stringify(DEFAULT_FILTERS);
+
+  // First page - reloaded whenever the filters change
+  useEffect(() => {
+    let ignore = false;
+    axios
+      .get(API_URL, { params: buildParams(filters) })
+      .then((res) => {
+        if (ignore) return;
+        setEvents(res.data.events);
+        setPageInfo(res.data.pageInfo);
+      })
+      .catch((err) => console.error(err))
+      .finally(() => {
+        if (ignore) return;
+        setLoading(false);
+        setRefreshing(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [filters]);
+
+  // Debounce the search box into the filters
+  useEffect(() => {
+    const q = search.trim();
+    if (q === filters.q) return;
+
+    const timeout = setTimeout(() => {
+      setRefreshing(true);
+      setFilters((prev) => ({ ...prev, q }));
+    }, 350);
+    return () => clearTimeout(timeout);
+  }, [search, filters.q]);
+
+  const handleFiltersChange = (next) => {
+    setRefreshing(true);
+    setFilters(next);
+  };
+
+  // Chips on the cards narrow the listing
+  const handleTagSelect = (tag) => {
+    if (!filters.tags.includes(tag))
+      handleFiltersChange({ ...filters, tags: [...filters.tags, tag] });
+  };
+  const handleCategorySelect = (category) => {
+    if (filters.category !== category)
+      handleFiltersChange({ ...filters, category });
+  };
+
+  // Live seat counts, edits and deletions from other people
+  const patchEvent = ({ _id, ...changes }) =>
+    setEvents((prev) =>
+      prev.map((e) => (e._id === _id ? { ...e, ...changes } : e))
+    );
+  useEventStream({
+    onSeats: patchEvent,
+    onUpdated: patchEvent,
+    onDeleted: ({ _id }) =>
+      setEvents((prev) => prev.filter((e) => e._id !== _id)),
+  });
+
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !pageInfo.hasMore) return;
+    setLoadingMore(true);
     try {
-      const res = await axios.get(
-        "https://backend-fhej.onrender.com/api/events"
-      );
-      setEvents(res.data);
-      setLoading(false);
+      const res = await axios.get(API_URL, {
+        params: buildParams(filters, pageInfo.nextCursor),
+      });
+      setEvents((prev) => [...prev, ...res.data.events]);
+      setPageInfo(res.data.pageInfo);
     } catch (err) {
       console.error(err);
-      setLoading(false);
+    } finally {
+      setLoadingMore(false);
     }
-  };
+  }, [filters, pageInfo, loadingMore]);
 
+  // Infinite scroll - fetch the next page when the sentinel comes into view
   useEffect(() => {
-    fetchEvents();
-  }, []);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pageInfo.hasMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, pageInfo.hasMore]);
 
-  const handleRSVP = async (eventId, action) => {
+  const handleRSVP = async (eventId, action, ticketType) => {
     try {
       const token = localStorage.getItem("auth-token");
       if (!token) return alert("Please login to RSVP");
 
-      await axios.post(
-        `https://backend-fhej.onrender.com/api/events/${eventId}/rsvp`,
-        { action },
-        { headers: { "x-auth-token": token } }
-      );
+      const data = await rsvpToEvent(eventId, action, ticketType);
 
-      fetchEvents();
+      // Patch the one event in place so the loaded pages are kept
+      setEvents((prev) =>
+        prev.map((e) =>
+          e._id === eventId
+            ? {
+                ...e,
+                attendees: data.attendees,
+                waitlist: data.waitlist,
+                tickets: data.tickets,
+                // Drop live counts so the fresh lists are used
+                attendeeCount: undefined,
+                waitlistCount: undefined,
+                ticketsTaken: undefined,
+              }
+            : e
+        )
+      );
     } catch (err) {
       alert(err.response?.data?.message || "RSVP Failed");
     }
   };
 
-  const handleDelete = async (eventId) => {
-    if (!window.confirm("Are you sure you want to delete this event?")) return;
+  const removeEvent = async (event, scope) => {
     try {
-      const token = localStorage.getItem("auth-token");
-      await axios.delete(
-        `https://backend-fhej.onrender.com/api/events/${eventId}`,
-        {
-          headers: { "x-auth-token": token },
-        }
+      await deleteEvent(event._id, scope);
+      const from = new Date(event.date);
+      setEvents((prev) =>
+        prev.filter((e) =>
+          scope === "following" && event.series
+            ? !(e.series === event.series && new Date(e.date) >= from)
+            : e._id !== event._id
+        )
       );
-      setEvents(events.filter((e) => e._id !== eventId));
     } catch (err) {
       alert(err.response?.data?.message || "Delete Failed");
     }
   };
 
+  const handleDelete = async (eventId) => {
+    const event = events.find((e) => e._id === eventId);
+    // Recurring events ask which occurrences to remove instead
+    if (event?.series) return setPendingDelete(event);
+    if (!window.confirm("Are you sure you want to delete this event?")) return;
+    removeEvent(event, "this");
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -153,7 +298,7 @@ const Dashboard = () => {
               { label: "Active Events", value: events.length, icon: "🎪" },
               {
                 label: "Total Attendees",
-                value: events.reduce((acc, e) => acc + e.attendees.length, 0),
+                value: events.reduce((acc, e) => acc + attendeeCount(e), 0),
                 icon: "👥",
               },
               { label: "Communities", value: "50+", icon: "🌍" },
@@ -178,48 +323,73 @@ const Dashboard = () => {
 
       {/* Events Grid */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
-        {events.length === 0 ? (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h2 className="text-3xl font-bold text-white mb-2">
+            {filters.when === "past" ? "Past Events" : "Upcoming Events"}
+          </h2>
+          <p className="text-slate-400">
+            Discover and join exciting events happening soon
+          </p>
+        </motion.div>
+
+        {user && <CalendarFeedPanel />}
+
+        <EventFilters
+          search={search}
+          onSearchChange={setSearch}
+          filters={filters}
+          onChange={handleFiltersChange}
+        />
+
+        {events.length === 0 && !refreshing ? (
           <motion.div
             initial={{ opacity: 0, scale: 0.95 }}
             animate={{ opacity: 1, scale: 1 }}
             className="text-center py-20"
           >
             <div className="glass-strong rounded-3xl p-16 max-w-lg mx-auto border border-white/10">
-              <div className="text-7xl mb-6">🎉</div>
+              <div className="text-7xl mb-6">{hasFilters ? "🔍" : "🎉"}</div>
               <h3 className="text-3xl font-bold text-white mb-4">
-                No Events Yet
+                {hasFilters ? "No Matching Events" : "No Events Yet"}
               </h3>
               <p className="text-slate-400 mb-8 text-lg">
-                Be the first to create an amazing event!
+                {hasFilters
+                  ? "Try a different search or loosen your filters."
+                  : "Be the first to create an amazing event!"}
               </p>
-              {user && (
-                <a href="/create-event">
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                    className="px-8 py-4 gradient-bg text-white font-semibold rounded-xl glow-hover transition-all duration-300"
-                  >
-                    Create Your First Event
-                  </motion.button>
-                </a>
+              {hasFilters ? (
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => {
+                    setSearch("");
+                    handleFiltersChange(DEFAULT_FILTERS);
+                  }}
+                  className="px-8 py-4 bg-white/10 text-white font-semibold rounded-xl border border-white/20 hover:bg-white/20 transition-all duration-300"
+                >
+                  Clear Filters
+                </motion.button>
+              ) : (
+                user && (
+                  <a href="/create-event">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      className="px-8 py-4 gradient-bg text-white font-semibold rounded-xl glow-hover transition-all duration-300"
+                    >
+                      Create Your First Event
+                    </motion.button>
+                  </a>
+                )
               )}
             </div>
           </motion.div>
         ) : (
           <>
-            <motion.div
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="mb-10"
-            >
-              <h2 className="text-3xl font-bold text-white mb-2">
-                Upcoming Events
-              </h2>
-              <p className="text-slate-400">
-                Discover and join exciting events happening soon
-              </p>
-            </motion.div>
-
             <motion.div
               initial="hidden"
               animate="visible"
@@ -230,7 +400,9 @@ const Dashboard = () => {
                   },
                 },
               }}
-              className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8"
+              className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8 transition-opacity ${
+                refreshing ? "opacity-50" : ""
+              }`}
             >
               {events.map((event) => (
                 <EventCard
@@ -238,12 +410,38 @@ const Dashboard = () => {
                   event={event}
                   onRSVP={handleRSVP}
                   onDelete={handleDelete}
+                  onTagSelect={handleTagSelect}
+                  onCategorySelect={handleCategorySelect}
+                  near={filters.near}
                 />
               ))}
             </motion.div>
+
+            {/* Infinite scroll sentinel */}
+            <div ref={sentinelRef} className="h-1" />
+            {loadingMore && (
+              <div className="flex justify-center py-10">
+                <div className="w-10 h-10 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+              </div>
+            )}
+            {!pageInfo.hasMore && events.length > 0 && (
+              <p className="text-center text-sm text-slate-500 pt-10">
+                You've reached the end of the list
+              </p>
+            )}
           </>
         )}
       </div>
+
+      <SeriesScopeDialog
+        open={Boolean(pendingDelete)}
+        title="Delete recurring event"
+        onSelect={(scope) => {
+          removeEvent(pendingDelete, scope);
+          setPendingDelete(null);
+        }}
+        onCancel={() => setPendingDelete(null)}
+      />
     </div>
   );
 };
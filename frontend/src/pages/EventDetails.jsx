@@ -0,0 +1,478 @@
+import { useState, useEffect, useContext } from "react";
+import {
+  useParams,
+  useNavigate,
+  useSearchParams,
+  Link,
+} from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { motion } from "framer-motion";
+import CapacityBar from "../components/CapacityBar";
+import RSVPButton from "../components/RSVPButton";
+import TicketTiers from "../components/TicketTiers";
+import SeriesScopeDialog from "../components/SeriesScopeDialog";
+import StatusBadge from "../components/StatusBadge";
+import OrganizerTeam from "../components/OrganizerTeam";
+import InviteManager from "../components/InviteManager";
+import Discussion from "../components/Discussion";
+import { getEventState, isRsvpOpen, isDeletable } from "../utils/eventState";
+import { can } from "../utils/permissions";
+import useEventStream from "../hooks/useEventStream";
+import useCategories from "../hooks/useCategories";
+import { categoryName } from "../utils/categoryApi";
+import { formatAddress } from "../utils/geo";
+import { formatEventTime, formatInEventZone, zoneLabel } from "../utils/time";
+import {
+  fetchEvent,
+  rsvpToEvent,
+  deleteEvent,
+  setEventStatus,
+  recordView,
+} from "../utils/eventApi";
+
+const EventDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user } = useContext(AuthContext);
+  const categories = useCategories();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  // { title, run(scope) } while asking which occurrences an action covers
+  const [pendingAction, setPendingAction] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchEvent(id)
+      .then((data) => {
+        if (!ignore) setEvent(data);
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load event");
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [id]);
+
+  useEffect(() => recordView(id), [id]);
+
+  // Someone else RSVPed or the organizer edited the event. Re-read rather
+  // than merge so attendee names stay populated.
+  const reload = () =>
+    fetchEvent(id)
+      .then(setEvent)
+      .catch((err) => console.error(err));
+  useEventStream(
+    {
+      onSeats: reload,
+      onUpdated: reload,
+      onDeleted: () => {
+        setEvent(null);
+        setError("This event has been deleted");
+      },
+    },
+    id
+  );
+
+  const handleRSVP = async (eventId, action, ticketType) => {
+    try {
+      await rsvpToEvent(
+        eventId,
+        action,
+        ticketType,
+        searchParams.get("invite") || undefined
+      );
+      // Re-read so attendee names stay populated
+      setEvent(await fetchEvent(eventId));
+    } catch (err) {
+      alert(err.response?.data?.message || "RSVP Failed");
+    }
+  };
+
+  const removeEvent = async (scope) => {
+    try {
+      await deleteEvent(event._id, scope);
+      navigate("/");
+    } catch (err) {
+      alert(err.response?.data?.message || "Delete Failed");
+    }
+  };
+
+  // Recurring events ask which occurrences an action applies to
+  const withScope = (title, run) =>
+    event.series ? setPendingAction({ title, run }) : run("this");
+
+  const handleDelete = () => {
+    if (
+      !event.series &&
+      !window.confirm("Are you sure you want to delete this event?")
+    )
+      return;
+    withScope("Delete recurring event", removeEvent);
+  };
+
+  const changeStatus = async (status, reason, scope) => {
+    try {
+      await setEventStatus(event._id, status, reason, scope);
+      // Re-read so attendee names stay populated
+      setEvent(await fetchEvent(event._id));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not update the event");
+    }
+  };
+
+  const handlePublish = () =>
+    withScope("Publish recurring event", (scope) =>
+      changeStatus("published", undefined, scope)
+    );
+
+  const handleCancel = () => {
+    const reason = window.prompt(
+      "Why is this event cancelled? Everyone who signed up will be emailed."
+    );
+    if (reason === null) return;
+    if (!reason.trim()) return alert("Please give a reason");
+    withScope("Cancel recurring event", (scope) =>
+      changeStatus("cancelled", reason, scope)
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (error || !event) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="glass-strong rounded-3xl p-16 max-w-lg text-center border border-white/10">
+          <div className="text-7xl mb-6">🔍</div>
+          <h3 className="text-3xl font-bold text-white mb-4">
+            Event Not Found
+          </h3>
+          <p className="text-slate-400 mb-8">{error}</p>
+          <Link
+            to="/"
+            className="px-8 py-4 gradient-bg text-white font-semibold rounded-xl glow-hover transition-all duration-300 inline-block"
+          >
+            Browse Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { isJoined } = getEventState(event, user);
+  const isClosed = ["cancelled", "completed"].includes(event.status);
+  const canEdit = can(event, user, "edit") && !isClosed;
+  const canCancel = can(event, user, "delete") && isRsvpOpen(event);
+  const canDelete = can(event, user, "delete") && isDeletable(event);
+  const time = formatEventTime(event);
+
+  return (
+    <div className="min-h-screen">
+      {/* Hero Image */}
+      <div className="relative h-80 sm:h-96 overflow-hidden">
+        <img
+          src={event.image}
+          alt={event.title}
+          className="w-full h-full object-cover"
+        />
+        <div className="absolute inset-0 bg-gradient-to-t from-[rgb(10,10,20)] via-black/40 to-transparent"></div>
+        <div className="absolute bottom-0 left-0 right-0 max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-10">
+          <motion.h1
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-4xl sm:text-5xl font-black text-white text-balance"
+          >
+            {event.title}
+          </motion.h1>
+          <StatusBadge event={event} className="mt-3 mr-2" />
+          {event.series && (
+            <span className="inline-block mt-3 mr-2 px-3 py-1 glass-strong rounded-full text-xs font-semibold text-purple-300 border border-purple-500/30">
+              Recurring event
+            </span>
+          )}
+          {event.visibility === "invite" && (
+            <span className="inline-block mt-3 mr-2 px-3 py-1 glass-strong rounded-full text-xs font-semibold text-amber-300 border border-amber-500/30">
+              Invite only
+            </span>
+          )}
+          {event.visibility === "unlisted" && (
+            <span className="inline-block mt-3 mr-2 px-3 py-1 glass-strong rounded-full text-xs font-semibold text-slate-300 border border-white/20">
+              Unlisted
+            </span>
+          )}
+          {event.organizer && (
+            <p className="mt-3 text-slate-300">
+              Hosted by{" "}
+              <Link
+                to={`/users/${event.organizer._id}`}
+                className="font-semibold text-white hover:underline"
+              >
+                {event.organizer.username}
+              </Link>
+              {event.coOrganizers?.length > 0 &&
+                ` with ${event.coOrganizers
+                  .map((c) => c.user.username)
+                  .join(", ")}`}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 grid grid-cols-1 lg:grid-cols-3 gap-10">
+        {/* Main Content */}
+        <div className="lg:col-span-2 space-y-10">
+          {event.status === "cancelled" && (
+            <div className="p-5 rounded-2xl bg-red-500/10 border border-red-500/30">
+              <h2 className="text-lg font-bold text-red-300">
+                This event has been cancelled
+              </h2>
+              {event.cancellationReason && (
+                <p className="mt-1 text-slate-300 whitespace-pre-line">
+                  {event.cancellationReason}
+                </p>
+              )}
+            </div>
+          )}
+          {event.status === "draft" && (
+            <div className="p-5 rounded-2xl bg-sky-500/10 border border-sky-500/30 flex flex-wrap items-center justify-between gap-4">
+              <p className="text-slate-300">
+                This is a draft - only its organizers can see it.
+                {event.publishAt &&
+                  ` It will be published on ${formatInEventZone(
+                    event.publishAt,
+                    event
+                  )} (${zoneLabel(event.timeZone)} time).`}
+              </p>
+              {canEdit && (
+                <button
+                  onClick={handlePublish}
+                  className="px-4 py-2 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover"
+                >
+                  Publish now
+                </button>
+              )}
+            </div>
+          )}
+
+          <section>
+            <h2 className="text-2xl font-bold text-white mb-4">
+              About this event
+            </h2>
+            <p className="text-slate-300 leading-relaxed whitespace-pre-line">
+              {event.description}
+            </p>
+            {(event.category || event.tags?.length > 0) && (
+              <div className="flex flex-wrap gap-2 mt-5">
+                {event.category && (
+                  <span className="px-3 py-1 rounded-full text-xs font-semibold bg-purple-500/20 border border-purple-500/40 text-purple-200">
+                    {categoryName(categories, event.category)}
+                  </span>
+                )}
+                {event.tags?.map((tag) => (
+                  <span
+                    key={tag}
+                    className="px-3 py-1 rounded-full text-xs border border-white/10 text-slate-400"
+                  >
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h2 className="text-2xl font-bold text-white mb-4">
+              Who's going ({event.attendees.length})
+            </h2>
+            {event.attendees.length === 0 ? (
+              <p className="text-slate-500">
+                No one yet - be the first to join!
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {event.attendees.map((attendee) => (
+                  <span
+                    key={attendee._id}
+                    className="px-3 py-1.5 glass-strong rounded-full text-sm text-slate-200"
+                  >
+                    {attendee.username}
+                  </span>
+                ))}
+              </div>
+            )}
+          </section>
+
+          {canEdit && event.visibility && event.visibility !== "public" && (
+            <InviteManager event={event} />
+          )}
+
+          <OrganizerTeam
+            event={event}
+            user={user}
+            onChange={(coOrganizers) =>
+              setEvent((prev) => ({ ...prev, coOrganizers }))
+            }
+          />
+
+          <Discussion event={event} user={user} />
+        </div>
+
+        {/* Sidebar */}
+        <aside>
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="card-premium rounded-2xl p-6 space-y-6 lg:sticky lg:top-24"
+          >
+            <div className="space-y-3 text-sm text-slate-300">
+              <div>
+                <div className="text-xs uppercase tracking-wider text-slate-500 mb-1">
+                  When
+                </div>
+                <div className="text-white font-semibold">{time.main}</div>
+                {!event.allDay && (
+                  <div className="text-xs text-slate-500">
+                    {zoneLabel(event.timeZone)} time
+                  </div>
+                )}
+                {time.local && (
+                  <div className="mt-1">Your time: {time.local}</div>
+                )}
+              </div>
+              <div>
+                <div className="text-xs uppercase tracking-wider text-slate-500 mb-1">
+                  Where
+                </div>
+                <div className="text-white font-semibold">{event.location}</div>
+                {formatAddress(event.address) && (
+                  <div className="text-slate-400">
+                    {formatAddress(event.address)}
+                  </div>
+                )}
+                {event.geo?.coordinates?.length === 2 && (
+                  <a
+                    href={`https://www.openstreetmap.org/?mlat=${event.geo.coordinates[1]}&mlon=${event.geo.coordinates[0]}#map=16/${event.geo.coordinates[1]}/${event.geo.coordinates[0]}`}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="text-purple-300 hover:text-purple-200"
+                  >
+                    View on map
+                  </a>
+                )}
+              </div>
+            </div>
+
+            <CapacityBar event={event} user={user} />
+            <TicketTiers event={event} />
+
+            {user ? (
+              <RSVPButton
+                event={event}
+                user={user}
+                onRSVP={handleRSVP}
+                className="w-full"
+              />
+            ) : (
+              <Link
+                to="/login"
+                className="block w-full text-center px-4 py-3 text-sm font-semibold rounded-lg gradient-bg text-white glow-hover"
+              >
+                Log in to RSVP
+              </Link>
+            )}
+
+            {isJoined && (
+              <Link
+                to={`/events/${event._id}/ticket`}
+                className="block w-full text-center px-4 py-3 text-sm font-semibold rounded-lg text-purple-200 bg-purple-500/10 hover:bg-purple-500/20 border border-purple-500/30 transition-all duration-300"
+              >
+                🎟️ View Ticket
+              </Link>
+            )}
+
+            {can(event, user, "checkin") && (
+              <Link
+                to={`/events/${event._id}/checkin`}
+                className="block w-full text-center px-4 py-3 text-sm text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300"
+              >
+                Door Check-in
+              </Link>
+            )}
+
+            {can(event, user, "roster") && (
+              <Link
+                to={`/events/${event._id}/roster`}
+                className="block w-full text-center px-4 py-3 text-sm text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300"
+              >
+                Attendee Roster
+              </Link>
+            )}
+
+            {can(event, user, "edit") && (
+              <Link
+                to={`/analytics?event=${event._id}`}
+                className="block w-full text-center px-4 py-3 text-sm text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300"
+              >
+                Analytics
+              </Link>
+            )}
+
+            {canCancel && (
+              <button
+                onClick={handleCancel}
+                className="block w-full px-4 py-3 text-sm text-red-400 hover:bg-red-500/10 border border-red-500/20 hover:border-red-500/40 rounded-lg transition-all duration-300"
+              >
+                Cancel Event
+              </button>
+            )}
+
+            {(canEdit || canDelete) && (
+              <div className="flex gap-2 pt-2 border-t border-white/10">
+                {canEdit && (
+                  <Link
+                    to={`/events/${event._id}/edit`}
+                    className="flex-1 text-center px-4 py-3 text-sm text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300"
+                  >
+                    Edit Event
+                  </Link>
+                )}
+                {canDelete && (
+                  <button
+                    onClick={handleDelete}
+                    className="flex-1 px-4 py-3 text-sm text-red-400 hover:bg-red-500/10 border border-red-500/20 hover:border-red-500/40 rounded-lg transition-all duration-300"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+          </motion.div>
+        </aside>
+      </div>
+
+      <SeriesScopeDialog
+        open={Boolean(pendingAction)}
+        title={pendingAction?.title}
+        onSelect={(scope) => {
+          setPendingAction(null);
+          pendingAction.run(scope);
+        }}
+        onCancel={() => setPendingAction(null)}
+      />
+    </div>
+  );
+};
+
+export default EventDetails;
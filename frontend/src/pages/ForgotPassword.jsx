@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import AuthCard from "../components/AuthCard";
+import { requestPasswordReset } from "../utils/authSession";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+    try {
+      const data = await requestPasswordReset(email);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send reset link");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard
+      title="Forgot password?"
+      subtitle="We'll email you a link to choose a new one"
+    >
+      {message ? (
+        <div className="p-4 bg-green-500/10 border border-green-500/30 rounded-xl text-green-400 text-sm">
+          {message}
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {error && (
+            <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-red-400 text-sm">
+              {error}
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-semibold text-slate-300 mb-3">
+              Email Address
+            </label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500"
+              placeholder="you@example.com"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full py-4 gradient-bg text-white font-bold rounded-xl glow-hover transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? "Sending..." : "Send reset link"}
+          </button>
+        </form>
+      )}
+
+      <div className="mt-8 text-center text-sm text-slate-400">
+        Remembered it?{" "}
+        <Link
+          to="/login"
+          className="text-purple-400 hover:text-purple-300 font-semibold transition-colors"
+        >
+          Sign in
+        </Link>
+      </div>
+    </AuthCard>
+  );
+};
+
+export default ForgotPassword;
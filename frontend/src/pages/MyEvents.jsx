@@ -0,0 +1,192 @@
+import { useState, useEffect, useContext } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import EventRow from "../components/EventRow";
+import { fetchMyEvents, rsvpToEvent } from "../utils/eventApi";
+import { can } from "../utils/permissions";
+
+const TABS = [
+  { key: "hosting", label: "Hosting", empty: "You aren't hosting anything." },
+  { key: "attending", label: "Attending", empty: "No upcoming RSVPs." },
+  {
+    key: "waitlisted",
+    label: "Waitlisted",
+    empty: "You aren't on any waitlists.",
+  },
+  { key: "past", label: "Past", empty: "No past events yet." },
+];
+
+const actionClass =
+  "px-3 py-1.5 text-xs text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300";
+
+const leaveClass =
+  "px-3 py-1.5 text-xs text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg transition-all duration-300";
+
+// Shortcuts for one event, depending on the tab and the user's role
+const EventActions = ({ event, tab, user, onLeave }) => (
+  <>
+    {tab !== "past" &&
+      event.status !== "cancelled" &&
+      can(event, user, "edit") && (
+        <Link to={`/events/${event._id}/edit`} className={actionClass}>
+          Edit
+        </Link>
+      )}
+    {can(event, user, "roster") && (
+      <Link to={`/events/${event._id}/roster`} className={actionClass}>
+        Roster
+      </Link>
+    )}
+    {tab === "hosting" && can(event, user, "checkin") && (
+      <Link to={`/events/${event._id}/checkin`} className={actionClass}>
+        Check-in
+      </Link>
+    )}
+    {tab === "attending" && (
+      <>
+        <Link to={`/events/${event._id}/ticket`} className={actionClass}>
+          Ticket
+        </Link>
+        <button onClick={() => onLeave(event)} className={leaveClass}>
+          Leave
+        </button>
+      </>
+    )}
+    {tab === "waitlisted" && (
+      <button onClick={() => onLeave(event)} className={leaveClass}>
+        Leave waitlist
+      </button>
+    )}
+  </>
+);
+
+// The user's own events, split into hosting, attending, waitlisted and past
+const MyEvents = () => {
+  const { user } = useContext(AuthContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.some((t) => t.key === searchParams.get("tab"))
+    ? searchParams.get("tab")
+    : "hosting";
+  const [data, setData] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchMyEvents(tab)
+      .then((result) => {
+        if (!ignore) setData({ ...result, tab });
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [tab, reloadKey]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const result = await fetchMyEvents(tab, data.pageInfo.nextCursor);
+      setData((prev) => ({
+        ...result,
+        tab,
+        events: [...prev.events, ...result.events],
+      }));
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleLeave = async (event) => {
+    const what = tab === "waitlisted" ? "the waitlist for" : "your RSVP to";
+    if (!window.confirm(`Leave ${what} "${event.title}"?`)) return;
+    try {
+      await rsvpToEvent(event._id, "leave");
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not cancel your RSVP");
+    }
+  };
+
+  // Don't show the previous tab's events while the new one loads
+  const current = data?.tab === tab ? data : null;
+  const activeTab = TABS.find((t) => t.key === tab);
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto space-y-8">
+        <h2 className="text-4xl font-black text-white">My Events</h2>
+
+        <div className="flex flex-wrap gap-2 border-b border-white/10 pb-3">
+          {TABS.map((t) => (
+            <button
+              key={t.key}
+              onClick={() => setSearchParams({ tab: t.key })}
+              className={`px-4 py-2 text-sm font-semibold rounded-lg transition-all duration-300 ${
+                t.key === tab
+                  ? "gradient-bg text-white"
+                  : "text-slate-400 hover:text-white hover:bg-white/5"
+              }`}
+            >
+              {t.label}
+              {data?.counts && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-white/10">
+                  {data.counts[t.key]}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {!current ? (
+          <div className="flex justify-center py-12">
+            <div className="w-10 h-10 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+          </div>
+        ) : current.events.length === 0 ? (
+          <p className="text-slate-500">
+            {activeTab.empty}{" "}
+            {tab === "hosting" ? (
+              <Link
+                to="/create-event"
+                className="text-purple-300 hover:underline"
+              >
+                Create an event
+              </Link>
+            ) : (
+              <Link to="/" className="text-purple-300 hover:underline">
+                Browse events
+              </Link>
+            )}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {current.events.map((event) => (
+              <EventRow key={event._id} event={event}>
+                <EventActions
+                  event={event}
+                  tab={tab}
+                  user={user}
+                  onLeave={handleLeave}
+                />
+              </EventRow>
+            ))}
+          </div>
+        )}
+
+        {current?.pageInfo.hasMore && (
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="px-4 py-2 text-sm text-slate-300 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300 disabled:opacity-50"
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyEvents;
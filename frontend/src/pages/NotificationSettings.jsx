@@ -0,0 +1,94 @@
+import { useState, useEffect } from "react";
+import {
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+} from "../utils/notificationApi";
+
+const OPTIONS = [
+  {
+    key: "reminders",
+    title: "Event reminders",
+    description:
+      "An email shortly before events you're attending (a day and an hour ahead by default).",
+  },
+  {
+    key: "eventUpdates",
+    title: "Changes and cancellations",
+    description:
+      "An email when an event you're attending or waiting for moves to a new time or place, or is cancelled.",
+  },
+];
+
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchNotificationPreferences()
+      .then((data) => {
+        if (!ignore) setPreferences(data);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const toggle = async (key) => {
+    setSaving(key);
+    try {
+      setPreferences(
+        await updateNotificationPreferences({ [key]: !preferences[key] })
+      );
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not save your preference");
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (!preferences) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div>
+          <h2 className="text-4xl font-black text-white mb-2">Notifications</h2>
+          <p className="text-slate-400">Choose which emails you get from us</p>
+        </div>
+
+        <div className="space-y-4">
+          {OPTIONS.map((option) => (
+            <label
+              key={option.key}
+              className="card-premium rounded-2xl p-6 flex items-center justify-between gap-6 cursor-pointer"
+            >
+              <div>
+                <div className="text-white font-semibold">{option.title}</div>
+                <div className="text-sm text-slate-400 mt-1">
+                  {option.description}
+                </div>
+              </div>
+              <input
+                type="checkbox"
+                checked={preferences[option.key]}
+                disabled={saving === option.key}
+                onChange={() => toggle(option.key)}
+                className="w-5 h-5 accent-purple-500 flex-shrink-0"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,101 @@
+import { useState, useEffect, useContext } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import Avatar from "../components/Avatar";
+import EventRow from "../components/EventRow";
+import { fetchProfile } from "../utils/userApi";
+
+// Public profile: who the user is and the events they are hosting next
+const Profile = () => {
+  const { id } = useParams();
+  const { user } = useContext(AuthContext);
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    fetchProfile(id)
+      .then((data) => {
+        if (ignore) return;
+        setProfile(data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load profile");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [id]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-slate-400">{error}</p>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  const isOwn = user?.id === profile._id;
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-10">
+        <div className="card-premium rounded-2xl p-8 flex flex-col sm:flex-row items-center sm:items-start gap-6">
+          <Avatar user={profile} size="lg" />
+          <div className="flex-1 text-center sm:text-left space-y-2">
+            <h2 className="text-3xl font-black text-white">
+              {profile.displayName || profile.username}
+            </h2>
+            <p className="text-sm text-slate-400">
+              @{profile.username} · Member since{" "}
+              {new Date(profile.createdAt).toLocaleDateString("en-US", {
+                month: "long",
+                year: "numeric",
+              })}
+            </p>
+            {profile.bio && (
+              <p className="text-slate-300 whitespace-pre-wrap break-words">
+                {profile.bio}
+              </p>
+            )}
+          </div>
+          {isOwn && (
+            <Link
+              to="/settings/account"
+              className="px-4 py-2 text-sm text-slate-200 hover:bg-white/10 border border-white/10 rounded-lg transition-all duration-300"
+            >
+              Edit profile
+            </Link>
+          )}
+        </div>
+
+        <section>
+          <h3 className="text-2xl font-bold text-white mb-4">
+            Upcoming events
+          </h3>
+          {profile.events.length === 0 ? (
+            <p className="text-slate-500">Nothing scheduled right now.</p>
+          ) : (
+            <div className="space-y-3">
+              {profile.events.map((event) => (
+                <EventRow key={event._id} event={event} />
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -53,7 +53,7 @@ const Register = () => {
           password,
         }
       );
-      login(res.data.token, res.data.user);
+      login(res.data.token, res.data.user, res.data.refreshToken);
       navigate("/");
     } catch (err) {
       setError(err.response?.data?.message || "Registration failed");
@@ -0,0 +1,107 @@
+import { useState } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import AuthCard from "../components/AuthCard";
+import { resetPassword } from "../utils/authSession";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) return setError("Passwords don't match");
+
+    setLoading(true);
+    setError("");
+    try {
+      const data = await resetPassword(token, password);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset password");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-4 py-4 bg-white/5 border border-white/10 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-white placeholder-slate-500";
+
+  if (message) {
+    return (
+      <AuthCard title="Password updated" subtitle={message}>
+        <Link
+          to="/login"
+          className="block w-full py-4 text-center gradient-bg text-white font-bold rounded-xl glow-hover transition-all duration-300"
+        >
+          Sign In
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard title="Choose a new password">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {error && (
+          <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-semibold text-slate-300 mb-3">
+            New Password
+          </label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder="••••••••"
+            minLength={MIN_PASSWORD_LENGTH}
+            required
+          />
+          <p className="mt-2 text-xs text-slate-500">
+            At least {MIN_PASSWORD_LENGTH} characters
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-slate-300 mb-3">
+            Confirm Password
+          </label>
+          <input
+            type="password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            className={inputClass}
+            placeholder="••••••••"
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading || !token}
+          className="w-full py-4 gradient-bg text-white font-bold rounded-xl glow-hover transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? "Saving..." : "Update password"}
+        </button>
+        {!token && (
+          <p className="text-sm text-red-400 text-center">
+            This link is missing its reset token.{" "}
+            <Link to="/forgot-password" className="underline">
+              Request a new one
+            </Link>
+          </p>
+        )}
+      </form>
+    </AuthCard>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { fetchEvent, fetchRoster, downloadRoster } from "../utils/eventApi";
+
+const SEARCH_DELAY = 300;
+
+const STATUS_FILTERS = [
+  { value: "", label: "Everyone" },
+  { value: "attending", label: "Attending" },
+  { value: "waitlisted", label: "Waitlisted" },
+];
+
+const CHECKIN_FILTERS = [
+  { value: "", label: "Any check-in" },
+  { value: "true", label: "Checked in" },
+  { value: "false", label: "Not checked in" },
+];
+
+// Sortable columns and the server's sort key for each
+const COLUMNS = [
+  { label: "Name", sort: "name" },
+  { label: "Email", sort: "email" },
+  { label: "Ticket" },
+  { label: "RSVP", sort: "rsvp" },
+  { label: "Check-in", sort: "checkin" },
+];
+
+const formatStamp = (value) =>
+  value
+    ? new Date(value).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "–";
+
+const selectClass =
+  "px-3 py-2.5 bg-white/5 border border-white/10 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+// Attendee list for the event's owner and editors, with CSV/XLSX export
+const Roster = () => {
+  const { id } = useParams();
+  const [event, setEvent] = useState(null);
+  const [search, setSearch] = useState("");
+  const [q, setQ] = useState("");
+  const [status, setStatus] = useState("");
+  const [checkedIn, setCheckedIn] = useState("");
+  const [sort, setSort] = useState("name");
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchEvent(id)
+      .then((result) => {
+        if (!ignore) setEvent(result);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      ignore = true;
+    };
+  }, [id]);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => setQ(search.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const params = {
+    ...(q && { q }),
+    ...(status && { status }),
+    ...(checkedIn && { checkedIn }),
+    sort,
+  };
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchRoster(id, JSON.parse(paramsKey))
+      .then((result) => {
+        if (ignore) return;
+        setData(result);
+        setError("");
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load the roster");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [id, paramsKey]);
+
+  const toggleSort = (key) =>
+    setSort((current) => (current === key ? `-${key}` : key));
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      await downloadRoster(id, format, params);
+    } catch (err) {
+      console.error(err);
+      setError("Export failed");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const counts = data?.counts;
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto space-y-8">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h2 className="text-4xl font-black text-white">Roster</h2>
+            {event && <p className="mt-1 text-slate-400">{event.title}</p>}
+          </div>
+          <Link
+            to={`/events/${id}`}
+            className="text-sm text-slate-400 hover:text-white transition-colors"
+          >
+            Back to event
+          </Link>
+        </div>
+
+        {/* Counts */}
+        <div className="grid grid-cols-3 gap-6">
+          {[
+            { label: "Attending", value: counts?.attending },
+            { label: "Checked in", value: counts?.checkedIn },
+            { label: "Waitlisted", value: counts?.waitlisted },
+          ].map((stat) => (
+            <div
+              key={stat.label}
+              className="glass-strong rounded-2xl p-6 text-center border border-white/10"
+            >
+              <div className="text-4xl font-bold gradient-text mb-1">
+                {stat.value ?? "–"}
+              </div>
+              <div className="text-sm text-slate-400">{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Filters and Export */}
+        <div className="flex flex-wrap gap-3">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name or email"
+            className={`${selectClass} flex-1 min-w-[12rem] placeholder-slate-500`}
+          />
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className={selectClass}
+          >
+            {STATUS_FILTERS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={checkedIn}
+            onChange={(e) => setCheckedIn(e.target.value)}
+            className={selectClass}
+          >
+            {CHECKIN_FILTERS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {["csv", "xlsx"].map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={Boolean(exporting)}
+              className="px-4 py-2.5 text-sm font-semibold rounded-lg bg-white/10 text-white hover:bg-white/20 border border-white/20 disabled:opacity-50"
+            >
+              {exporting === format
+                ? "Exporting..."
+                : `Export ${format.toUpperCase()}`}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {/* Table */}
+        <div className="card-premium rounded-2xl overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs uppercase text-slate-400 border-b border-white/10">
+              <tr>
+                {COLUMNS.map((column) => (
+                  <th key={column.label} className="px-4 py-3 font-semibold">
+                    {column.sort ? (
+                      <button
+                        onClick={() => toggleSort(column.sort)}
+                        className="uppercase hover:text-white transition-colors"
+                      >
+                        {column.label}
+                        {sort === column.sort && " ↑"}
+                        {sort === `-${column.sort}` && " ↓"}
+                      </button>
+                    ) : (
+                      column.label
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data?.roster.map((row) => (
+                <tr
+                  key={`${row.status}-${row.userId}`}
+                  className="border-b border-white/5 last:border-0"
+                >
+                  <td className="px-4 py-3 text-white font-medium">
+                    {row.username}
+                    {row.status === "waitlisted" && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-amber-500/20 text-amber-300">
+                        Waitlist
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-slate-300">{row.email}</td>
+                  <td className="px-4 py-3 text-slate-300">
+                    {row.ticketType || "–"}
+                  </td>
+                  <td className="px-4 py-3 text-slate-400">
+                    {formatStamp(row.rsvpAt)}
+                  </td>
+                  <td className="px-4 py-3">
+                    {row.checkedInAt ? (
+                      <span
+                        className="text-green-400"
+                        title={row.checkedInBy && `by ${row.checkedInBy}`}
+                      >
+                        ✓ {formatStamp(row.checkedInAt)}
+                      </span>
+                    ) : (
+                      <span className="text-slate-500">–</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {data && data.roster.length === 0 && (
+            <p className="px-4 py-8 text-center text-slate-500">
+              {q || status || checkedIn
+                ? "Nobody matches these filters."
+                : "Nobody has RSVP'd yet."}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Roster;
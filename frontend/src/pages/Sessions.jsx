@@ -0,0 +1,144 @@
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import {
+  fetchSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../utils/authSession";
+
+// Rough "Chrome on Windows" label from the user agent string
+const describeDevice = (userAgent = "") => {
+  const browser =
+    ["Edg", "Firefox", "Chrome", "Safari"].find((name) =>
+      userAgent.includes(name)
+    ) || "Unknown browser";
+  const os =
+    [
+      ["Windows", "Windows"],
+      ["Android", "Android"],
+      ["iPhone", "iOS"],
+      ["iPad", "iOS"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"],
+    ].find(([token]) => userAgent.includes(token))?.[1] || "unknown device";
+  return `${browser === "Edg" ? "Edge" : browser} on ${os}`;
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let ignore = false;
+    fetchSessions()
+      .then((data) => {
+        if (!ignore) setSessions(data);
+      })
+      .catch((err) => console.error(err))
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await revokeSession(sessionId);
+      setSessions((prev) => prev.filter((s) => s._id !== sessionId));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not sign out that device");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out every other device?")) return;
+    try {
+      await revokeOtherSessions();
+      setSessions((prev) => prev.filter((s) => s.current));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not sign out other devices");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-8">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h2 className="text-4xl font-black text-white mb-2">Sessions</h2>
+            <p className="text-slate-400">
+              Devices currently signed in to your account
+            </p>
+          </div>
+          {sessions.length > 1 && (
+            <button
+              onClick={handleRevokeOthers}
+              className="px-4 py-3 text-sm font-semibold text-red-400 hover:bg-red-500/10 border border-red-500/20 hover:border-red-500/40 rounded-lg transition-all duration-300"
+            >
+              Sign out other devices
+            </button>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          {sessions.map((session, i) => (
+            <motion.div
+              key={session._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: i * 0.05 }}
+              className="card-premium rounded-2xl p-6 flex items-center justify-between gap-4"
+            >
+              <div>
+                <div className="flex items-center gap-2 text-white font-semibold">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-green-500/10 border border-green-500/30 text-green-400">
+                      This device
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm text-slate-400 mt-1">
+                  {session.ip && `${session.ip} · `}
+                  Last active {formatDateTime(session.lastUsedAt)}
+                </div>
+                <div className="text-xs text-slate-500 mt-1">
+                  Signed in {formatDateTime(session.createdAt)}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session._id)}
+                  className="px-4 py-2 text-sm text-slate-300 hover:bg-white/10 border border-white/10 hover:border-white/30 rounded-lg transition-all duration-300"
+                >
+                  Sign out
+                </button>
+              )}
+            </motion.div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
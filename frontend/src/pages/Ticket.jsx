@@ -0,0 +1,105 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { fetchTicket } from "../utils/eventApi";
+import { formatEventTime } from "../utils/time";
+
+const Ticket = () => {
+  const { id } = useParams();
+  const [ticket, setTicket] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    fetchTicket(id)
+      .then((data) => {
+        if (!ignore) setTicket(data);
+      })
+      .catch((err) => {
+        if (!ignore)
+          setError(err.response?.data?.message || "Could not load ticket");
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [id]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="glass-strong rounded-3xl p-12 max-w-md text-center border border-white/10">
+          <div className="text-6xl mb-6">🎟️</div>
+          <p className="text-slate-300 mb-8">{error}</p>
+          <Link
+            to={`/events/${id}`}
+            className="px-6 py-3 gradient-bg text-white font-semibold rounded-xl glow-hover inline-block"
+          >
+            Back to event
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!ticket) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-purple-500/20 border-t-purple-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  const time = formatEventTime(ticket.event);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card-premium rounded-3xl p-8 w-full max-w-sm border border-white/10 text-center"
+      >
+        <div className="text-xs uppercase tracking-wider text-purple-300 mb-2">
+          {ticket.ticketTypeName || "Admission"}
+        </div>
+        <h2 className="text-2xl font-black text-white mb-2">
+          {ticket.event.title}
+        </h2>
+        <p className="text-sm text-slate-400 mb-6">
+          {time.main}
+          <br />
+          {time.local && (
+            <>
+              <span className="text-xs">{time.local} your time</span>
+              <br />
+            </>
+          )}
+          {ticket.event.location}
+        </p>
+
+        <div className="bg-white rounded-2xl p-4 mb-4">
+          <img src={ticket.qr} alt="Ticket QR code" className="w-full" />
+        </div>
+        <div className="font-mono text-xl tracking-widest text-white mb-6">
+          {ticket.code}
+        </div>
+
+        {ticket.checkedInAt ? (
+          <div className="px-4 py-3 bg-green-500/10 border border-green-500/30 rounded-xl text-green-400 text-sm">
+            Checked in at{" "}
+            {new Date(ticket.checkedInAt).toLocaleTimeString("en-US", {
+              hour: "2-digit",
+              minute: "2-digit",
+            })}
+          </div>
+        ) : (
+          <p className="text-xs text-slate-500">
+            Show this QR code at the door, or give the code above for manual
+            check-in.
+          </p>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default Ticket;
@@ -0,0 +1,69 @@
+import { useState, useEffect, useContext } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import AuthCard from "../components/AuthCard";
+import { verifyEmail } from "../utils/authSession";
+
+// Tokens are single use, so a re-run effect (StrictMode, remounts) must
+// reuse the first request rather than send the token again
+const requests = new Map();
+const verifyOnce = (token) => {
+  if (!requests.has(token)) requests.set(token, verifyEmail(token));
+  return requests.get(token);
+};
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, setUser } = useContext(AuthContext);
+  const [status, setStatus] = useState("verifying");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    verifyOnce(token)
+      .then((data) => {
+        if (ignore) return;
+        setStatus("verified");
+        setMessage(data.message);
+        // Update the signed-in user if it's the same account
+        setUser((current) =>
+          current && current.id === data.user.id ? data.user : current
+        );
+      })
+      .catch((err) => {
+        if (ignore) return;
+        setStatus("failed");
+        setMessage(
+          err.response?.data?.message || "Could not verify your email"
+        );
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [token, setUser]);
+
+  return (
+    <AuthCard
+      title={
+        {
+          verifying: "Verifying...",
+          verified: "Email verified",
+          failed: "Verification failed",
+        }[status]
+      }
+      subtitle={message}
+    >
+      {status !== "verifying" && (
+        <Link
+          to={user ? "/" : "/login"}
+          className="block w-full py-4 text-center gradient-bg text-white font-bold rounded-xl glow-hover transition-all duration-300"
+        >
+          {user ? "Browse Events" : "Sign In"}
+        </Link>
+      )}
+    </AuthCard>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,80 @@
+import axios from "axios";
+
+const ADMIN_URL = "https://backend-fhej.onrender.com/api/admin";
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+// params: { q, status, page } - resolves with { events, page, pages, total }
+export const fetchAdminEvents = async (params) => {
+  const res = await axios.get(`${ADMIN_URL}/events`, {
+    headers: authHeaders(),
+    params,
+  });
+  return res.data;
+};
+
+// action is "hide", "remove" or "restore"
+export const moderateEvent = async (eventId, action, reason) => {
+  const res = await axios.post(
+    `${ADMIN_URL}/events/${eventId}/${action}`,
+    { reason },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+// params: { q, suspended, page } - resolves with { users, page, pages, total }
+export const fetchAdminUsers = async (params) => {
+  const res = await axios.get(`${ADMIN_URL}/users`, {
+    headers: authHeaders(),
+    params,
+  });
+  return res.data;
+};
+
+// action is "suspend" or "unsuspend"
+export const moderateUser = async (userId, action, reason) => {
+  const res = await axios.post(
+    `${ADMIN_URL}/users/${userId}/${action}`,
+    { reason },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const fetchAuditLog = async (params) => {
+  const res = await axios.get(`${ADMIN_URL}/audit`, {
+    headers: authHeaders(),
+    params,
+  });
+  return res.data;
+};
+
+// fields: { name, description, order }. reason goes into the audit log.
+export const createCategory = async (fields, reason) => {
+  const res = await axios.post(
+    `${ADMIN_URL}/categories`,
+    { ...fields, reason },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const updateCategory = async (slug, fields, reason) => {
+  const res = await axios.patch(
+    `${ADMIN_URL}/categories/${slug}`,
+    { ...fields, reason },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const deleteCategory = async (slug, reason) => {
+  const res = await axios.delete(`${ADMIN_URL}/categories/${slug}`, {
+    headers: authHeaders(),
+    data: { reason },
+  });
+  return res.data;
+};
@@ -0,0 +1,146 @@
+import axios from "axios";
+
+const AUTH_URL = "https://backend-fhej.onrender.com/api/auth";
+
+// Access token under "auth-token" (what every request sends as
+// x-auth-token), refresh token under "refresh-token"
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem("auth-token", token);
+  if (refreshToken) localStorage.setItem("refresh-token", refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.setItem("auth-token", "");
+  localStorage.removeItem("refresh-token");
+};
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+// Concurrent requests that all hit an expired token share one refresh, so
+// the rotating refresh token is only spent once. Other tabs hold the same
+// token: a lock makes them take turns, and a tab that finds the stored token
+// already swapped by another one uses the new pair instead of replaying the
+// old token (which the server treats as theft and ends the session).
+let pendingRefresh = null;
+
+const refreshOnce = async (spent) => {
+  const current = localStorage.getItem("refresh-token");
+  if (current !== spent) {
+    if (!current) throw new Error("Signed out in another tab");
+    return { token: localStorage.getItem("auth-token"), refreshToken: current };
+  }
+  const res = await axios.post(`${AUTH_URL}/refresh`, {
+    refreshToken: current,
+  });
+  storeTokens(res.data);
+  return res.data;
+};
+
+export const refreshSession = () => {
+  if (!pendingRefresh) {
+    const spent = localStorage.getItem("refresh-token");
+    const run = () => refreshOnce(spent);
+    pendingRefresh = (
+      navigator.locks ? navigator.locks.request("refresh-session", run) : run()
+    ).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+// Retries a request once with a fresh access token when the old one has
+// expired. onSessionEnded runs when the session can't be recovered.
+export const installAuthInterceptor = (onSessionEnded) => {
+  const id = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      const code = response?.status === 401 && response.data?.code;
+
+      if (
+        code === "TOKEN_EXPIRED" &&
+        config &&
+        !config._retried &&
+        localStorage.getItem("refresh-token")
+      ) {
+        config._retried = true;
+        try {
+          const data = await refreshSession();
+          config.headers["x-auth-token"] = data.token;
+          return axios(config);
+        } catch (refreshError) {
+          console.error(refreshError);
+          clearTokens();
+          onSessionEnded();
+        }
+      } else if (code === "TOKEN_EXPIRED" || code === "SESSION_ENDED") {
+        clearTokens();
+        onSessionEnded();
+      }
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(id);
+};
+
+export const fetchMe = async () => {
+  const res = await axios.get(`${AUTH_URL}/me`, { headers: authHeaders() });
+  return res.data;
+};
+
+// Revokes this device's session on the server
+export const logoutSession = async () => {
+  const refreshToken = localStorage.getItem("refresh-token");
+  if (!refreshToken) return;
+  await axios.post(`${AUTH_URL}/logout`, { refreshToken });
+};
+
+export const fetchSessions = async () => {
+  const res = await axios.get(`${AUTH_URL}/sessions`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const revokeSession = async (sessionId) => {
+  const res = await axios.delete(`${AUTH_URL}/sessions/${sessionId}`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const revokeOtherSessions = async () => {
+  const res = await axios.delete(`${AUTH_URL}/sessions`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Resolves with { message, user } once the mailed link is confirmed
+export const verifyEmail = async (token) => {
+  const res = await axios.post(`${AUTH_URL}/verify-email`, { token });
+  return res.data;
+};
+
+export const resendVerification = async () => {
+  const res = await axios.post(`${AUTH_URL}/resend-verification`, null, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const requestPasswordReset = async (email) => {
+  const res = await axios.post(`${AUTH_URL}/forgot-password`, { email });
+  return res.data;
+};
+
+export const resetPassword = async (token, password) => {
+  const res = await axios.post(`${AUTH_URL}/reset-password`, {
+    token,
+    password,
+  });
+  return res.data;
+};
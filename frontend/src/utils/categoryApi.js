@@ -0,0 +1,36 @@
+import axios from "axios";
+
+const API_URL = "https://backend-fhej.onrender.com/api";
+
+// The list rarely changes, so every component shares one request. Pass
+// { fresh: true } to reload it (e.g. after an admin edit).
+let categoriesRequest = null;
+
+// Resolves with [{ slug, name, description, order, eventCount }]
+export const fetchCategories = ({ fresh = false } = {}) => {
+  if (!categoriesRequest || fresh) {
+    categoriesRequest = axios
+      .get(`${API_URL}/categories`)
+      .then((res) => res.data)
+      .catch((err) => {
+        categoriesRequest = null;
+        throw err;
+      });
+  }
+  return categoriesRequest;
+};
+
+// Resolves with [{ tag, count }], most used first
+export const fetchPopularTags = async ({ category, limit } = {}) => {
+  const res = await axios.get(`${API_URL}/events/tags`, {
+    params: {
+      ...(category && { category }),
+      ...(limit && { limit }),
+    },
+  });
+  return res.data.tags;
+};
+
+// Display name for a category slug from the loaded list
+export const categoryName = (categories, slug) =>
+  categories.find((c) => c.slug === slug)?.name || slug;
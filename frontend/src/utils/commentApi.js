@@ -0,0 +1,52 @@
+import axios from "axios";
+
+const EVENTS_URL = "https://backend-fhej.onrender.com/api/events";
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+const commentsUrl = (eventId) => `${EVENTS_URL}/${eventId}/comments`;
+
+// Resolves with { pinned, comments, pageInfo }. Pass the previous page's
+// pageInfo.nextCursor to load older comments.
+export const fetchComments = async (eventId, cursor) => {
+  const res = await axios.get(commentsUrl(eventId), {
+    params: cursor ? { cursor } : {},
+  });
+  return res.data;
+};
+
+// parent: id of the comment being replied to, if any
+export const postComment = async (eventId, body, parent) => {
+  const res = await axios.post(
+    commentsUrl(eventId),
+    { body, ...(parent && { parent }) },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const editComment = async (eventId, commentId, body) => {
+  const res = await axios.patch(
+    `${commentsUrl(eventId)}/${commentId}`,
+    { body },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const deleteComment = async (eventId, commentId) => {
+  const res = await axios.delete(`${commentsUrl(eventId)}/${commentId}`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const setCommentPinned = async (eventId, commentId, pinned) => {
+  const url = `${commentsUrl(eventId)}/${commentId}/pin`;
+  const res = pinned
+    ? await axios.post(url, {}, { headers: authHeaders() })
+    : await axios.delete(url, { headers: authHeaders() });
+  return res.data;
+};
@@ -0,0 +1,236 @@
+import axios from "axios";
+
+const API_URL = "https://backend-fhej.onrender.com/api/events";
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+export const fetchEvent = async (eventId) => {
+  const res = await axios.get(`${API_URL}/${eventId}`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Resolves with { message, attendees, waitlist, ... } from the RSVP endpoint.
+// inviteCode comes from an invite link (?invite=...) for invite-only events.
+export const rsvpToEvent = async (eventId, action, ticketType, inviteCode) => {
+  const res = await axios.post(
+    `${API_URL}/${eventId}/rsvp`,
+    { action, ticketType, inviteCode },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+// scope is "this" or "following" for occurrences of a recurring series
+export const updateEvent = async (eventId, data, scope = "this") => {
+  const res = await axios.put(`${API_URL}/${eventId}`, data, {
+    headers: authHeaders(),
+    params: { scope },
+  });
+  return res.data;
+};
+
+export const deleteEvent = async (eventId, scope = "this") => {
+  const res = await axios.delete(`${API_URL}/${eventId}`, {
+    headers: authHeaders(),
+    params: { scope },
+  });
+  return res.data;
+};
+
+// Publish a draft ("published") or cancel an event ("cancelled", with the
+// reason attendees are mailed). Resolves with { message, updated, event }.
+export const setEventStatus = async (
+  eventId,
+  status,
+  reason,
+  scope = "this"
+) => {
+  const res = await axios.patch(
+    `${API_URL}/${eventId}/status`,
+    { status, reason },
+    { headers: authHeaders(), params: { scope } }
+  );
+  return res.data;
+};
+
+// Signed ticket (token, manual code and QR image) for the current user
+export const fetchTicket = async (eventId) => {
+  const res = await axios.get(`${API_URL}/${eventId}/ticket`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// body is { token } from a scanned QR or { code } typed in by hand
+export const checkInTicket = async (eventId, body) => {
+  const res = await axios.post(`${API_URL}/${eventId}/checkin`, body, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const fetchCheckInStats = async (eventId) => {
+  const res = await axios.get(`${API_URL}/${eventId}/checkin/stats`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// One tab of the current user's events: "hosting", "attending",
+// "waitlisted" or "past". Resolves with { events, counts, pageInfo }.
+export const fetchMyEvents = async (tab, cursor) => {
+  const res = await axios.get(`${API_URL}/mine`, {
+    params: { tab, ...(cursor && { cursor }) },
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Count a view of the event page, at most once per browser session
+export const recordView = (eventId) => {
+  const key = `viewed:${eventId}`;
+  if (sessionStorage.getItem(key)) return;
+  sessionStorage.setItem(key, "1");
+  axios.post(`${API_URL}/${eventId}/views`).catch((err) => console.error(err));
+};
+
+// One event's headline numbers and a daily { day, views, joins, leaves }
+// series covering the last `days` days
+export const fetchEventStats = async (eventId, days) => {
+  const res = await axios.get(`${API_URL}/${eventId}/stats`, {
+    params: { days },
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Resolves with { totals, series, events } across every event the user can
+// edit
+export const fetchOrganizerStats = async (days) => {
+  const res = await axios.get(`${API_URL}/stats`, {
+    params: { days },
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Resolves with { roster, total, counts }. params: q, status, checkedIn, sort
+export const fetchRoster = async (eventId, params = {}) => {
+  const res = await axios.get(`${API_URL}/${eventId}/roster`, {
+    params,
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// The export needs the auth header, so fetch it and hand the browser a
+// temporary link to save
+export const downloadRoster = async (eventId, format, params = {}) => {
+  const res = await axios.get(`${API_URL}/${eventId}/roster/export`, {
+    params: { ...params, format },
+    headers: authHeaders(),
+    responseType: "blob",
+  });
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `roster-${eventId}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The co-organizer endpoints all resolve with { coOrganizers }.
+// user is a username or email; role is "editor" or "checkin".
+export const addCoOrganizer = async (eventId, user, role) => {
+  const res = await axios.post(
+    `${API_URL}/${eventId}/organizers`,
+    { user, role },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const updateCoOrganizer = async (eventId, userId, role) => {
+  const res = await axios.patch(
+    `${API_URL}/${eventId}/organizers/${userId}`,
+    { role },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const removeCoOrganizer = async (eventId, userId) => {
+  const res = await axios.delete(`${API_URL}/${eventId}/organizers/${userId}`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// The invite endpoints all resolve with
+// { visibility, inviteCode, invitedUsers }
+export const fetchInvites = async (eventId) => {
+  const res = await axios.get(`${API_URL}/${eventId}/invites`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const inviteUser = async (eventId, user) => {
+  const res = await axios.post(
+    `${API_URL}/${eventId}/invites`,
+    { user },
+    { headers: authHeaders() }
+  );
+  return res.data;
+};
+
+export const uninviteUser = async (eventId, userId) => {
+  const res = await axios.delete(`${API_URL}/${eventId}/invites/${userId}`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const rotateInviteCode = async (eventId) => {
+  const res = await axios.post(`${API_URL}/${eventId}/invites/code`, null, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const disableInviteCode = async (eventId) => {
+  const res = await axios.delete(`${API_URL}/${eventId}/invites/code`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// Plain link, so the browser downloads the file itself
+export const eventCalendarUrl = (eventId) => `${API_URL}/${eventId}/ics`;
+
+const CALENDAR_URL = "https://backend-fhej.onrender.com/api/calendar";
+
+// Resolves with { feedUrl }, which is null until a feed has been created
+export const fetchCalendarFeed = async () => {
+  const res = await axios.get(CALENDAR_URL, { headers: authHeaders() });
+  return res.data;
+};
+
+// Creates the feed URL, or replaces it so the old link stops working
+export const rotateCalendarFeed = async () => {
+  const res = await axios.post(`${CALENDAR_URL}/token`, null, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+export const revokeCalendarFeed = async () => {
+  const res = await axios.delete(`${CALENDAR_URL}/token`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
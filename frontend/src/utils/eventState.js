@@ -0,0 +1,77 @@
+// Attendee and waitlist entries come back as plain ids from the listing and
+// as populated { _id, username } objects from the detail endpoint.
+export const idOf = (value) =>
+  value && typeof value === "object" ? value._id || value.id : value;
+
+// Live updates carry seat counts instead of the lists (who holds a seat is
+// not broadcast); events loaded over HTTP only have the lists
+export const attendeeCount = (event) =>
+  event.attendeeCount ?? event.attendees.length;
+const waitlistCount = (event) =>
+  event.waitlistCount ?? (event.waitlist || []).length;
+
+// Drafts, cancelled and completed events take no RSVPs. Events saved before
+// statuses existed have none and count as published.
+export const isRsvpOpen = (event) =>
+  !["draft", "cancelled", "completed"].includes(event.status);
+
+// Events people have signed up for are cancelled rather than deleted, so
+// they can see what happened
+export const isDeletable = (event) =>
+  ["draft", "cancelled"].includes(event.status) ||
+  (attendeeCount(event) === 0 && waitlistCount(event) === 0);
+
+// The viewer's place at an event (seat, waitlist, ticket). What they may
+// change is decided by utils/permissions.js.
+export const getEventState = (event, user) => {
+  const waitlist = event.waitlist || [];
+  const isJoined = Boolean(
+    user && event.attendees.some((a) => idOf(a) === user.id)
+  );
+  const isFull = attendeeCount(event) >= event.capacity;
+  const waitlistPosition = user
+    ? waitlist.findIndex((w) => idOf(w.user) === user.id) + 1
+    : 0;
+  const ticket = user
+    ? (event.tickets || []).find((t) => idOf(t.user) === user.id)
+    : null;
+
+  return {
+    isJoined,
+    isFull,
+    waitlist,
+    waitlistCount: waitlistCount(event),
+    waitlistPosition,
+    isWaitlisted: waitlistPosition > 0,
+    ticket,
+    capacityPercentage: Math.min(
+      (attendeeCount(event) / event.capacity) * 100,
+      100
+    ),
+  };
+};
+
+// Per-tier availability for events that sell ticket types
+export const getTicketTiers = (event, now = new Date()) =>
+  (event.ticketTypes || []).map((tier) => {
+    const taken =
+      event.ticketsTaken?.[tier._id] ??
+      (event.tickets || []).filter((t) => t.ticketType === tier._id).length;
+
+    let saleNote = "";
+    if (tier.salesStart && new Date(tier.salesStart) > now)
+      saleNote = `On sale ${new Date(tier.salesStart).toLocaleDateString(
+        "en-US",
+        { month: "short", day: "numeric" }
+      )}`;
+    else if (tier.salesEnd && new Date(tier.salesEnd) < now)
+      saleNote = "Sales ended";
+
+    return {
+      ...tier,
+      taken,
+      remaining: Math.max(tier.capacity - taken, 0),
+      onSale: !saleNote,
+      saleNote,
+    };
+  });
@@ -0,0 +1,34 @@
+export const ADDRESS_FIELDS = [
+  { name: "street", label: "Street", placeholder: "350 5th Ave" },
+  { name: "city", label: "City", placeholder: "New York" },
+  { name: "region", label: "State / region", placeholder: "NY" },
+  { name: "postalCode", label: "Postal code", placeholder: "10118" },
+  { name: "country", label: "Country", placeholder: "US" },
+];
+
+export const emptyAddress = () =>
+  Object.fromEntries(ADDRESS_FIELDS.map((f) => [f.name, ""]));
+
+// "350 5th Ave, New York, NY, 10118, US"
+export const formatAddress = (address) =>
+  ADDRESS_FIELDS.map((f) => address?.[f.name])
+    .filter(Boolean)
+    .join(", ");
+
+// Great-circle distance in km between "lat,lng" and an event's GeoJSON point,
+// or null when the event has no coordinates
+export const distanceKm = (near, geo) => {
+  if (!near || geo?.coordinates?.length !== 2) return null;
+  const [lat1, lng1] = near.split(",").map(Number);
+  const [lng2, lat2] = geo.coordinates;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) *
+      Math.cos(rad(lat2)) *
+      Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const formatDistance = (km) =>
+  km < 1 ? "Under 1 km away" : `${Math.round(km)} km away`;
@@ -0,0 +1,23 @@
+import axios from "axios";
+
+const NOTIFICATIONS_URL = "https://backend-fhej.onrender.com/api/notifications";
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+// Resolves with { reminders, eventUpdates }
+export const fetchNotificationPreferences = async () => {
+  const res = await axios.get(`${NOTIFICATIONS_URL}/preferences`, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// changes: any subset of { reminders, eventUpdates }
+export const updateNotificationPreferences = async (changes) => {
+  const res = await axios.put(`${NOTIFICATIONS_URL}/preferences`, changes, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
@@ -0,0 +1,29 @@
+import { idOf } from "./eventState";
+
+// Mirror of backend/utils/permissions.js - the server enforces it, this only
+// decides which controls to show.
+export const CO_ORGANIZER_ROLES = [
+  { value: "editor", label: "Editor" },
+  { value: "checkin", label: "Check-in only" },
+];
+
+const PERMISSIONS = {
+  owner: ["edit", "delete", "checkin", "manageTeam", "roster"],
+  editor: ["edit", "checkin", "roster"],
+  checkin: ["checkin"],
+};
+
+// "owner", a co-organizer role, or null
+export const eventRole = (event, user) => {
+  if (!user) return null;
+  if (idOf(event.organizer) === user.id) return "owner";
+  const member = (event.coOrganizers || []).find(
+    (c) => idOf(c.user) === user.id
+  );
+  return member ? member.role : null;
+};
+
+export const can = (event, user, permission) => {
+  const role = eventRole(event, user);
+  return Boolean(role && PERMISSIONS[role].includes(permission));
+};
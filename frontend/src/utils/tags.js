@@ -0,0 +1,12 @@
+// Mirror of backend/utils/tags.js: "#Live Music " -> "live-music"
+export const normalizeTag = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+
+export const MAX_TAGS = 10;
@@ -0,0 +1,131 @@
+// Event times are shown in the event's own zone, with the viewer's zone
+// alongside when it differs. Formatting follows the viewer's locale.
+
+export const VIEWER_TIME_ZONE =
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Every zone the browser knows, for the create/edit form
+export const timeZoneOptions = () => {
+  const zones = Intl.supportedValuesOf?.("timeZone") || [];
+  return zones.includes(VIEWER_TIME_ZONE)
+    ? zones
+    : [VIEWER_TIME_ZONE, ...zones];
+};
+
+// "America/New_York" -> "New York"
+export const zoneLabel = (timeZone) =>
+  (timeZone || "UTC").split("/").pop().replace(/_/g, " ");
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Wall-clock value for <input type="datetime-local"> (or type="date" with
+// dateOnly) showing the instant in the given zone
+export const toZonedInput = (value, timeZone, dateOnly = false) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(new Date(value))
+      .map((p) => [p.type, p.value])
+  );
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return dateOnly ? day : `${day}T${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Last day of an all-day event (its end is the following midnight)
+export const lastDayInput = (event) =>
+  toZonedInput(new Date(event.endDate).getTime() - 60000, event.timeZone, true);
+
+const formatRange = (start, end, options) => {
+  const format = new Intl.DateTimeFormat(undefined, options);
+  if (!end) return format.format(start);
+  return format.formatRange
+    ? format.formatRange(start, end)
+    : `${format.format(start)} – ${format.format(end)}`;
+};
+
+const isSameOffset = (date, zoneA, zoneB) => {
+  const wall = (timeZone) => toZonedInput(date, timeZone);
+  return wall(zoneA) === wall(zoneB);
+};
+
+// { main, local } strings for an event's schedule. `main` is in the event's
+// zone; `local` is the viewer's time, or null when the zones agree (and
+// for all-day events, which happen on the same dates everywhere).
+// `short` drops the weekday and year for cards.
+export const formatEventTime = (event, { short = false } = {}) => {
+  const timeZone = event.timeZone || "UTC";
+  const start = new Date(event.date);
+  const end = event.endDate ? new Date(event.endDate) : null;
+  const dateOptions = short
+    ? { month: "short", day: "numeric" }
+    : { weekday: "short", month: "short", day: "numeric", year: "numeric" };
+
+  if (event.allDay) {
+    // The stored end is exclusive; show the last day
+    const lastDay = end && new Date(end.getTime() - 60000);
+    const multiDay =
+      lastDay &&
+      toZonedInput(lastDay, timeZone, true) !==
+        toZonedInput(start, timeZone, true);
+    return {
+      main: `${formatRange(start, multiDay ? lastDay : null, {
+        ...dateOptions,
+        timeZone,
+      })} · All day`,
+      local: null,
+    };
+  }
+
+  const timeOptions = {
+    ...dateOptions,
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  };
+  return {
+    main: formatRange(start, end, { ...timeOptions, timeZone }),
+    local: isSameOffset(start, timeZone, VIEWER_TIME_ZONE)
+      ? null
+      : formatRange(start, end, {
+          ...timeOptions,
+          timeZone: VIEWER_TIME_ZONE,
+        }),
+  };
+};
+
+// A single instant in the event's zone, e.g. when a draft gets published.
+// `short` keeps just the day and month.
+export const formatInEventZone = (value, event, { short = false } = {}) =>
+  new Intl.DateTimeFormat(
+    undefined,
+    short
+      ? { month: "short", day: "numeric", timeZone: event.timeZone || "UTC" }
+      : {
+          dateStyle: "medium",
+          timeStyle: "short",
+          timeZone: event.timeZone || "UTC",
+        }
+  ).format(new Date(value));
+
+// Day-of-month and short month for date badges, in the event's zone
+export const eventDayParts = (event) => {
+  const options = { timeZone: event.timeZone || "UTC" };
+  const date = new Date(event.date);
+  return {
+    day: new Intl.DateTimeFormat(undefined, {
+      ...options,
+      day: "numeric",
+    }).format(date),
+    month: new Intl.DateTimeFormat(undefined, {
+      ...options,
+      month: "short",
+    }).format(date),
+  };
+};
@@ -0,0 +1,31 @@
+import axios from "axios";
+
+const API_URL = "https://backend-fhej.onrender.com/api";
+
+const authHeaders = () => ({
+  "x-auth-token": localStorage.getItem("auth-token"),
+});
+
+// Public profile plus the user's upcoming events
+export const fetchProfile = async (userId) => {
+  const res = await axios.get(`${API_URL}/users/${userId}`);
+  return res.data;
+};
+
+// formData may hold displayName, bio, an "avatar" file and removeAvatar.
+// Resolves with { user, profile }.
+export const updateProfile = async (formData) => {
+  const res = await axios.patch(`${API_URL}/users/me`, formData, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};
+
+// { username, email, password, currentPassword } - send only what changes.
+// Resolves with { message, user }.
+export const updateAccount = async (changes) => {
+  const res = await axios.patch(`${API_URL}/auth/account`, changes, {
+    headers: authHeaders(),
+  });
+  return res.data;
+};